@@ -0,0 +1,220 @@
+// === DIFFRACTION - V1.0 (Fresnel Propagation) ===
+// Scalar diffraction of a plane wave at normal incidence on an opening, seen on a screen
+// parallel to it at distance z. The paraxial (Fresnel) integral covers the near field and
+// turns into the Fraunhofer pattern once the Fresnel number a^2 / (lambda z) is small.
+// Lengths are in cm and wavelengths in nm, as in the tracer. Fields are normalized so
+// that an unobstructed wave has |U| = 1.
+//
+// Openings are described by plain objects:
+//   { shape: 'slits', width, height, count, separation }  - `count` parallel slits along x
+//   { shape: 'circle', diameter }
+
+// Below this Fresnel number the pattern is labelled as far field (Fraunhofer).
+const FAR_FIELD_FRESNEL_NUMBER = 0.1;
+
+// Complex helpers for the continued fraction below; numbers are [re, im].
+const cmul = (a, b) => [a[0] * b[0] - a[1] * b[1], a[0] * b[1] + a[1] * b[0]];
+const cdiv = (a, b) => {
+    const d = b[0] * b[0] + b[1] * b[1];
+    return [(a[0] * b[0] + a[1] * b[1]) / d, (a[1] * b[0] - a[0] * b[1]) / d];
+};
+
+/**
+ * Fresnel integrals C(x) = int_0^x cos(pi t^2 / 2) dt and S(x) = int_0^x sin(pi t^2 / 2) dt,
+ * from a power series for small |x| and a continued fraction otherwise (Numerical Recipes).
+ * @returns {[number, number]} [C(x), S(x)]
+ */
+export function fresnelIntegrals(x) {
+    const EPS = 1e-12, MAXIT = 200, XMIN = 1.5;
+    const ax = Math.abs(x);
+    let c, s;
+    if (ax < 1e-15) {
+        c = ax; s = 0;
+    } else if (ax <= XMIN) {
+        // C and S share one series whose terms alternate between them.
+        const fact = (Math.PI / 2) * ax * ax;
+        let sum = 0, sums = 0, sumc = ax, sign = 1, term = ax, odd = true, n = 3;
+        for (let k = 1; k <= MAXIT; k++) {
+            term *= fact / k;
+            sum += sign * term / n;
+            const test = Math.abs(sum) * EPS;
+            if (odd) { sign = -sign; sums = sum; sum = sumc; } else { sumc = sum; sum = sums; }
+            if (term < test) break;
+            odd = !odd;
+            n += 2;
+        }
+        c = sumc; s = sums;
+    } else {
+        const pix2 = Math.PI * ax * ax;
+        let b = [1, -pix2];
+        let cc = [1e30, 0];
+        let d = cdiv([1, 0], b);
+        let h = d;
+        let n = -1;
+        for (let k = 2; k <= MAXIT; k++) {
+            n += 2;
+            const a = -n * (n + 1);
+            b = [b[0] + 4, b[1]];
+            d = cdiv([1, 0], [a * d[0] + b[0], a * d[1] + b[1]]);
+            const ratio = cdiv([a, 0], cc);
+            cc = [b[0] + ratio[0], b[1] + ratio[1]];
+            const del = cmul(cc, d);
+            h = cmul(h, del);
+            if (Math.abs(del[0] - 1) + Math.abs(del[1]) < EPS) break;
+        }
+        h = cmul(h, [ax, -ax]);
+        const tail = cmul([Math.cos(0.5 * pix2), Math.sin(0.5 * pix2)], h);
+        const cs = cmul([0.5, 0.5], [1 - tail[0], -tail[1]]);
+        c = cs[0]; s = cs[1];
+    }
+    return x < 0 ? [-c, -s] : [c, s];
+}
+
+// Bessel function J0 (rational and asymptotic approximations, Numerical Recipes).
+function besselJ0(x) {
+    const ax = Math.abs(x);
+    if (ax < 8) {
+        const y = x * x;
+        const num = 57568490574.0 + y * (-13362590354.0 + y * (651619640.7 + y * (-11214424.18 + y * (77392.33017 + y * (-184.9052456)))));
+        const den = 57568490411.0 + y * (1029532985.0 + y * (9494680.718 + y * (59272.64853 + y * (267.8532712 + y))));
+        return num / den;
+    }
+    const z = 8 / ax, y = z * z, xx = ax - 0.785398164;
+    const p = 1 + y * (-0.1098628627e-2 + y * (0.2734510407e-4 + y * (-0.2073370639e-5 + y * 0.2093887211e-6)));
+    const q = -0.1562499995e-1 + y * (0.1430488765e-3 + y * (-0.6911147651e-5 + y * (0.7621095161e-6 - y * 0.934935152e-7)));
+    return Math.sqrt(0.636619772 / ax) * (Math.cos(xx) * p - z * Math.sin(xx) * q);
+}
+
+// Radius of the region the opening spans, from its axis (cm).
+function openingHalfWidth(opening) {
+    if (opening.shape === 'circle') return opening.diameter / 2;
+    return ((opening.count - 1) * opening.separation + opening.width) / 2;
+}
+
+/**
+ * The part of an opening a round beam lights: a hole shrinks to the overlap with the beam,
+ * taken as a circle of the same area centred on the overlap along the line between the two
+ * centres; slits keep the height the beam crosses.
+ * @param {object} opening - The opening, see the top of this file.
+ * @param {object} beam - `{ center: {x, y}, radius }` in the opening's transverse
+ *   coordinates (cm); an infinite radius lights the whole opening.
+ * @returns {object} `{ opening, center, area }`: the lit opening, described about its own
+ *   center, that center and the lit area in cm^2 (0 when the beam misses the opening).
+ */
+export function getLitOpening(opening, beam) {
+    if (opening.shape === 'circle') {
+        const radius = opening.diameter / 2;
+        const offset = Math.hypot(beam.center.x, beam.center.y);
+        const area = circleOverlapArea(radius, beam.radius, offset);
+        // The overlap reaches from the nearer to the farther of the two circles' edges.
+        const middle = (Math.max(-radius, offset - beam.radius) + Math.min(radius, offset + beam.radius)) / 2;
+        const direction = offset > 0 ? { x: beam.center.x / offset, y: beam.center.y / offset } : { x: 0, y: 0 };
+        const center = (area > 0) ? { x: direction.x * middle, y: direction.y * middle } : { x: 0, y: 0 };
+        return { opening: { shape: 'circle', diameter: 2 * Math.sqrt(area / Math.PI) }, center, area };
+    }
+    const bottom = Math.max(-opening.height / 2, beam.center.y - beam.radius);
+    const top = Math.min(opening.height / 2, beam.center.y + beam.radius);
+    const height = Math.max(0, top - bottom);
+    return { opening: { ...opening, height }, center: { x: 0, y: (top + bottom) / 2 }, area: opening.count * opening.width * height };
+}
+
+// Area shared by two circles of radii r1 and r2 whose centres are d apart.
+function circleOverlapArea(r1, r2, d) {
+    if (d >= r1 + r2) return 0;
+    const small = Math.min(r1, r2);
+    if (d <= Math.abs(r1 - r2)) return Math.PI * small * small;
+    const a1 = r1 * r1 * Math.acos((d * d + r1 * r1 - r2 * r2) / (2 * d * r1));
+    const a2 = r2 * r2 * Math.acos((d * d + r2 * r2 - r1 * r1) / (2 * d * r2));
+    return a1 + a2 - 0.5 * Math.sqrt((-d + r1 + r2) * (d + r1 - r2) * (d - r1 + r2) * (d + r1 + r2));
+}
+
+/**
+ * Fresnel number a^2 / (lambda z) of an opening, with a its half width. Well below 1 the
+ * screen is in the far field.
+ */
+export function getFresnelNumber(opening, wavelength, distance) {
+    const a = openingHalfWidth(opening);
+    return a * a / (wavelength * 1e-7 * distance);
+}
+
+export function getDiffractionRegime(opening, wavelength, distance) {
+    return getFresnelNumber(opening, wavelength, distance) < FAR_FIELD_FRESNEL_NUMBER ? 'Fraunhofer' : 'Fresnel';
+}
+
+/**
+ * Distance (cm) from the axis to the first zero of the far-field pattern: 1.22 lambda z / D
+ * for a circle, lambda z / w for a single slit and lambda z / (N d) for N slits.
+ */
+export function getFirstZero(opening, wavelength, distance) {
+    const lambdaZ = wavelength * 1e-7 * distance;
+    if (opening.shape === 'circle') return 1.22 * lambdaZ / opening.diameter;
+    if (opening.count > 1) return lambdaZ / (opening.count * opening.separation);
+    return lambdaZ / opening.width;
+}
+
+// |U|^2 along one axis for openings [start, end] on it, from the Fresnel integrals.
+function stripIntensity(openings, x, lambdaZ) {
+    const scale = Math.sqrt(2 / lambdaZ);
+    let re = 0, im = 0;
+    for (const [start, end] of openings) {
+        const [c1, s1] = fresnelIntegrals(scale * (start - x));
+        const [c2, s2] = fresnelIntegrals(scale * (end - x));
+        re += c2 - c1; im += s2 - s1;
+    }
+    return (re * re + im * im) / 2;
+}
+
+// |U(r)|^2 behind a circular opening: (2pi / lambda z) int_0^a exp(i pi rho^2 / lambda z) J0(2pi rho r / lambda z) rho d rho.
+function circleIntensity(radius, r, lambdaZ) {
+    // Enough Simpson intervals to follow both the quadratic phase and the Bessel oscillation.
+    const oscillations = (radius * radius + radius * r) / lambdaZ;
+    const intervals = 2 * Math.ceil(Math.min(3000, 8 * oscillations + 32));
+    const step = radius / intervals;
+    let re = 0, im = 0;
+    for (let i = 0; i <= intervals; i++) {
+        const rho = i * step;
+        const weight = (i === 0 || i === intervals) ? 1 : (i % 2 === 1 ? 4 : 2);
+        const amplitude = weight * besselJ0(2 * Math.PI * rho * r / lambdaZ) * rho;
+        const phase = Math.PI * rho * rho / lambdaZ;
+        re += amplitude * Math.cos(phase);
+        im += amplitude * Math.sin(phase);
+    }
+    const scale = (2 * Math.PI / lambdaZ) * step / 3;
+    return scale * scale * (re * re + im * im);
+}
+
+/**
+ * Intensity |U|^2 of the diffracted wave at points on the screen.
+ * @param {object} opening - The opening, see the top of this file.
+ * @param {number} wavelength - Wavelength in nm.
+ * @param {number} distance - Distance from the opening to the screen in cm.
+ * @param {{x: number, y: number}[]} points - Screen points in the opening's transverse
+ *   coordinates (cm), with the slit widths along x.
+ * @returns {Float64Array} The intensity at each point, 1 for an unobstructed wave.
+ */
+export function computeDiffractionPattern(opening, wavelength, distance, points) {
+    const lambdaZ = wavelength * 1e-7 * distance;
+    const pattern = new Float64Array(points.length);
+    if (opening.shape === 'circle') {
+        // The pattern is radially symmetric: sample a radial profile and interpolate.
+        const radius = opening.diameter / 2;
+        const rMax = Math.max(...points.map(p => Math.hypot(p.x, p.y))) || 1;
+        const samples = 200;
+        const profile = Array.from({ length: samples + 1 }, (_, i) => circleIntensity(radius, (i / samples) * rMax, lambdaZ));
+        points.forEach((p, i) => {
+            const t = (Math.hypot(p.x, p.y) / rMax) * samples;
+            const j = Math.min(samples - 1, Math.floor(t));
+            pattern[i] = profile[j] + (profile[j + 1] - profile[j]) * (t - j);
+        });
+        return pattern;
+    }
+    const slits = Array.from({ length: opening.count }, (_, i) => {
+        const center = (i - (opening.count - 1) / 2) * opening.separation;
+        return [center - opening.width / 2, center + opening.width / 2];
+    });
+    const height = [[-opening.height / 2, opening.height / 2]];
+    points.forEach((p, i) => {
+        pattern[i] = stripIntensity(slits, p.x, lambdaZ) * stripIntensity(height, p.y, lambdaZ);
+    });
+    return pattern;
+}
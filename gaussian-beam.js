@@ -0,0 +1,90 @@
+// === GAUSSIAN BEAM - V1.0 (Complex-q Propagation) ===
+// Propagates a Gaussian laser beam with the complex beam parameter q = z + i*zR and the
+// elements' paraxial ABCD matrices (see paraxial.js): q' = (A q + B) / (C q + D).
+// The optical axis is found by following the central ray through the elements in order,
+// so the beam also follows folds by mirrors and beam splitters (the transmitted arm).
+// A beam with M^2 > 1 is treated as an embedded Gaussian of wavelength M^2 * lambda.
+// Lengths are in cm and wavelengths in nm.
+import { getElementMatrix, traceAxis } from './paraxial.js';
+
+// Complex numbers as [re, im].
+const cadd = (a, b) => [a[0] + b[0], a[1] + b[1]];
+const cscale = (a, s) => [a[0] * s, a[1] * s];
+const cdiv = (a, b) => {
+    const d = b[0] * b[0] + b[1] * b[1];
+    return [(a[0] * b[0] + a[1] * b[1]) / d, (a[1] * b[0] - a[0] * b[1]) / d];
+};
+
+// Applies an ABCD matrix to a beam parameter.
+function transformQ(q, [[A, B], [C, D]]) {
+    return cdiv(cadd(cscale(q, A), [B, 0]), cadd(cscale(q, C), [D, 0]));
+}
+
+/**
+ * Beam radius (1/e^2 intensity, cm) for a beam parameter.
+ * @param {[number, number]} q - Beam parameter [re, im] in cm.
+ * @param {number} wavelength - Wavelength in nm.
+ * @param {number} [mSquared=1] - Beam quality factor.
+ */
+export function getBeamRadius(q, wavelength, mSquared = 1) {
+    const lambda = mSquared * wavelength * 1e-7;
+    return Math.sqrt(lambda * (q[0] * q[0] + q[1] * q[1]) / (Math.PI * q[1]));
+}
+
+// The waist a beam parameter leads to: its distance ahead (negative if behind) and radius.
+function getWaist(q, wavelength, mSquared) {
+    return { distance: -q[0], radius: getBeamRadius([0, q[1]], wavelength, mSquared) };
+}
+
+/**
+ * Propagates a Gaussian beam along the axis of the central ray.
+ * @param {object[]} opticalElements - The elements, in the order the beam meets them.
+ * @param {Ray} axialRay - The central ray of the source, with intensity and polarization set.
+ * @param {object} beam - The source beam.
+ * @param {number} beam.waist - Waist radius (1/e^2) in cm.
+ * @param {number} [beam.waistPosition=0] - Distance from the source to the waist in cm
+ *   (negative for a waist behind the source).
+ * @param {number} [beam.mSquared=1] - Beam quality factor.
+ * @param {object} [scene] - Passed on to `processRay`.
+ * @returns {object} `{ wavelength, mSquared, rayleighRange, segments, waists, end }`. Each
+ *   segment is a straight stretch of the axis `{ start, direction, length, q }`, with q at
+ *   its start. `waists` holds the waist `{ element, distance, radius, position }` formed
+ *   after each element with optical power, and `end` the last stop (`element`, `point`,
+ *   `radius` there) or null if the beam leaves the system.
+ */
+export function propagateGaussianBeam(opticalElements, axialRay, beam, scene) {
+    const { waist, waistPosition = 0, mSquared = 1 } = beam;
+    const wavelength = axialRay.wavelength;
+    const rayleighRange = Math.PI * waist * waist / (mSquared * wavelength * 1e-7);
+    let q = [-waistPosition, rayleighRange];
+    let origin = axialRay.origin.clone();
+    let direction = axialRay.direction.clone();
+    const segments = [];
+    const waists = [];
+    let end = null;
+
+    for (const stop of traceAxis(opticalElements, axialRay, scene)) {
+        const length = Math.max(0, stop.point.clone().sub(origin).dot(direction));
+        segments.push({ start: origin, direction, length, q });
+        q = cadd(q, [length, 0]);
+        if (!stop.exit) {
+            end = { element: stop.element, point: stop.point, radius: getBeamRadius(q, wavelength, mSquared) };
+            break;
+        }
+        const matrix = getElementMatrix(stop.element, wavelength);
+        q = transformQ(q, matrix);
+        origin = stop.exit.origin.clone();
+        direction = stop.exit.direction.clone();
+        if (Math.abs(matrix[1][0]) > 1e-12) {
+            const formed = getWaist(q, wavelength, mSquared);
+            waists.push({
+                element: (stop.element.mesh && stop.element.mesh.name) || stop.element.type,
+                ...formed,
+                position: origin.clone().addScaledVector(direction, formed.distance)
+            });
+        }
+    }
+    // The beam leaves the system: draw it on as far as the rays are drawn.
+    if (!end) segments.push({ start: origin, direction, length: 25, q });
+    return { wavelength, mSquared, rayleighRange, segments, waists, end };
+}
@@ -0,0 +1,96 @@
+// === LIGHT SOURCES - V1.0 (Spectral Source Library) ===
+// Emission spectra of common lab sources. Continuous sources (a blackbody, a tungsten-halogen
+// lamp, a phosphor-converted white LED) are sampled at evenly spaced wavelengths across the
+// visible band; gas-discharge lamps emit their strongest visible lines. A sampled spectrum is
+// a list of `{ wavelength, power }` that the laser source takes in place of a single
+// wavelength, one set of rays per sample, each weighted by its power.
+// Wavelengths are in nm.
+
+// The band continuous spectra are sampled in and line spectra are cut to.
+export const VISIBLE_RANGE = [380, 750];
+
+// Second radiation constant hc/k in nm K.
+const PLANCK_C2 = 1.4388e7;
+const HALOGEN_TEMPERATURE = 3100;
+
+// Spectral radiance of a blackbody, up to a constant factor.
+function planck(wavelength, temperature) {
+    return Math.pow(wavelength, -5) / Math.expm1(PLANCK_C2 / (wavelength * temperature));
+}
+
+// A band of the given center and full width at half maximum.
+function gaussianBand(wavelength, center, fwhm) {
+    const sigma = fwhm / (2 * Math.sqrt(2 * Math.LN2));
+    return Math.exp(-0.5 * Math.pow((wavelength - center) / sigma, 2));
+}
+
+/**
+ * The source spectra by key. Continuous ones give their spectral power at a wavelength (in
+ * arbitrary units); line ones list `[wavelength, relative intensity]` for the lines of a
+ * typical discharge lamp (approximate, after the NIST atomic spectra tables).
+ */
+export const SOURCE_SPECTRA = {
+    'blackbody': {
+        label: 'Blackbody', type: 'continuous',
+        power: (wavelength, { temperature }) => planck(wavelength, temperature)
+    },
+    'halogen': {
+        label: 'Halogen Lamp', type: 'continuous',
+        power: (wavelength) => planck(wavelength, HALOGEN_TEMPERATURE)
+    },
+    'white-led': {
+        // Blue InGaN emitter plus the broad yellow emission of its phosphor.
+        label: 'White LED', type: 'continuous',
+        power: (wavelength) => gaussianBand(wavelength, 450, 20) + 0.55 * gaussianBand(wavelength, 560, 120)
+    },
+    'mercury': {
+        label: 'Mercury Lamp (Hg)', type: 'lines',
+        lines: [[404.66, 1800], [435.83, 4000], [546.07, 1100], [576.96, 240], [579.07, 280]]
+    },
+    'sodium': {
+        label: 'Sodium Lamp (Na)', type: 'lines',
+        lines: [[568.82, 600], [588.99, 80000], [589.59, 40000], [615.42, 500]]
+    },
+    'neon': {
+        label: 'Neon Lamp (Ne)', type: 'lines',
+        lines: [
+            [585.25, 20000], [588.19, 10000], [594.48, 5000], [597.55, 5000], [603.00, 10000],
+            [607.43, 10000], [609.62, 10000], [614.31, 10000], [616.36, 10000], [621.73, 10000],
+            [626.65, 10000], [633.44, 10000], [638.30, 10000], [640.22, 20000], [650.65, 15000],
+            [659.90, 10000], [667.83, 5000], [671.70, 7000], [692.95, 100000], [703.24, 85000]
+        ]
+    },
+    'hydrogen': {
+        label: 'Hydrogen Lamp (Balmer)', type: 'lines',
+        lines: [[410.17, 6], [434.05, 12], [486.13, 30], [656.28, 100]]
+    }
+};
+
+/**
+ * Samples a source spectrum for tracing.
+ * @param {string} key - A key of `SOURCE_SPECTRA`.
+ * @param {object} [options]
+ * @param {number} [options.temperature=5800] - Blackbody temperature in K.
+ * @param {number} [options.sampleCount=15] - Wavelengths a continuous spectrum is sampled at.
+ * @returns {object[]} `{ wavelength, power }` per sample, by wavelength, with the powers
+ *   averaging 1 so that each sample is as bright as one of the white-light wavelengths.
+ */
+export function sampleSourceSpectrum(key, { temperature = 5800, sampleCount = 15 } = {}) {
+    const spectrum = SOURCE_SPECTRA[key];
+    const [min, max] = VISIBLE_RANGE;
+    let samples;
+    if (spectrum.type === 'lines') {
+        samples = spectrum.lines
+            .filter(([wavelength]) => wavelength >= min && wavelength <= max)
+            .map(([wavelength, intensity]) => ({ wavelength, power: intensity }));
+    } else {
+        const count = Math.max(1, Math.round(sampleCount));
+        samples = Array.from({ length: count }, (_, i) => {
+            // Each sample stands for an equal slice of the band.
+            const wavelength = Math.round(10 * (min + (max - min) * (i + 0.5) / count)) / 10;
+            return { wavelength, power: spectrum.power(wavelength, { temperature }) };
+        });
+    }
+    const mean = samples.reduce((sum, sample) => sum + sample.power, 0) / samples.length;
+    return samples.map(sample => ({ wavelength: sample.wavelength, power: sample.power / mean }));
+}
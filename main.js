@@ -1,8 +1,15 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { traceRays } from './optics-core.js';
+import { traceRays, computeTrace, createTraceScene, CARDINAL_POINT_COLORS } from './optics-core.js';
 import { componentSetups } from './optical-components-setups.js';
 import { instrumentSetups } from './optical-instruments-setups.js';
+import { analyzeSpot, drawSpotDiagram, formatSpotLength } from './spot-diagram.js';
+import { computeRayFans, drawRayFans } from './ray-fan.js';
+import { sweepParameter, sweepToCSV, drawSweepPlot } from './parameter-sweep.js';
+import { MERIT_FUNCTIONS } from './merit-functions.js';
+import { optimizeParameters } from './optimizer.js';
+import { computeSpectrum, drawSpectrum } from './spectrum.js';
+import { SOURCE_SPECTRA, sampleSourceSpectrum } from './light-sources.js';
 
 // Combine all setup configurations into a single object for easy access.
 const setups = { ...componentSetups, ...instrumentSetups };
@@ -86,29 +93,328 @@ const simulationConfig = {
     laserPattern: 'line',
     sensorType: 'grayscale',
     rayCount: 100,
-    backgroundColor: 'white'
+    backgroundColor: 'white',
+    traceMode: 'sequential',
+    maxBounces: 50,
+    // Intensity below which a non-sequential ray is dropped, relative to 1.0 at the source.
+    minIntensity: 1e-3,
+    beamModel: 'rays',
+    // Waist radius and position in cm, measured from the laser.
+    gaussianBeam: { waist: 0.05, waistPosition: 0, mSquared: 1 },
+    showCardinalPoints: false,
+    // Object distance in cm in front of the first element, for the paraxial magnification.
+    objectDistance: 20,
+    showRayFans: false,
+    // Field angle of the ray fans in degrees.
+    fieldAngle: 0
 };
 
 // === UI & CORE LOGIC ===
 const pixelCanvas = document.getElementById('pixel-canvas');
 const pixelCtx = pixelCanvas.getContext('2d');
+const spotCanvas = document.getElementById('spot-canvas');
+const spotCtx = spotCanvas.getContext('2d');
+const rayFanCanvas = document.getElementById('ray-fan-canvas');
+const rayFanCtx = rayFanCanvas.getContext('2d');
+const sweepCanvas = document.getElementById('sweep-canvas');
+const sweepCtx = sweepCanvas.getContext('2d');
+const spectrumCanvas = document.getElementById('spectrum-canvas');
+const spectrumCtx = spectrumCanvas.getContext('2d');
+// Set while a sweep or the optimizer drives the setup sliders, so their callbacks do not
+// redraw at every step.
+let isDrivingSliders = false;
+let lastSweep = null;
+// What the active setup's `init` returned: `{ onTrace(result) }` is called after every trace,
+// for setup panels that depend on more than their own sliders (e.g. the light source).
+let setupHooks = {};
 
 function updateSimulation() {
+    if (isDrivingSliders) return;
     requestAnimationFrame(() => {
         scene.updateMatrixWorld(true);
         // Only trace rays if there are functional optical elements present.
         if (opticalElements.length > 0) {
-            traceRays({
+            const result = traceRays({
                 rayGroup, opticalElements, laserSource, imageObject, pixelCtx, pixelCanvas,
                 pixelGridSize: 50, ...simulationConfig,
                 setupKey: document.getElementById('setup-select').value
             });
+            const { emitted, detected } = result.metadata.power;
+            document.getElementById('sensor-power-value').textContent =
+                emitted > 0 ? `Detected power: ${(100 * detected / emitted).toFixed(1)}% of emitted` : '';
+            updateGaussianBeamReadout(result.metadata.gaussianBeams);
+            updateParaxialReadout(result.metadata.paraxial);
+            updateSpotDiagram(result.sensor.hits);
+            updateSpectrum(result.sensor);
+            if (setupHooks.onTrace) setupHooks.onTrace(result);
+            if (simulationConfig.showRayFans) updateRayFans();
         }
     });
 }
 
+// Lists the waist formed after each focusing element, per wavelength for white light.
+function updateGaussianBeamReadout(gaussianBeams) {
+    const readout = document.getElementById('gaussian-beam-readout');
+    if (!gaussianBeams) {
+        readout.textContent = '';
+        return;
+    }
+    const lines = [];
+    gaussianBeams.forEach(beam => {
+        const prefix = gaussianBeams.length > 1 ? `${beam.wavelength} nm, ` : '';
+        beam.waists.forEach(waist => {
+            const where = waist.distance >= 0 ? 'after' : 'before';
+            lines.push(`${prefix}${waist.element}: waist ${(waist.radius * 1e4).toFixed(1)} µm, ${Math.abs(waist.distance).toFixed(2)} cm ${where}`);
+        });
+        if (beam.end) lines.push(`${prefix}radius at ${beam.end.element.mesh.name}: ${(beam.end.radius * 1e4).toFixed(1)} µm`);
+    });
+    readout.textContent = lines.length > 0 ? lines.join('\n') : 'No focusing elements in the beam path';
+}
+
+// Plots the exact detector hits and lists the spot size per wavelength.
+function updateSpotDiagram(hits) {
+    const spot = analyzeSpot(hits);
+    drawSpotDiagram(spotCtx, spotCanvas, spot);
+    const readout = document.getElementById('spot-readout');
+    if (!spot) {
+        readout.textContent = 'No rays on the detector';
+        return;
+    }
+    const describe = stats => `RMS ${formatSpotLength(stats.rmsRadius)}, GEO ${formatSpotLength(stats.geometricRadius)}`;
+    const { centroid } = spot.total;
+    const lines = [`Centroid: (${(centroid.x * 10).toFixed(3)}, ${(centroid.y * 10).toFixed(3)}) mm`, `All: ${describe(spot.total)}`];
+    if (spot.wavelengths.length > 1) {
+        spot.wavelengths.forEach(stats => lines.push(`${stats.wavelength} nm: ${describe(stats)}`));
+    }
+    readout.textContent = lines.join('\n');
+}
+
+// Plots the calibrated spectrum of a spectrometer's detector, if the setup has one.
+function updateSpectrum(sensor) {
+    const detector = opticalElements.find(el => el.spectralCalibration);
+    document.getElementById('spectrum-container').style.display = detector ? 'block' : 'none';
+    if (!detector) return;
+    const calibration = detector.spectralCalibration;
+    const spectrum = computeSpectrum(sensor, calibration);
+    drawSpectrum(spectrumCtx, spectrumCanvas, spectrum);
+    const lines = [
+        `Center: ${calibration.centerWavelength} nm, dispersion ${calibration.nmPerMM.toFixed(2)} nm/mm`,
+        `Resolution: ${spectrum.resolution.toFixed(2)} nm (slit ${calibration.slitBandpass.toFixed(2)} nm, 2 pixels ${spectrum.pixelBandpass.toFixed(2)} nm)`
+    ];
+    if (spectrum.peaks.length > 0) lines.push(`Peaks: ${spectrum.peaks.map(peak => `${peak.wavelength.toFixed(1)} nm`).join(', ')}`);
+    document.getElementById('spectrum-readout').textContent = lines.join('\n');
+}
+
+// The sliders of the current setup, named after the section title above each one.
+function getSetupParameters() {
+    const parameters = [];
+    let section = '';
+    document.querySelectorAll('#setup-controls .setup-title, #setup-controls input[type="range"]').forEach(node => {
+        if (node.classList.contains('setup-title')) {
+            section = node.textContent.trim();
+            return;
+        }
+        const label = document.querySelector(`#setup-controls label[for="${node.id}"]`);
+        const name = label ? label.textContent.replace(/:\s*$/, '').trim() : node.id;
+        parameters.push({ id: node.id, label: section ? `${section}: ${name}` : name });
+    });
+    return parameters;
+}
+
+function populateSweepParameters() {
+    const select = document.getElementById('sweep-parameter-select');
+    const parameters = getSetupParameters();
+    select.innerHTML = parameters.map(p => `<option value="${p.id}">${p.label}</option>`).join('');
+    document.getElementById('sweep-run-btn').disabled = parameters.length === 0;
+    updateSweepRange();
+    // A sweep belongs to the setup it ran on.
+    lastSweep = null;
+    document.getElementById('sweep-export-btn').disabled = true;
+    document.getElementById('sweep-title').textContent = 'Parameter Sweep';
+    document.getElementById('sweep-readout').textContent = '';
+    drawSweepPlot(sweepCtx, sweepCanvas, null);
+}
+
+function populateOptimizerVariables() {
+    const parameters = getSetupParameters();
+    document.getElementById('optimizer-variables').innerHTML = parameters.length > 0
+        ? parameters.map(p => `<label><input type="checkbox" value="${p.id}" style="width: auto;"> ${p.label}</label>`).join('')
+        : 'This setup has no adjustable parameters.';
+    document.getElementById('optimizer-run-btn').disabled = parameters.length === 0;
+    document.getElementById('optimizer-readout').textContent = '';
+}
+
+// Sets a setup slider as if the user had moved it; returns the value it snapped to.
+function driveSlider(input, value) {
+    input.value = value;
+    input.dispatchEvent(new Event('input'));
+    return parseFloat(input.value);
+}
+
+// Traces the current setup as displayed, without rendering.
+function traceCurrentSetup() {
+    scene.updateMatrixWorld(true);
+    const setupKey = document.getElementById('setup-select').value;
+    return computeTrace(createTraceScene({ opticalElements, laserSource, imageObject, pixelGridSize: 50, ...simulationConfig, setupKey }));
+}
+
+// Minimizes the chosen merit function over the checked sliders and leaves them at the best
+// values found.
+function runOptimizer() {
+    const checked = [...document.querySelectorAll('#optimizer-variables input:checked')];
+    const readout = document.getElementById('optimizer-readout');
+    if (checked.length === 0) {
+        readout.textContent = 'Tick at least one parameter to vary.';
+        return;
+    }
+    if (opticalElements.length === 0) return;
+    const parameters = getSetupParameters();
+    const inputs = checked.map(box => document.getElementById(box.value));
+    const variables = inputs.map(input => ({
+        label: parameters.find(p => p.id === input.id).label,
+        min: parseFloat(input.min), max: parseFloat(input.max), value: parseFloat(input.value)
+    }));
+    const merit = document.getElementById('optimizer-merit-select').value;
+    let result;
+    isDrivingSliders = true;
+    try {
+        result = optimizeParameters({
+            variables, merit,
+            meritOptions: { radius: parseFloat(document.getElementById('optimizer-radius').value) * 1e-4 }, // µm to cm
+            apply: values => values.map((value, i) => driveSlider(inputs[i], value)),
+            trace: traceCurrentSetup
+        });
+    } finally {
+        isDrivingSliders = false;
+    }
+    updateSimulation();
+
+    const { label, unit } = MERIT_FUNCTIONS[merit];
+    const format = value => isNaN(value) ? 'n/a' : `${Number(value.toPrecision(4))} ${unit}`;
+    const lines = [`${label}: ${format(result.startMerit)} → ${format(result.merit)} (${result.evaluations} traces)`];
+    variables.forEach((v, i) => lines.push(`${v.label}: ${result.start[i]} → ${result.values[i]}`));
+    if (isNaN(result.merit)) lines.push(`${label} cannot be evaluated for this setup.`);
+    if (result.atBounds.length > 0) lines.push(`At the end of its range: ${result.atBounds.join(', ')}. Widen the range or free another parameter.`);
+    if (!result.converged) lines.push('Stopped at the evaluation limit before converging.');
+    readout.textContent = lines.join('\n');
+}
+
+// Defaults the range to the full travel of the chosen slider.
+function updateSweepRange() {
+    const input = document.getElementById(document.getElementById('sweep-parameter-select').value);
+    document.getElementById('sweep-from').value = input ? input.min : '';
+    document.getElementById('sweep-to').value = input ? input.max : '';
+}
+
+// Steps the chosen slider through the range, re-tracing the setup at each value, then puts
+// the slider back.
+function runParameterSweep() {
+    const select = document.getElementById('sweep-parameter-select');
+    const input = document.getElementById(select.value);
+    if (!input || opticalElements.length === 0) return;
+    const originalValue = input.value;
+    const apply = value => driveSlider(input, value);
+    isDrivingSliders = true;
+    try {
+        lastSweep = sweepParameter({
+            from: parseFloat(document.getElementById('sweep-from').value),
+            to: parseFloat(document.getElementById('sweep-to').value),
+            steps: parseInt(document.getElementById('sweep-steps').value),
+            metric: document.getElementById('sweep-metric-select').value,
+            parameterLabel: select.options[select.selectedIndex].textContent,
+            apply,
+            trace: traceCurrentSetup
+        });
+        apply(originalValue);
+    } finally {
+        isDrivingSliders = false;
+    }
+    updateSimulation();
+
+    const { label, unit } = MERIT_FUNCTIONS[lastSweep.metric];
+    document.getElementById('sweep-title').textContent = `${label} vs. ${lastSweep.parameterLabel}`;
+    drawSweepPlot(sweepCtx, sweepCanvas, lastSweep);
+    document.getElementById('sweep-readout').textContent = lastSweep.best
+        ? `Best: ${Number(lastSweep.best.value.toPrecision(4))} ${unit} at ${lastSweep.best.parameter}`
+        : `${label} does not apply to this setup`;
+    document.getElementById('sweep-export-btn').disabled = false;
+}
+
+function exportSweepCSV() {
+    if (!lastSweep) return;
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([sweepToCSV(lastSweep)], { type: 'text/csv' }));
+    link.download = `sweep-${lastSweep.metric}.csv`;
+    // Some browsers only download from a link in the document, and only once the click has
+    // been handled, so the URL is revoked afterwards.
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+// Traces the ray fans of the current system and plots them.
+function updateRayFans() {
+    const rayFans = computeRayFans(opticalElements, {
+        position: laserSource.position, wavelength: simulationConfig.wavelength, fieldAngle: simulationConfig.fieldAngle,
+        setupKey: document.getElementById('setup-select').value,
+        tracing: { mode: simulationConfig.traceMode, maxBounces: simulationConfig.maxBounces, minIntensity: simulationConfig.minIntensity }
+    });
+    drawRayFans(rayFanCtx, rayFanCanvas, rayFans);
+    const status = document.getElementById('ray-fan-status');
+    if (!rayFans) status.textContent = 'No image plane: afocal system without a detector';
+    else status.textContent = `At the ${rayFans.imagePlane.isDetector ? 'detector' : 'paraxial focus'}, field ${rayFans.fieldAngle.toFixed(1)}°`;
+}
+
+// Shows the cardinal points and imaging of the paraxial analysis, in the marker colors.
+function updateParaxialReadout(paraxial) {
+    const readout = document.getElementById('paraxial-readout');
+    if (!simulationConfig.showCardinalPoints) {
+        readout.innerHTML = '';
+        return;
+    }
+    if (!paraxial) {
+        readout.textContent = 'No elements on the axis';
+        return;
+    }
+    const cm = value => `${value.toFixed(2)} cm`;
+    const swatch = (color, text) => `<span style="color: #${color.toString(16).padStart(6, '0')}">${text}</span>`;
+    const { efl, ffl, bfl, points, imaging, frontVertex, backVertex, frontDirection, backDirection } = paraxial;
+    // Positions of the principal points from the vertices, positive in the direction of the light.
+    const fromFront = point => point.clone().sub(frontVertex).dot(frontDirection);
+    const fromBack = point => point.clone().sub(backVertex).dot(backDirection);
+    const lines = [`Paraxial analysis at ${paraxial.wavelength} nm`];
+    if (!points) {
+        lines.push('Afocal system (no focal points)');
+        lines.push(`Angular magnification: ${paraxial.matrix[1][1].toFixed(3)}×`);
+    } else {
+        lines.push(`EFL: ${cm(efl)}`);
+        lines.push(`${swatch(CARDINAL_POINT_COLORS.focal, 'F')}: FFL ${cm(ffl)} before the first element, ${swatch(CARDINAL_POINT_COLORS.focal, 'F′')}: BFL ${cm(bfl)} after the last`);
+        lines.push(`${swatch(CARDINAL_POINT_COLORS.principal, 'H')}: ${cm(fromFront(points.frontPrincipal))} from the first vertex, ${swatch(CARDINAL_POINT_COLORS.principal, 'H′')}: ${cm(fromBack(points.backPrincipal))} from the last`);
+        lines.push(`${swatch(CARDINAL_POINT_COLORS.nodal, 'N, N′')}: at H, H′ (air on both sides)`);
+    }
+    if (!isFinite(imaging.imageDistance)) {
+        lines.push(`Object at ${cm(imaging.objectDistance)}: image at infinity`);
+    } else {
+        const kind = imaging.imageDistance >= 0 ? 'real' : 'virtual';
+        lines.push(`Object at ${cm(imaging.objectDistance)}: ${kind} image ${cm(Math.abs(imaging.imageDistance))} ${imaging.imageDistance >= 0 ? 'after' : 'before'} the last element, m = ${imaging.magnification.toFixed(3)}×`);
+    }
+    readout.innerHTML = lines.join('<br>');
+}
+
+// Geometric ray options do not apply to a Gaussian beam.
+function updateLaserControls(setupKey) {
+    const hidesLaser = setupKey === 'laser-model' || setupKey === 'camera-image-object';
+    const isGaussian = simulationConfig.beamModel === 'gaussian';
+    document.getElementById('beam-model-controls').style.display = hidesLaser ? 'none' : 'flex';
+    document.getElementById('gaussian-beam-controls').style.display = (!hidesLaser && isGaussian) ? 'block' : 'none';
+    document.getElementById('laser-pattern-controls').style.display = (hidesLaser || isGaussian) ? 'none' : 'flex';
+    document.getElementById('ray-count-slider').parentElement.style.display = (hidesLaser || isGaussian) ? 'none' : 'flex';
+}
+
 function clearSetup() {
     opticalElements = [];
+    setupHooks = {};
     const disposeObject = (obj) => {
         if (obj.geometry) obj.geometry.dispose();
         if (obj.material) {
@@ -135,14 +441,14 @@ function switchSetup(setupKey) {
 
     const isLaserModel = setupKey === 'laser-model';
     const isImageObject = setupKey === 'camera-image-object';
-    const hasSensor = setupKey.startsWith('camera') || setupKey === 'czerny-turner';
+    const hasSensor = !!(setups[setupKey] && setups[setupKey].hasSensor);
 
     // Toggle UI visibility based on the selected setup.
     document.getElementById('wavelength-controls').style.display = (isLaserModel || isImageObject) ? 'none' : 'flex';
-    document.getElementById('laser-pattern-controls').style.display = (isLaserModel || isImageObject) ? 'none' : 'flex';
-    document.getElementById('ray-count-slider').parentElement.style.display = (isLaserModel || isImageObject) ? 'none' : 'flex';
+    updateLaserControls(setupKey);
     document.getElementById('sensor-type-container').style.display = hasSensor ? 'flex' : 'none';
     document.getElementById('pixel-viewer-container').style.display = hasSensor ? 'block' : 'none';
+    document.getElementById('spectrum-container').style.display = 'none';
     
     // Manage visibility of scene objects.
     laserSource.visible = !isLaserModel && !isImageObject; // Hide placeholder if model is shown
@@ -155,29 +461,63 @@ function switchSetup(setupKey) {
 
     const setup = setups[setupKey];
     if (setup) {
-        setup.init({
+        setupHooks = setup.init({
             opticalElements, elementGroup, traceRaysCallback: updateSimulation,
             laserSource, imageObject, envMap: cubeRenderTarget.texture,
             simulationConfig, loadImageCallback: loadImage
-        });
+        }) || {};
     }
+    populateSweepParameters();
+    populateOptimizerVariables();
     updateSimulation();
 }
 
 // === EVENT LISTENERS & INITIALIZATION ===
 document.getElementById('setup-select').addEventListener('change', (e) => switchSetup(e.target.value));
-document.getElementById('wavelength-select').addEventListener('change', (e) => {
-    simulationConfig.wavelength = (e.target.value === 'single') ? parseInt(document.getElementById('wavelength-slider').value) : 'white';
-    document.getElementById('wavelength-slider-container').style.display = (e.target.value === 'single') ? 'flex' : 'none';
+// Sets the traced wavelength(s) from the light-source controls: white light, one laser line
+// or a sampled spectrum from the source library.
+function updateLightSource() {
+    const key = document.getElementById('wavelength-select').value;
+    const spectrum = SOURCE_SPECTRA[key];
+    const temperature = parseInt(document.getElementById('source-temperature-slider').value);
+    const sampleCount = parseInt(document.getElementById('source-samples-slider').value);
+    if (key === 'single') simulationConfig.wavelength = parseInt(document.getElementById('wavelength-slider').value);
+    else if (spectrum) simulationConfig.wavelength = sampleSourceSpectrum(key, { temperature, sampleCount });
+    else simulationConfig.wavelength = 'white';
+    document.getElementById('wavelength-slider-container').style.display = (key === 'single') ? 'flex' : 'none';
+    document.getElementById('source-temperature-container').style.display = (key === 'blackbody') ? 'flex' : 'none';
+    document.getElementById('source-samples-container').style.display = (spectrum && spectrum.type === 'continuous') ? 'flex' : 'none';
+    document.getElementById('wavelength-value').textContent = `${document.getElementById('wavelength-slider').value} nm`;
+    document.getElementById('source-temperature-value').textContent = `${temperature} K`;
+    document.getElementById('source-samples-value').textContent = `${sampleCount}`;
+    updateSimulation();
+}
+document.getElementById('wavelength-select').addEventListener('change', updateLightSource);
+document.getElementById('wavelength-slider').addEventListener('input', updateLightSource);
+document.getElementById('source-temperature-slider').addEventListener('input', updateLightSource);
+document.getElementById('source-samples-slider').addEventListener('input', updateLightSource);
+document.getElementById('laser-pattern-select').addEventListener('change', (e) => {
+    simulationConfig.laserPattern = e.target.value;
     updateSimulation();
 });
-document.getElementById('wavelength-slider').addEventListener('input', (e) => {
-    simulationConfig.wavelength = parseInt(e.target.value);
-    document.getElementById('wavelength-value').textContent = `${simulationConfig.wavelength} nm`;
+document.getElementById('beam-model-select').addEventListener('change', (e) => {
+    simulationConfig.beamModel = e.target.value;
+    updateLaserControls(document.getElementById('setup-select').value);
     updateSimulation();
 });
-document.getElementById('laser-pattern-select').addEventListener('change', (e) => {
-    simulationConfig.laserPattern = e.target.value;
+document.getElementById('beam-waist-slider').addEventListener('input', (e) => {
+    simulationConfig.gaussianBeam.waist = parseFloat(e.target.value) / 10; // mm to cm
+    document.getElementById('beam-waist-value').textContent = `${parseFloat(e.target.value).toFixed(2)} mm`;
+    updateSimulation();
+});
+document.getElementById('beam-waist-position-slider').addEventListener('input', (e) => {
+    simulationConfig.gaussianBeam.waistPosition = parseFloat(e.target.value);
+    document.getElementById('beam-waist-position-value').textContent = `${simulationConfig.gaussianBeam.waistPosition.toFixed(1)} cm`;
+    updateSimulation();
+});
+document.getElementById('beam-m2-slider').addEventListener('input', (e) => {
+    simulationConfig.gaussianBeam.mSquared = parseFloat(e.target.value);
+    document.getElementById('beam-m2-value').textContent = simulationConfig.gaussianBeam.mSquared.toFixed(1);
     updateSimulation();
 });
 document.getElementById('ray-count-slider').addEventListener('input', (e) => {
@@ -185,6 +525,58 @@ document.getElementById('ray-count-slider').addEventListener('input', (e) => {
     document.getElementById('ray-count-value').textContent = simulationConfig.rayCount;
     updateSimulation();
 });
+document.getElementById('trace-mode-select').addEventListener('change', (e) => {
+    simulationConfig.traceMode = e.target.value;
+    document.getElementById('max-bounces-container').style.display = (e.target.value === 'non-sequential') ? 'flex' : 'none';
+    document.getElementById('min-intensity-container').style.display = (e.target.value === 'non-sequential') ? 'flex' : 'none';
+    updateSimulation();
+});
+document.getElementById('max-bounces-slider').addEventListener('input', (e) => {
+    simulationConfig.maxBounces = parseInt(e.target.value);
+    document.getElementById('max-bounces-value').textContent = simulationConfig.maxBounces;
+    updateSimulation();
+});
+document.getElementById('min-intensity-slider').addEventListener('input', (e) => {
+    // The slider sets the exponent, so the cutoff spans several decades.
+    simulationConfig.minIntensity = Math.pow(10, parseFloat(e.target.value));
+    document.getElementById('min-intensity-value').textContent = simulationConfig.minIntensity.toExponential(0);
+    updateSimulation();
+});
+document.getElementById('cardinal-points-toggle').addEventListener('change', (e) => {
+    simulationConfig.showCardinalPoints = e.target.checked;
+    document.getElementById('paraxial-controls').style.display = e.target.checked ? 'block' : 'none';
+    updateSimulation();
+});
+document.getElementById('object-distance-slider').addEventListener('input', (e) => {
+    simulationConfig.objectDistance = parseFloat(e.target.value);
+    document.getElementById('object-distance-value').textContent = `${simulationConfig.objectDistance.toFixed(1)} cm`;
+    updateSimulation();
+});
+document.getElementById('ray-fan-toggle').addEventListener('change', (e) => {
+    simulationConfig.showRayFans = e.target.checked;
+    document.getElementById('field-angle-container').style.display = e.target.checked ? 'flex' : 'none';
+    document.getElementById('ray-fan-container').style.display = e.target.checked ? 'block' : 'none';
+    updateSimulation();
+});
+document.getElementById('field-angle-slider').addEventListener('input', (e) => {
+    simulationConfig.fieldAngle = parseFloat(e.target.value);
+    document.getElementById('field-angle-value').textContent = `${simulationConfig.fieldAngle.toFixed(1)}°`;
+    updateSimulation();
+});
+document.getElementById('sweep-toggle').addEventListener('change', (e) => {
+    document.getElementById('sweep-controls').style.display = e.target.checked ? 'block' : 'none';
+    document.getElementById('sweep-container').style.display = e.target.checked ? 'block' : 'none';
+});
+document.getElementById('sweep-parameter-select').addEventListener('change', updateSweepRange);
+document.getElementById('sweep-run-btn').addEventListener('click', runParameterSweep);
+document.getElementById('sweep-export-btn').addEventListener('click', exportSweepCSV);
+document.getElementById('optimizer-toggle').addEventListener('change', (e) => {
+    document.getElementById('optimizer-controls').style.display = e.target.checked ? 'block' : 'none';
+});
+document.getElementById('optimizer-merit-select').addEventListener('change', (e) => {
+    document.getElementById('optimizer-radius-container').style.display = (e.target.value === 'encircled-energy') ? 'flex' : 'none';
+});
+document.getElementById('optimizer-run-btn').addEventListener('click', runOptimizer);
 document.getElementById('sensor-type-select').addEventListener('change', (e) => {
     simulationConfig.sensorType = e.target.value;
     updateSimulation();
@@ -0,0 +1,103 @@
+// === MERIT FUNCTIONS - V1.0 (Image Quality Metrics) ===
+// Numbers that rate a traced system, for parameter sweeps and the optimizer. Each takes a
+// `computeTrace` result (and optional settings) and returns a number, NaN when it does not
+// apply; `better` says whether low or high values are wanted. A merit that is flat over wide
+// ranges names a smooth `guide` metric the optimizer can follow there. Detector hits are
+// weighted by the power of their rays.
+import { analyzeSpot } from './spot-diagram.js';
+
+// Power-weighted RMS spread of hits along detector x.
+function getWidthAlongX(hits) {
+    const power = hits.reduce((sum, hit) => sum + hit.intensity, 0);
+    if (power <= 0) return NaN;
+    const mean = hits.reduce((sum, hit) => sum + hit.intensity * hit.localX, 0) / power;
+    return Math.sqrt(hits.reduce((sum, hit) => sum + hit.intensity * (hit.localX - mean) ** 2, 0) / power);
+}
+
+// FWHM of a Gaussian with the given RMS width.
+const RMS_TO_FWHM = 2 * Math.sqrt(2 * Math.LN2);
+
+// Power-weighted centroid of hits.
+function getCentroid(hits, power) {
+    return {
+        x: hits.reduce((sum, hit) => sum + hit.intensity * hit.localX, 0) / power,
+        y: hits.reduce((sum, hit) => sum + hit.intensity * hit.localY, 0) / power
+    };
+}
+
+// Average FWHM across detector x of each wavelength's line, and the linear dispersion
+// (cm per nm) from a straight-line fit of the line centres against wavelength.
+function getLineProfile(hits) {
+    const lines = [...new Set(hits.map(hit => hit.wavelength))].map(wavelength => {
+        const lineHits = hits.filter(hit => hit.wavelength === wavelength);
+        const power = lineHits.reduce((sum, hit) => sum + hit.intensity, 0);
+        return { wavelength, center: getCentroid(lineHits, power).x, width: getWidthAlongX(lineHits) };
+    });
+    const fwhm = RMS_TO_FWHM * lines.reduce((sum, line) => sum + line.width, 0) / lines.length;
+    if (lines.length < 2) return { fwhm, dispersion: NaN };
+    const meanWavelength = lines.reduce((sum, line) => sum + line.wavelength, 0) / lines.length;
+    const meanCenter = lines.reduce((sum, line) => sum + line.center, 0) / lines.length;
+    const covariance = lines.reduce((sum, line) => sum + (line.wavelength - meanWavelength) * (line.center - meanCenter), 0);
+    const variance = lines.reduce((sum, line) => sum + (line.wavelength - meanWavelength) ** 2, 0);
+    return { fwhm, dispersion: Math.abs(covariance / variance) };
+}
+
+const litHits = result => result.sensor.hits.filter(hit => hit.intensity > 0);
+
+// Radius for the encircled energy when none is given: 50 µm.
+export const DEFAULT_ENCIRCLED_RADIUS = 0.005;
+
+export const MERIT_FUNCTIONS = {
+    'rms-spot': {
+        label: 'RMS spot radius', unit: 'µm', better: 'min',
+        evaluate: result => {
+            const spot = analyzeSpot(result.sensor.hits);
+            return spot ? spot.total.rmsRadius * 1e4 : NaN;
+        }
+    },
+    'peak-intensity': {
+        label: 'Peak pixel intensity', unit: '% of saturation', better: 'max',
+        evaluate: result => result.sensor.image ? NaN : 100 * result.sensor.maxIntensity / result.sensor.fullScale
+    },
+    // Share of the emitted power within `radius` (cm) of the centroid, so light lost on
+    // the way counts against it.
+    'encircled-energy': {
+        label: 'Encircled energy', unit: '% of emitted', better: 'max', guide: 'rms-spot',
+        evaluate: (result, { radius = DEFAULT_ENCIRCLED_RADIUS } = {}) => {
+            const hits = litHits(result);
+            const power = hits.reduce((sum, hit) => sum + hit.intensity, 0);
+            const { emitted } = result.metadata.power;
+            if (power <= 0 || emitted <= 0) return NaN;
+            const centroid = getCentroid(hits, power);
+            const encircled = hits.filter(hit => Math.hypot(hit.localX - centroid.x, hit.localY - centroid.y) <= radius)
+                .reduce((sum, hit) => sum + hit.intensity, 0);
+            return 100 * encircled / emitted;
+        }
+    },
+    // The width of the slit image each wavelength forms across the detector, averaged.
+    'line-width': {
+        label: 'Spectral line width (FWHM)', unit: 'µm', better: 'min',
+        evaluate: result => {
+            const hits = litHits(result);
+            return hits.length === 0 ? NaN : 1e4 * getLineProfile(hits).fwhm;
+        }
+    },
+    // The line width expressed as the wavelength difference it spans, from the dispersion
+    // between the traced wavelengths; needs white light.
+    'spectral-resolution': {
+        label: 'Spectral resolution', unit: 'nm', better: 'min',
+        evaluate: result => {
+            const hits = litHits(result);
+            if (hits.length === 0) return NaN;
+            const { fwhm, dispersion } = getLineProfile(hits);
+            return dispersion > 0 ? fwhm / dispersion : NaN;
+        }
+    },
+    'detected-power': {
+        label: 'Detected power', unit: '% of emitted', better: 'max',
+        evaluate: result => {
+            const { emitted, detected } = result.metadata.power;
+            return emitted > 0 ? 100 * detected / emitted : NaN;
+        }
+    }
+};
@@ -1,6 +1,98 @@
 import * as THREE from 'three';
-import { createLens, createMirror, createDiffractionGrating, createReflectiveGrating, createSphericalMirror, createOpticalSlit, createAperture } from './optics-components.js';
+import { createLens, createRefractiveLens, createLensGroup, createPrism, createDetector, createMirror, createDiffractionGrating, createReflectiveGrating, createSphericalMirror, createOpticalSlit, createAperture, createPolarizer, createWavePlate, createPolarizingBeamSplitter, createThinFilm } from './optics-components.js';
 import { loadVisualModel } from './model-loader.js';
+import { glassCatalog, FRAUNHOFER_LINES, getAbbeNumber } from './optical-materials.js';
+
+// Focal-length sliders run through zero; the middle of the range is a lens with no power.
+function thinLensFocalLength(sliderValue) {
+    const f = parseFloat(sliderValue);
+    return (Math.abs(f) < 1e-9) ? Infinity : f;
+}
+
+function formatLength(f) {
+    return isFinite(f) ? f.toFixed(1) + ' cm' : '∞';
+}
+
+// A custom constant index has no dispersion, so an infinite Abbe number.
+function formatAbbeNumber(material) {
+    const abbeNumber = getAbbeNumber(material);
+    return isFinite(abbeNumber) ? abbeNumber.toFixed(1) : '∞';
+}
+
+function glassOptions(selectedKey) {
+    return Object.entries(glassCatalog).map(([key, glass]) =>
+        `<option value="${key}"${key === selectedKey ? ' selected' : ''}>${glass.name}</option>`).join('');
+}
+
+// Controls for the diffraction orders and blaze of a grating, with a readout of the
+// efficiency of each order for the white-light wavelengths.
+const GRATING_READOUT_WAVELENGTHS = [450, 532, 650];
+
+function gratingOrderControls() {
+    return `
+                <hr>
+                <div class="setup-title">Orders &amp; Blaze</div>
+                <div class="control-row"><label for="grating-min-order">Lowest Order:</label><input type="range" id="grating-min-order" min="-5" max="0" value="-1" step="1"><span id="grating-min-order-value">-1</span></div>
+                <div class="control-row"><label for="grating-max-order">Highest Order:</label><input type="range" id="grating-max-order" min="0" max="5" value="1" step="1"><span id="grating-max-order-value">+1</span></div>
+                <div class="control-row">
+                    <label for="grating-blaze-order">Blaze:</label>
+                    <select id="grating-blaze-order">
+                        <option value="0" selected>None (equal orders)</option>
+                        <option value="1">Order +1</option>
+                        <option value="-1">Order -1</option>
+                        <option value="2">Order +2</option>
+                        <option value="-2">Order -2</option>
+                    </select>
+                </div>
+                <div class="control-row"><label for="grating-blaze-wavelength">Blaze Wavelength:</label><input type="range" id="grating-blaze-wavelength" min="300" max="1000" value="500" step="10" disabled><span id="grating-blaze-wavelength-value">500 nm</span></div>
+                <div class="setup-title">Efficiency (${GRATING_READOUT_WAVELENGTHS.join(' / ')} nm)</div>
+                <div id="grating-efficiency-readout"></div>`;
+}
+
+function bindGratingOrderControls(grating, traceRaysCallback) {
+    const formatOrder = (m) => (m > 0 ? `+${m}` : `${m}`);
+    const percent = (value) => `${Math.round(100 * value)}`;
+
+    function updateReadout() {
+        const orders = grating.getOrders();
+        const isBlazed = !!grating.getBlazeWavelength();
+        // Evanescent orders, for the laser's beam along +x, carry no light.
+        const incident = new THREE.Vector3(1, 0, 0);
+        const propagating = GRATING_READOUT_WAVELENGTHS.map(wavelength =>
+            grating.getOrderDirections(incident, wavelength).filter(order => order.direction).map(order => order.order));
+        const rows = orders.map(m => {
+            const values = GRATING_READOUT_WAVELENGTHS.map((wavelength, i) => {
+                if (!propagating[i].includes(m)) return '–';
+                if (isBlazed) return percent(grating.getOrderEfficiency(m, wavelength));
+                return percent(1 / propagating[i].length);
+            });
+            return `<div class="control-row"><label>m = ${formatOrder(m)}:</label><span style="width: auto;">${values.join(' / ')} %</span></div>`;
+        });
+        document.getElementById('grating-efficiency-readout').innerHTML = rows.join('');
+    }
+
+    function updateOrders() {
+        const blazeOrder = parseInt(document.getElementById('grating-blaze-order').value);
+        const blazeSlider = document.getElementById('grating-blaze-wavelength');
+        grating.minOrder = parseInt(document.getElementById('grating-min-order').value);
+        grating.maxOrder = parseInt(document.getElementById('grating-max-order').value);
+        grating.blazeOrder = blazeOrder || 1;
+        grating.blazeWavelength = blazeOrder ? parseFloat(blazeSlider.value) : null;
+        blazeSlider.disabled = !blazeOrder;
+        document.getElementById('grating-min-order-value').textContent = formatOrder(grating.minOrder);
+        document.getElementById('grating-max-order-value').textContent = formatOrder(grating.maxOrder);
+        document.getElementById('grating-blaze-wavelength-value').textContent = `${blazeSlider.value} nm`;
+        updateReadout();
+        traceRaysCallback();
+    }
+
+    document.getElementById('grating-min-order').addEventListener('input', updateOrders);
+    document.getElementById('grating-max-order').addEventListener('input', updateOrders);
+    document.getElementById('grating-blaze-order').addEventListener('change', updateOrders);
+    document.getElementById('grating-blaze-wavelength').addEventListener('input', updateOrders);
+    updateOrders();
+    return updateReadout;
+}
 
 export const componentSetups = {
     'laser-model': {
@@ -25,7 +117,14 @@ export const componentSetups = {
             controlsDiv.innerHTML = `
                 <div class="setup-title">Lens</div>
                 <div class="control-row"><label for="lens-x">Position (X):</label><input type="range" id="lens-x" min="-5" max="5" value="0" step="0.1"><span id="lens-x-value">0.0 cm</span></div>
-                <div class="control-row"><label for="focal-length">Focal Length:</label><input type="range" id="focal-length" min="1" max="10" value="4" step="0.1"><span id="focal-length-value">4.0 cm</span></div>`;
+                <div class="control-row"><label for="focal-length">Focal Length:</label><input type="range" id="focal-length" min="-10" max="10" value="4" step="0.1"><span id="focal-length-value">4.0 cm</span></div>
+                <div class="control-row">
+                    <label for="lens-material">Glass:</label>
+                    <select id="lens-material">
+                        <option value="ideal" selected>Ideal (No Dispersion)</option>
+                        ${glassOptions(null)}
+                    </select>
+                </div>`;
 
             document.getElementById('lens-x').addEventListener('input', (e) => {
                 const newX = parseFloat(e.target.value);
@@ -35,8 +134,13 @@ export const componentSetups = {
                 traceRaysCallback();
             });
             document.getElementById('focal-length').addEventListener('input', (e) => {
-                lensElement.focalLength = parseFloat(e.target.value);
-                document.getElementById('focal-length-value').textContent = parseFloat(e.target.value).toFixed(1) + ' cm';
+                const f = thinLensFocalLength(e.target.value);
+                lensElement.setFocalLength(f);
+                document.getElementById('focal-length-value').textContent = formatLength(f);
+                traceRaysCallback();
+            });
+            document.getElementById('lens-material').addEventListener('change', (e) => {
+                lensElement.material = (e.target.value === 'ideal') ? null : e.target.value;
                 traceRaysCallback();
             });
         }
@@ -52,11 +156,11 @@ export const componentSetups = {
             controlsDiv.innerHTML = `
                 <div class="setup-title">Lens 1</div>
                 <div class="control-row"><label for="lens1-x">Position (X):</label><input type="range" id="lens1-x" min="-8" max="8" value="-4" step="0.1"><span id="lens1-x-value">-4.0 cm</span></div>
-                <div class="control-row"><label for="lens1-focal">Focal Length:</label><input type="range" id="lens1-focal" min="1" max="10" value="4" step="0.1"><span id="lens1-focal-value">4.0 cm</span></div>
+                <div class="control-row"><label for="lens1-focal">Focal Length:</label><input type="range" id="lens1-focal" min="-10" max="10" value="4" step="0.1"><span id="lens1-focal-value">4.0 cm</span></div>
                 <hr>
                 <div class="setup-title">Lens 2</div>
                 <div class="control-row"><label for="lens2-x">Position (X):</label><input type="range" id="lens2-x" min="-8" max="8" value="4" step="0.1"><span id="lens2-x-value">4.0 cm</span></div>
-                <div class="control-row"><label for="lens2-focal">Focal Length:</label><input type="range" id="lens2-focal" min="1" max="10" value="4" step="0.1"><span id="lens2-focal-value">4.0 cm</span></div>
+                <div class="control-row"><label for="lens2-focal">Focal Length:</label><input type="range" id="lens2-focal" min="-10" max="10" value="4" step="0.1"><span id="lens2-focal-value">4.0 cm</span></div>
             `;
 
             document.getElementById('lens1-x').addEventListener('input', (e) => { 
@@ -67,8 +171,9 @@ export const componentSetups = {
                 traceRaysCallback(); 
             });
             document.getElementById('lens1-focal').addEventListener('input', (e) => { 
-                lens1Element.focalLength = parseFloat(e.target.value); 
-                document.getElementById('lens1-focal-value').textContent = parseFloat(e.target.value).toFixed(1) + ' cm'; 
+                const f = thinLensFocalLength(e.target.value);
+                lens1Element.setFocalLength(f);
+                document.getElementById('lens1-focal-value').textContent = formatLength(f);
                 traceRaysCallback(); 
             });
             document.getElementById('lens2-x').addEventListener('input', (e) => { 
@@ -79,12 +184,193 @@ export const componentSetups = {
                 traceRaysCallback(); 
             });
             document.getElementById('lens2-focal').addEventListener('input', (e) => { 
-                lens2Element.focalLength = parseFloat(e.target.value); 
-                document.getElementById('lens2-focal-value').textContent = parseFloat(e.target.value).toFixed(1) + ' cm'; 
+                const f = thinLensFocalLength(e.target.value);
+                lens2Element.setFocalLength(f);
+                document.getElementById('lens2-focal-value').textContent = formatLength(f);
                 traceRaysCallback(); 
             });
         }
     },
+    'refractive-lens': {
+        name: 'Refractive Lens',
+        init: function({ opticalElements, elementGroup, traceRaysCallback }) {
+            const lensData = createRefractiveLens('lens1', {x: 0, y: 0, z: 0}, { R1: 5, R2: -5, thickness: 1.0, material: 'N-BK7', diameter: 5 }, elementGroup);
+            opticalElements.push(lensData.element);
+
+            // Signs of R1 and R2 for each lens form; 0 marks a flat surface.
+            const lensShapes = {
+                'biconvex': [1, -1],
+                'plano-convex': [1, 0],
+                'meniscus-convex': [1, 1],
+                'meniscus-concave': [-1, -1],
+                'biconcave': [-1, 1],
+                'plano-concave': [-1, 0]
+            };
+
+            const controlsDiv = document.getElementById('setup-controls');
+            controlsDiv.innerHTML = `
+                <div class="setup-title">Lens</div>
+                <div class="control-row"><label for="lens-x">Position (X):</label><input type="range" id="lens-x" min="-5" max="5" value="0" step="0.1"><span id="lens-x-value">0.0 cm</span></div>
+                <div class="control-row">
+                    <label for="lens-shape">Lens Form:</label>
+                    <select id="lens-shape">
+                        <option value="biconvex" selected>Biconvex</option>
+                        <option value="plano-convex">Plano-Convex</option>
+                        <option value="meniscus-convex">Meniscus (Convex Front)</option>
+                        <option value="meniscus-concave">Meniscus (Concave Front)</option>
+                        <option value="biconcave">Biconcave</option>
+                        <option value="plano-concave">Plano-Concave</option>
+                    </select>
+                </div>
+                <div class="control-row"><label for="lens-r1">Front Radius |R1|:</label><input type="range" id="lens-r1" min="2" max="30" value="5" step="0.5"><span id="lens-r1-value">5.0 cm</span></div>
+                <div class="control-row"><label for="lens-r2">Back Radius |R2|:</label><input type="range" id="lens-r2" min="2" max="30" value="5" step="0.5"><span id="lens-r2-value">-5.0 cm</span></div>
+                <div class="control-row"><label for="lens-thickness">Thickness:</label><input type="range" id="lens-thickness" min="0.2" max="3" value="1" step="0.1"><span id="lens-thickness-value">1.0 cm</span></div>
+                <div class="control-row">
+                    <label for="lens-material">Glass:</label>
+                    <select id="lens-material">
+                        ${glassOptions('N-BK7')}
+                        <option value="custom">Custom Index</option>
+                    </select>
+                </div>
+                <div class="control-row" id="lens-ior-row" style="display: none;"><label for="lens-ior">Refractive Index:</label><input type="range" id="lens-ior" min="1.3" max="2" value="1.5" step="0.01"><span id="lens-ior-value">1.50</span></div>
+                <div class="control-row"><label>Abbe Number:</label><span id="lens-abbe-value"></span></div>
+                <div class="control-row">
+                    <label for="lens-coating">Coating:</label>
+                    <select id="lens-coating">
+                        <option value="uncoated" selected>Uncoated</option>
+                        <option value="ar">Anti-Reflection</option>
+                    </select>
+                </div>
+                <div class="control-row"><label for="lens-diameter">Diameter:</label><input type="range" id="lens-diameter" min="1" max="7" value="5" step="0.1"><span id="lens-diameter-value">5.0 cm</span></div>
+                <div class="control-row"><label>Focal Length:</label><span id="lens-efl-value"></span></div>
+                <div class="control-row"><label>Back Focal Length:</label><span id="lens-bfl-value"></span></div>
+                <div class="control-row"><label>Focal Shift (F-C):</label><span id="lens-chromatic-value"></span></div>
+                <div class="control-row"><label>Transmission:</label><span id="lens-transmission-value"></span></div>`;
+
+            document.getElementById('lens-x').addEventListener('input', (e) => {
+                lensData.mesh.position.x = parseFloat(e.target.value);
+                document.getElementById('lens-x-value').textContent = parseFloat(e.target.value).toFixed(1) + ' cm';
+                traceRaysCallback();
+            });
+
+            const shapeSelect = document.getElementById('lens-shape');
+            const r1Slider = document.getElementById('lens-r1');
+            const r2Slider = document.getElementById('lens-r2');
+            const thicknessSlider = document.getElementById('lens-thickness');
+            const materialSelect = document.getElementById('lens-material');
+            const iorSlider = document.getElementById('lens-ior');
+            const diameterSlider = document.getElementById('lens-diameter');
+            const coatingSelect = document.getElementById('lens-coating');
+
+            function updateLensShape() {
+                const [sign1, sign2] = lensShapes[shapeSelect.value];
+                const lens = lensData.element;
+                lens.R1 = (sign1 === 0) ? Infinity : sign1 * parseFloat(r1Slider.value);
+                lens.R2 = (sign2 === 0) ? Infinity : sign2 * parseFloat(r2Slider.value);
+                lens.thickness = parseFloat(thicknessSlider.value);
+                const isCustom = materialSelect.value === 'custom';
+                lens.material = isCustom ? parseFloat(iorSlider.value) : materialSelect.value;
+                document.getElementById('lens-ior-row').style.display = isCustom ? 'flex' : 'none';
+                lens.diameter = parseFloat(diameterSlider.value);
+                lens.coated = coatingSelect.value === 'ar';
+                r2Slider.disabled = (sign2 === 0);
+
+                document.getElementById('lens-r1-value').textContent = formatLength(lens.R1);
+                document.getElementById('lens-r2-value').textContent = formatLength(lens.R2);
+                document.getElementById('lens-thickness-value').textContent = lens.thickness.toFixed(1) + ' cm';
+                document.getElementById('lens-ior-value').textContent = lens.getIndex(FRAUNHOFER_LINES.d).toFixed(2);
+                document.getElementById('lens-abbe-value').textContent = formatAbbeNumber(lens.material);
+                document.getElementById('lens-diameter-value').textContent = lens.diameter.toFixed(1) + ' cm';
+                document.getElementById('lens-efl-value').textContent = formatLength(lens.getFocalLength());
+                document.getElementById('lens-bfl-value').textContent = formatLength(lens.getBackFocalLength());
+                // Axial color: the blue (F) focus relative to the red (C) focus.
+                const focalShift = lens.getBackFocalLength(FRAUNHOFER_LINES.F) - lens.getBackFocalLength(FRAUNHOFER_LINES.C);
+                document.getElementById('lens-chromatic-value').textContent = isFinite(focalShift) ? `${(focalShift * 10).toFixed(2)} mm` : '-';
+                document.getElementById('lens-transmission-value').textContent = `${(100 * lens.getAxialTransmission()).toFixed(1)} %`;
+
+                lens._rebuildMesh();
+                traceRaysCallback();
+            }
+
+            shapeSelect.addEventListener('change', updateLensShape);
+            r1Slider.addEventListener('input', updateLensShape);
+            r2Slider.addEventListener('input', updateLensShape);
+            thicknessSlider.addEventListener('input', updateLensShape);
+            materialSelect.addEventListener('change', updateLensShape);
+            iorSlider.addEventListener('input', updateLensShape);
+            diameterSlider.addEventListener('input', updateLensShape);
+            coatingSelect.addEventListener('change', updateLensShape);
+            updateLensShape();
+        }
+    },
+    'achromat-comparison': {
+        name: 'Singlet vs. Achromat',
+        hasSensor: true,
+        init: function({ opticalElements, elementGroup, traceRaysCallback }) {
+            // Both lenses have nearly the same focal length. The doublet pairs a crown and a
+            // flint glass so the F and C foci coincide; the singlet shows the full focal shift.
+            const singletData = createLensGroup('singlet', {x: -4, y: 0, z: 0}, {
+                surfaces: [{ R: 8.9, thickness: 0.5, material: 'N-BK7' }, { R: -8.9 }], diameter: 3
+            }, elementGroup);
+            const doubletData = createLensGroup('doublet', {x: -4, y: 0, z: 0}, {
+                surfaces: [{ R: 3.583, thickness: 0.9, material: 'N-BK7' }, { R: -3.583, thickness: 0.3, material: 'F2' }, { R: 250 }], diameter: 3
+            }, elementGroup);
+            const detectorData = createDetector('detector1', {x: 4.3, y: 0, z: 0}, elementGroup);
+            const lenses = { singlet: singletData, doublet: doubletData };
+
+            const controlsDiv = document.getElementById('setup-controls');
+            controlsDiv.innerHTML = `
+                <div class="setup-title">Lens</div>
+                <div class="control-row">
+                    <label for="achromat-lens">Lens:</label>
+                    <select id="achromat-lens">
+                        <option value="singlet" selected>BK7 Singlet</option>
+                        <option value="doublet">BK7/F2 Achromatic Doublet</option>
+                    </select>
+                </div>
+                <hr>
+                <div class="setup-title">Detector</div>
+                <div class="control-row"><label for="detector-x">Position (X):</label><input type="range" id="detector-x" min="2" max="8" value="4.3" step="0.05"><span id="detector-x-value">4.30 cm</span></div>
+                <hr>
+                <div class="setup-title">Focal Length per Wavelength</div>
+                <div id="achromat-readout"></div>
+            `;
+
+            const lines = [
+                { label: 'F (486 nm)', wavelength: FRAUNHOFER_LINES.F },
+                { label: 'd (588 nm)', wavelength: FRAUNHOFER_LINES.d },
+                { label: 'C (656 nm)', wavelength: FRAUNHOFER_LINES.C }
+            ];
+            const lensSelect = document.getElementById('achromat-lens');
+
+            function selectLens() {
+                const selected = lenses[lensSelect.value];
+                opticalElements.length = 0;
+                opticalElements.push(selected.element, detectorData.element);
+                singletData.mesh.visible = (selected === singletData);
+                doubletData.mesh.visible = (selected === doubletData);
+
+                const lens = selected.element;
+                const rows = lines.map(line => `<div class="control-row"><label>${line.label}:</label><span>${lens.getFocalLength(line.wavelength).toFixed(3)} cm</span></div>`);
+                const focalShift = lens.getBackFocalLength(FRAUNHOFER_LINES.F) - lens.getBackFocalLength(FRAUNHOFER_LINES.C);
+                rows.push(`<div class="control-row"><label>Focal Shift (F-C):</label><span>${(focalShift * 10).toFixed(3)} mm</span></div>`);
+                // The doublet cancels the dispersion of its crown with the low-V flint.
+                lens.surfaces.slice(0, -1).forEach(surface => {
+                    rows.push(`<div class="control-row"><label>Abbe Number (${surface.material}):</label><span>${formatAbbeNumber(surface.material)}</span></div>`);
+                });
+                document.getElementById('achromat-readout').innerHTML = rows.join('');
+                traceRaysCallback();
+            }
+
+            lensSelect.addEventListener('change', selectLens);
+            document.getElementById('detector-x').addEventListener('input', (e) => {
+                detectorData.mesh.position.x = parseFloat(e.target.value);
+                document.getElementById('detector-x-value').textContent = parseFloat(e.target.value).toFixed(2) + ' cm';
+                traceRaysCallback();
+            });
+            selectLens();
+        }
+    },
     'flat-mirror': {
         name: 'Flat Mirror',
         init: function({ opticalElements, elementGroup, traceRaysCallback, envMap }) {
@@ -112,7 +398,7 @@ export const componentSetups = {
         }
     },
     'spherical-mirror': {
-            name: 'Spherical Mirror',
+            name: 'Curved Mirror',
             init: function({ opticalElements, elementGroup, traceRaysCallback, envMap }) {
                 const mirrorData = createSphericalMirror('spherical_mirror_1', {x: 5, y: 0, z: 0}, -10, -45, envMap, elementGroup);
                 opticalElements.push(mirrorData.element);
@@ -121,19 +407,47 @@ export const componentSetups = {
                 controlsDiv.innerHTML = `
                     <div class="setup-title">Mirror</div>
                     <div class="control-row"><label for="mirror-x">Position (X):</label><input type="range" id="mirror-x" min="-5" max="8" value="5" step="0.1"><span id="mirror-x-value">5.0 cm</span></div>
-                    <div class="control-row"><label for="mirror-radius">Radius of Curvature:</label><input type="range" id="mirror-radius" min="-20" max="-5" value="-10" step="0.1"><span id="mirror-radius-value">-10.0 cm</span></div>
-                    <div class="control-row"><label for="mirror-angle">Angle:</label><input type="range" id="mirror-angle" min="-45" max="45" value="-45" step="1"><span id="mirror-angle-value">-45&deg;</span></div>`;
+                    <div class="control-row">
+                        <label for="mirror-type">Surface:</label>
+                        <select id="mirror-type">
+                            <option value="spherical" selected>Spherical</option>
+                            <option value="parabolic">Parabolic</option>
+                            <option value="elliptical">Elliptical</option>
+                        </select>
+                    </div>
+                    <div class="control-row" id="mirror-conic-row" style="display: none;"><label for="mirror-conic">Conic Constant:</label><input type="range" id="mirror-conic" min="-0.95" max="-0.05" value="-0.5" step="0.05"><span id="mirror-conic-value">-0.50</span></div>
+                    <div class="control-row"><label for="mirror-radius">Radius of Curvature:</label><input type="range" id="mirror-radius" min="-20" max="20" value="-10" step="0.1"><span id="mirror-radius-value">-10.0 cm</span></div>
+                    <div class="control-row"><label for="mirror-angle">Angle:</label><input type="range" id="mirror-angle" min="-45" max="45" value="-45" step="1"><span id="mirror-angle-value">-45&deg;</span></div>
+                    <div class="control-row"><label>Focal Length:</label><span id="mirror-focal-value">5.0 cm</span></div>`;
+
+                const typeSelect = document.getElementById('mirror-type');
+                const conicSlider = document.getElementById('mirror-conic');
+                const radiusSlider = document.getElementById('mirror-radius');
+
+                // Negative radii are concave; the middle of the slider is a flat mirror.
+                const updateSurface = () => {
+                    const type = typeSelect.value;
+                    const radius = parseFloat(radiusSlider.value);
+                    const conic = parseFloat(conicSlider.value);
+                    mirrorData.element.radius = Math.abs(radius) < 1e-9 ? Infinity : radius;
+                    mirrorData.element.conic = type === 'parabolic' ? -1 : type === 'elliptical' ? conic : 0;
+                    mirrorData.element._rebuildMesh();
+
+                    document.getElementById('mirror-conic-row').style.display = type === 'elliptical' ? 'flex' : 'none';
+                    document.getElementById('mirror-conic-value').textContent = conic.toFixed(2);
+                    document.getElementById('mirror-radius-value').textContent = formatLength(mirrorData.element.radius);
+                    document.getElementById('mirror-focal-value').textContent = formatLength(mirrorData.element.getFocalLength());
+                    traceRaysCallback();
+                };
 
                 document.getElementById('mirror-x').addEventListener('input', (e) => {
                     mirrorData.mesh.position.x = parseFloat(e.target.value);
                     document.getElementById('mirror-x-value').textContent = parseFloat(e.target.value).toFixed(1) + ' cm';
                     traceRaysCallback();
                 });
-                document.getElementById('mirror-radius').addEventListener('input', (e) => {
-                    mirrorData.element.radius = parseFloat(e.target.value);
-                    document.getElementById('mirror-radius-value').textContent = parseFloat(e.target.value).toFixed(1) + ' cm';
-                    traceRaysCallback();
-                });
+                typeSelect.addEventListener('change', updateSurface);
+                conicSlider.addEventListener('input', updateSurface);
+                radiusSlider.addEventListener('input', updateSurface);
                 
                 document.getElementById('mirror-angle').addEventListener('input', (e) => {
                     const angle = parseFloat(e.target.value);
@@ -145,16 +459,27 @@ export const componentSetups = {
         },
     'aperture': {
         name: 'Circular Aperture',
+        hasSensor: true,
         init: function({ opticalElements, elementGroup, traceRaysCallback }) {
             const initialConfig = { diameter: 1.0 };
             const apertureData = createAperture('aperture1', {x: 0, y: 0, z: 0}, initialConfig, elementGroup);
-            opticalElements.push(apertureData.element);
+            const detectorData = createDetector('detector1', {x: 8, y: 0, z: 0}, elementGroup);
+            opticalElements.push(apertureData.element, detectorData.element);
 
             const controlsDiv = document.getElementById('setup-controls');
             controlsDiv.innerHTML = `
                 <div class="setup-title">Aperture</div>
                 <div class="control-row"><label for="aperture-x">Position (X):</label><input type="range" id="aperture-x" min="-5" max="5" value="0" step="0.1"><span id="aperture-x-value">0.0 cm</span></div>
-                <div class="control-row"><label for="aperture-diameter">Diameter:</label><input type="range" id="aperture-diameter" min="1" max="20" value="10" step="0.5"><span id="aperture-diameter-value">10.0 mm</span></div>
+                <div class="control-row"><label for="aperture-diameter">Diameter:</label><input type="range" id="aperture-diameter" min="0.05" max="20" value="10" step="0.05"><span id="aperture-diameter-value">10.00 mm</span></div>
+                <hr>
+                <div class="control-row">
+                    <label for="aperture-propagation">Propagation:</label>
+                    <select id="aperture-propagation">
+                        <option value="geometric" selected>Geometric Rays</option>
+                        <option value="wave">Wave Optics</option>
+                    </select>
+                </div>
+                <div style="font-size: 0.85em; margin-top: 8px;">Wave optics only applies to an opening directly in front of a detector; anywhere else it is traced with geometric rays.</div>
             `;
 
             document.getElementById('aperture-x').addEventListener('input', (e) => {
@@ -165,26 +490,52 @@ export const componentSetups = {
 
             document.getElementById('aperture-diameter').addEventListener('input', (e) => {
                 const newDiameterMM = parseFloat(e.target.value);
-                document.getElementById('aperture-diameter-value').textContent = newDiameterMM.toFixed(1) + ' mm';
+                document.getElementById('aperture-diameter-value').textContent = newDiameterMM.toFixed(2) + ' mm';
                 apertureData.element.diameter = newDiameterMM / 10;
                 apertureData.element._rebuildMesh();
                 traceRaysCallback();
             });
+
+            document.getElementById('aperture-propagation').addEventListener('change', (e) => {
+                apertureData.element.waveOptics = e.target.value === 'wave';
+                traceRaysCallback();
+            });
         }
     },
     'optical-slit': {
         name: 'Optical Slit',
+        hasSensor: true,
         init: function({ opticalElements, elementGroup, traceRaysCallback }) {
-            const initialConfig = { slitWidth: 50 / 10000, slitHeight: 1.2 };
+            const initialConfig = { slitWidth: 50 / 10000, slitHeight: 1.2, slitCount: 1, slitSeparation: 200 / 10000 };
             const slitData = createOpticalSlit('slit1', {x: 0, y: 0, z: 0}, initialConfig, elementGroup);
-            opticalElements.push(slitData.element);
+            const detectorData = createDetector('detector1', {x: 8, y: 0, z: 0}, elementGroup);
+            opticalElements.push(slitData.element, detectorData.element);
 
             const controlsDiv = document.getElementById('setup-controls');
             controlsDiv.innerHTML = `
                 <div class="setup-title">Slit</div>
                 <div class="control-row"><label for="slit-x">Position (X):</label><input type="range" id="slit-x" min="-5" max="5" value="0" step="0.1"><span id="slit-x-value">0.0 cm</span></div>
-                <div class="control-row"><label for="slit-width">Width:</label><input type="range" id="slit-width" min="10" max="500" value="50" step="5"><span id="slit-width-value">50 µm</span></div>
+                <div class="control-row"><label for="slit-width">Width:</label><input type="range" id="slit-width" min="2" max="500" value="50" step="1"><span id="slit-width-value">50 µm</span></div>
                 <div class="control-row"><label for="slit-height">Height:</label><input type="range" id="slit-height" min="1" max="20" value="12" step="0.5"><span id="slit-height-value">12.0 mm</span></div>
+                <div class="control-row">
+                    <label for="slit-count">Slits:</label>
+                    <select id="slit-count">
+                        <option value="1" selected>1</option>
+                        <option value="2">2 (Young)</option>
+                        <option value="3">3</option>
+                        <option value="5">5</option>
+                    </select>
+                </div>
+                <div class="control-row"><label for="slit-separation">Separation:</label><input type="range" id="slit-separation" min="5" max="1000" value="200" step="5"><span id="slit-separation-value">200 µm</span></div>
+                <hr>
+                <div class="control-row">
+                    <label for="slit-propagation">Propagation:</label>
+                    <select id="slit-propagation">
+                        <option value="geometric" selected>Geometric Rays</option>
+                        <option value="wave">Wave Optics</option>
+                    </select>
+                </div>
+                <div style="font-size: 0.85em; margin-top: 8px;">Wave optics only applies to an opening directly in front of a detector; anywhere else it is traced with geometric rays.</div>
             `;
 
             document.getElementById('slit-x').addEventListener('input', (e) => {
@@ -195,16 +546,24 @@ export const componentSetups = {
     
             const widthSlider = document.getElementById('slit-width');
             const heightSlider = document.getElementById('slit-height');
+            const countSelect = document.getElementById('slit-count');
+            const separationSlider = document.getElementById('slit-separation');
     
             function updateSlitDimensions() {
                 const newWidthUM = parseFloat(widthSlider.value);
                 const newHeightMM = parseFloat(heightSlider.value);
+                const newSeparationUM = parseFloat(separationSlider.value);
     
                 document.getElementById('slit-width-value').textContent = newWidthUM.toFixed(0) + ' µm';
                 document.getElementById('slit-height-value').textContent = newHeightMM.toFixed(1) + ' mm';
+                document.getElementById('slit-separation-value').textContent = newSeparationUM.toFixed(0) + ' µm';
     
                 slitData.element.slitWidth = newWidthUM / 10000;
                 slitData.element.slitHeight = newHeightMM / 10;
+                slitData.element.slitCount = parseInt(countSelect.value);
+                // Neighbouring slits may touch but not overlap.
+                slitData.element.slitSeparation = Math.max(newSeparationUM, newWidthUM) / 10000;
+                separationSlider.disabled = slitData.element.slitCount === 1;
                 
                 slitData.element._rebuildMesh();
                 traceRaysCallback();
@@ -212,6 +571,13 @@ export const componentSetups = {
     
             widthSlider.addEventListener('input', updateSlitDimensions);
             heightSlider.addEventListener('input', updateSlitDimensions);
+            countSelect.addEventListener('change', updateSlitDimensions);
+            separationSlider.addEventListener('input', updateSlitDimensions);
+            document.getElementById('slit-propagation').addEventListener('change', (e) => {
+                slitData.element.waveOptics = e.target.value === 'wave';
+                traceRaysCallback();
+            });
+            separationSlider.disabled = true;
         }
     },
     'diffraction-grating': {
@@ -225,6 +591,7 @@ export const componentSetups = {
             controlsDiv.innerHTML = `
                 <div class="setup-title">Grating</div>
                 <div class="control-row"><label for="grating-x">Position (X):</label><input type="range" id="grating-x" min="-5" max="5" value="0" step="0.1"><span id="grating-x-value">0.0 cm</span></div>
+                <div class="control-row"><label for="grating-angle">Angle:</label><input type="range" id="grating-angle" min="-60" max="60" value="0" step="1"><span id="grating-angle-value">0&deg;</span></div>
                 <div class="control-row"><label for="grating-density">Grooves:</label><input type="range" id="grating-density" min="100" max="2000" value="600" step="50"><span id="grating-density-value">600 L/mm</span></div>
                 <div class="control-row">
                     <label for="grating-orientation">Line Orientation:</label>
@@ -232,8 +599,9 @@ export const componentSetups = {
                         <option value="horizontal" selected>Horizontal</option>
                         <option value="vertical">Vertical</option>
                     </select>
-                </div>
+                </div>${gratingOrderControls()}
             `;
+            const updateEfficiencyReadout = bindGratingOrderControls(gratingData.element, traceRaysCallback);
 
             document.getElementById('grating-x').addEventListener('input', (e) => {
                 gratingData.mesh.position.x = parseFloat(e.target.value);
@@ -241,19 +609,96 @@ export const componentSetups = {
                 traceRaysCallback();
             });
 
+            // Tilting vertical rulings changes the angle of incidence; with horizontal rulings
+            // the beam meets them conically.
+            document.getElementById('grating-angle').addEventListener('input', (e) => {
+                const angle = parseFloat(e.target.value);
+                gratingData.mesh.rotation.y = Math.PI / 2 + angle * (Math.PI / 180);
+                document.getElementById('grating-angle-value').innerHTML = `${angle}&deg;`;
+                updateEfficiencyReadout();
+                traceRaysCallback();
+            });
+
             document.getElementById('grating-density').addEventListener('input', (e) => {
                 const density = parseInt(e.target.value);
                 gratingData.element.linesPerMM = density;
                 document.getElementById('grating-density-value').textContent = `${density} L/mm`;
+                updateEfficiencyReadout();
                 traceRaysCallback();
             });
 
             document.getElementById('grating-orientation').addEventListener('change', (e) => {
                 gratingData.element.lineOrientation = e.target.value;
+                updateEfficiencyReadout();
                 traceRaysCallback();
             });
         }
     },
+    'prism-spectrometer': {
+        name: 'Prism Spectrometer',
+        init: function({ opticalElements, elementGroup, traceRaysCallback }) {
+            const prismData = createPrism('prism1', {x: 0, y: -1, z: 0}, { apexAngle: 60, material: 'N-SF11', rotation: -33, faceLength: 4 }, elementGroup);
+            opticalElements.push(prismData.element);
+
+            const controlsDiv = document.getElementById('setup-controls');
+            controlsDiv.innerHTML = `
+                <div class="setup-title">Prism</div>
+                <div class="control-row"><label for="prism-apex">Apex Angle:</label><input type="range" id="prism-apex" min="20" max="75" value="60" step="1"><span id="prism-apex-value">60&deg;</span></div>
+                <div class="control-row"><label for="prism-rotation">Rotation:</label><input type="range" id="prism-rotation" min="-60" max="30" value="-33" step="0.5"><span id="prism-rotation-value">-33.0&deg;</span></div>
+                <div class="control-row">
+                    <label for="prism-material">Glass:</label>
+                    <select id="prism-material">${glassOptions('N-SF11')}</select>
+                </div>
+                <div class="control-row"><button id="prism-min-deviation-btn">Set Minimum Deviation</button></div>
+                <hr>
+                <div class="setup-title">Deviation</div>
+                <div id="prism-readout"></div>
+            `;
+
+            const apexSlider = document.getElementById('prism-apex');
+            const rotationSlider = document.getElementById('prism-rotation');
+            const materialSelect = document.getElementById('prism-material');
+            const lines = [
+                { label: 'F (486 nm)', wavelength: FRAUNHOFER_LINES.F },
+                { label: 'd (588 nm)', wavelength: FRAUNHOFER_LINES.d },
+                { label: 'C (656 nm)', wavelength: FRAUNHOFER_LINES.C }
+            ];
+
+            function updateReadout() {
+                const prism = prismData.element;
+                const formatAngle = (angle) => (angle === null) ? 'TIR' : `${angle.toFixed(2)}&deg;`;
+                const rows = lines.map(line => `<div class="control-row"><label>${line.label}:</label><span>${formatAngle(prism.getDeviation(line.wavelength))}</span></div>`);
+                rows.push(`<div class="control-row"><label>Min. Deviation (d):</label><span>${formatAngle(prism.getMinimumDeviation(FRAUNHOFER_LINES.d))}</span></div>`);
+                document.getElementById('prism-readout').innerHTML = rows.join('');
+            }
+
+            function updatePrism() {
+                const prism = prismData.element;
+                const rotation = parseFloat(rotationSlider.value);
+                prism.apexAngle = parseFloat(apexSlider.value);
+                prism.material = materialSelect.value;
+                prism._rebuildMesh();
+                prismData.mesh.rotation.z = rotation * (Math.PI / 180);
+                prismData.mesh.updateMatrixWorld(true);
+
+                document.getElementById('prism-apex-value').innerHTML = `${prism.apexAngle}&deg;`;
+                document.getElementById('prism-rotation-value').innerHTML = `${rotation.toFixed(1)}&deg;`;
+                updateReadout();
+                traceRaysCallback();
+            }
+
+            apexSlider.addEventListener('input', updatePrism);
+            rotationSlider.addEventListener('input', updatePrism);
+            materialSelect.addEventListener('change', updatePrism);
+            document.getElementById('prism-min-deviation-btn').addEventListener('click', () => {
+                const rotation = prismData.element.getMinimumDeviationRotation(FRAUNHOFER_LINES.d);
+                if (rotation === null) return;
+                rotationSlider.value = rotation;
+                updatePrism();
+            });
+            updatePrism();
+        }
+    },
     'reflective-grating': {
         name: 'Reflective Grating',
         init: function({ opticalElements, elementGroup, traceRaysCallback, envMap }) {
@@ -272,8 +717,9 @@ export const componentSetups = {
                         <option value="vertical" selected>Vertical</option>
                         <option value="horizontal">Horizontal</option>
                     </select>
-                </div>
+                </div>${gratingOrderControls()}
             `;
+            const updateEfficiencyReadout = bindGratingOrderControls(gratingData.element, traceRaysCallback);
 
             document.getElementById('grating-x').addEventListener('input', (e) => {
                 gratingData.mesh.position.x = parseFloat(e.target.value);
@@ -285,6 +731,7 @@ export const componentSetups = {
                 const angle = parseFloat(e.target.value);
                 gratingData.mesh.rotation.y = -Math.PI / 2 - angle * (Math.PI / 180);
                 document.getElementById('grating-angle-value').innerHTML = `${angle}&deg;`;
+                updateEfficiencyReadout();
                 traceRaysCallback();
             });
             document.getElementById('grating-angle').dispatchEvent(new Event('input'));
@@ -294,13 +741,158 @@ export const componentSetups = {
                 const density = parseInt(e.target.value);
                 gratingData.element.linesPerMM = density;
                 document.getElementById('grating-density-value').textContent = `${density} L/mm`;
+                updateEfficiencyReadout();
                 traceRaysCallback();
             });
             
             document.getElementById('grating-orientation').addEventListener('change', (e) => {
                 gratingData.element.lineOrientation = e.target.value;
+                updateEfficiencyReadout();
                 traceRaysCallback();
             });
         }
     },
+    'polarization': {
+        name: "Polarizers (Malus's Law)",
+        hasSensor: true,
+        init: function({ opticalElements, elementGroup, traceRaysCallback }) {
+            // Unpolarized light -> polarizer -> optional wave plate -> analyzer -> detector.
+            const polarizerData = createPolarizer('polarizer', {x: -6, y: 0, z: 0}, { angle: 0 }, elementGroup);
+            const wavePlateData = createWavePlate('wave_plate', {x: -2, y: 0, z: 0}, { retardance: 0.25, angle: 45 }, elementGroup);
+            const analyzerData = createPolarizer('analyzer', {x: 2, y: 0, z: 0}, { angle: 0 }, elementGroup);
+            const beamSplitterData = createPolarizingBeamSplitter('pbs', {x: 2, y: 0, z: 0}, 0, elementGroup);
+            const detectorData = createDetector('detector1', {x: 6, y: 0, z: 0}, elementGroup);
+
+            const controlsDiv = document.getElementById('setup-controls');
+            controlsDiv.innerHTML = `
+                <div class="setup-title">Polarizer</div>
+                <div class="control-row"><label for="polarizer-angle">Axis:</label><input type="range" id="polarizer-angle" min="0" max="180" value="0" step="1"><span id="polarizer-angle-value">0&deg;</span></div>
+                <hr>
+                <div class="setup-title">Wave Plate</div>
+                <div class="control-row">
+                    <label for="waveplate-type">Type:</label>
+                    <select id="waveplate-type">
+                        <option value="none" selected>None</option>
+                        <option value="0.25">Quarter-Wave</option>
+                        <option value="0.5">Half-Wave</option>
+                    </select>
+                </div>
+                <div class="control-row"><label for="waveplate-angle">Fast Axis:</label><input type="range" id="waveplate-angle" min="0" max="180" value="45" step="1"><span id="waveplate-angle-value">45&deg;</span></div>
+                <hr>
+                <div class="setup-title">Analyzer</div>
+                <div class="control-row">
+                    <label for="analyzer-type">Type:</label>
+                    <select id="analyzer-type">
+                        <option value="polarizer" selected>Linear Polarizer</option>
+                        <option value="pbs">Polarizing Beam Splitter</option>
+                    </select>
+                </div>
+                <div class="control-row"><label for="analyzer-angle">Axis:</label><input type="range" id="analyzer-angle" min="0" max="180" value="0" step="1"><span id="analyzer-angle-value">0&deg;</span></div>
+                <div class="control-row"><label>cos&sup2;&theta;:</label><span id="malus-value"></span></div>`;
+
+            const wavePlateSelect = document.getElementById('waveplate-type');
+            const analyzerSelect = document.getElementById('analyzer-type');
+            const polarizerSlider = document.getElementById('polarizer-angle');
+            const wavePlateSlider = document.getElementById('waveplate-angle');
+            const analyzerSlider = document.getElementById('analyzer-angle');
+
+            function updatePolarizers() {
+                const hasWavePlate = wavePlateSelect.value !== 'none';
+                const usesBeamSplitter = analyzerSelect.value === 'pbs';
+                polarizerData.element.angle = parseFloat(polarizerSlider.value);
+                wavePlateData.element.angle = parseFloat(wavePlateSlider.value);
+                if (hasWavePlate) wavePlateData.element.retardance = parseFloat(wavePlateSelect.value);
+                analyzerData.element.angle = parseFloat(analyzerSlider.value);
+                polarizerData.element._rebuildMesh();
+                wavePlateData.element._rebuildMesh();
+                analyzerData.element._rebuildMesh();
+
+                const analyzer = usesBeamSplitter ? beamSplitterData : analyzerData;
+                opticalElements.length = 0;
+                opticalElements.push(polarizerData.element);
+                if (hasWavePlate) opticalElements.push(wavePlateData.element);
+                opticalElements.push(analyzer.element, detectorData.element);
+                wavePlateData.mesh.visible = hasWavePlate;
+                analyzerData.mesh.visible = !usesBeamSplitter;
+                beamSplitterData.mesh.visible = usesBeamSplitter;
+                wavePlateSlider.disabled = !hasWavePlate;
+                // The beam splitter passes horizontal (p) light to the detector.
+                analyzerSlider.disabled = usesBeamSplitter;
+
+                const analyzerAngle = usesBeamSplitter ? 90 : analyzerData.element.angle;
+                const theta = (analyzerAngle - polarizerData.element.angle) * (Math.PI / 180);
+                document.getElementById('polarizer-angle-value').innerHTML = `${polarizerData.element.angle}&deg;`;
+                document.getElementById('waveplate-angle-value').innerHTML = `${wavePlateData.element.angle}&deg;`;
+                document.getElementById('analyzer-angle-value').innerHTML = `${analyzerAngle}&deg;`;
+                // Malus's law holds between the two polarizers only without a wave plate between them.
+                document.getElementById('malus-value').textContent = hasWavePlate ? '-' : (Math.cos(theta) ** 2).toFixed(3);
+                traceRaysCallback();
+            }
+
+            wavePlateSelect.addEventListener('change', updatePolarizers);
+            analyzerSelect.addEventListener('change', updatePolarizers);
+            polarizerSlider.addEventListener('input', updatePolarizers);
+            wavePlateSlider.addEventListener('input', updatePolarizers);
+            analyzerSlider.addEventListener('input', updatePolarizers);
+            updatePolarizers();
+        }
+    },
+    'thin-film': {
+        name: 'Thin Film (Wedge)',
+        hasSensor: true,
+        init: function({ opticalElements, elementGroup, traceRaysCallback, simulationConfig }) {
+            // The film reflects the beam toward +Z; its thickness grows with height, so a
+            // coherent sensor shows horizontal fringes (colored ones in white light).
+            const filmData = createThinFilm('thin_film', {x: 0, y: 0, z: 0}, 45, { thickness: 400, wedge: 500, index: 1.33 }, elementGroup);
+            const detectorData = createDetector('detector1', {x: 0, y: 0, z: 5}, elementGroup);
+            detectorData.mesh.lookAt(filmData.mesh.position);
+            opticalElements.push(filmData.element, detectorData.element);
+
+            const controlsDiv = document.getElementById('setup-controls');
+            controlsDiv.innerHTML = `
+                <div class="setup-title">Film</div>
+                <div class="control-row"><label for="film-thickness">Thickness:</label><input type="range" id="film-thickness" min="0" max="1500" value="400" step="10"><span id="film-thickness-value">400 nm</span></div>
+                <div class="control-row"><label for="film-wedge">Wedge:</label><input type="range" id="film-wedge" min="0" max="2000" value="500" step="50"><span id="film-wedge-value">500 nm/cm</span></div>
+                <div class="control-row"><label for="film-index">Index:</label><input type="range" id="film-index" min="1.0" max="2.0" value="1.33" step="0.01"><span id="film-index-value">1.33</span></div>
+                <div class="control-row"><label>Path Difference:</label><span id="film-opd-value"></span></div>
+                <div class="control-row"><label>Fringe Spacing:</label><span id="film-spacing-value"></span></div>`;
+
+            const thicknessSlider = document.getElementById('film-thickness');
+            const wedgeSlider = document.getElementById('film-wedge');
+            const indexSlider = document.getElementById('film-index');
+
+            function updateFilm() {
+                const film = filmData.element;
+                film.thickness = parseFloat(thicknessSlider.value);
+                film.wedge = parseFloat(wedgeSlider.value);
+                film.index = parseFloat(indexSlider.value);
+
+                // Extra path of the back reflection at the center (45 deg incidence).
+                const cosT = Math.sqrt(1 - 0.5 / (film.index * film.index));
+                const opd = 2 * film.index * film.thickness * cosT;
+
+                document.getElementById('film-thickness-value').textContent = `${film.thickness} nm`;
+                document.getElementById('film-wedge-value').textContent = `${film.wedge} nm/cm`;
+                document.getElementById('film-index-value').textContent = film.index.toFixed(2);
+                document.getElementById('film-opd-value').textContent = `${opd.toFixed(0)} nm + λ/2`;
+                traceRaysCallback();
+            }
+
+            // The height over which the thickness changes by one fringe. It depends on the
+            // light source, so it is updated after every trace.
+            function updateFringeSpacing() {
+                const film = filmData.element;
+                const cosT = Math.sqrt(1 - 0.5 / (film.index * film.index));
+                const wavelength = (typeof simulationConfig.wavelength === 'number') ? simulationConfig.wavelength : FRAUNHOFER_LINES.d;
+                const spacing = wavelength / (2 * film.index * cosT * film.wedge); // cm
+                document.getElementById('film-spacing-value').textContent = isFinite(spacing) ? `${(spacing * 10).toFixed(2)} mm` : '-';
+            }
+
+            thicknessSlider.addEventListener('input', updateFilm);
+            wedgeSlider.addEventListener('input', updateFilm);
+            indexSlider.addEventListener('input', updateFilm);
+            updateFilm();
+            return { onTrace: updateFringeSpacing };
+        }
+    },
 };
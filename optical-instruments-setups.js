@@ -1,9 +1,94 @@
 import * as THREE from 'three';
-import { createLens, createDetector, createReflectiveGrating, createSphericalMirror, createOpticalSlit } from './optics-components.js';
+import { createLens, createDetector, createReflectiveGrating, createSphericalMirror, createOpticalSlit, createMirror, createBeamSplitter, createRefractiveLens } from './optics-components.js';
+import { wavelengthToRGB, computeTrace, getSourceSpectrum, WHITE_LIGHT_WAVELENGTHS } from './optics-core.js';
+import { createSpectralCalibration } from './spectrum.js';
+import { drawSweepPlot } from './parameter-sweep.js';
+
+// Width (cm) of the laser beam; the fringe canvas of the interferometers spans it.
+const BEAM_WIDTH = 1.0;
+
+/**
+ * Draws the two-beam interference pattern across the beam. In both interferometers each
+ * arm meets the splitters once in reflection and once in transmission, so the arms carry
+ * equal power R*T: the fringes keep full contrast and the split ratio sets their brightness.
+ * @param {HTMLCanvasElement} canvas - The canvas to draw on.
+ * @param {function(number): number} opdAt - Optical path difference (cm) at a position (cm) across the beam.
+ * @param {number} reflectance - Reflectance of the beam splitters.
+ * @param {number|string|object[]} wavelength - Wavelength in nm, 'white' or a sampled spectrum.
+ */
+function drawFringes(canvas, opdAt, reflectance, wavelength) {
+    const ctx = canvas.getContext('2d');
+    const spectrum = getSourceSpectrum(wavelength);
+    // A source of several wavelengths sums to the same bright fringe as white light, whatever
+    // its number of samples; a single wavelength keeps its own normalization.
+    const totalPower = spectrum.reduce((sum, sample) => sum + sample.power, 0);
+    const sampleWeight = (spectrum.length > 1) ? WHITE_LIGHT_WAVELENGTHS.length / totalPower : 1;
+    const armPower = reflectance * (1 - reflectance);
+    for (let px = 0; px < canvas.width; px++) {
+        const opd = opdAt((px / (canvas.width - 1) - 0.5) * BEAM_WIDTH);
+        let r = 0, g = 0, b = 0;
+        for (const { wavelength: wl, power } of spectrum) {
+            // Normalized so that a bright fringe with a 50:50 splitter is 1.
+            const intensity = power * sampleWeight * 2 * armPower * (1 + Math.cos(2 * Math.PI * opd / (wl * 1e-7)));
+            const color = wavelengthToRGB(wl);
+            r += color.r * intensity; g += color.g * intensity; b += color.b * intensity;
+        }
+        const toLevel = (v) => Math.min(255, Math.round(255 * v));
+        ctx.fillStyle = `rgb(${toLevel(r)}, ${toLevel(g)}, ${toLevel(b)})`;
+        ctx.fillRect(px, 0, 1, canvas.height);
+    }
+}
+
+/**
+ * Off-axis angle of the focusing mirror that cancels the coma of a Czerny-Turner at the
+ * center wavelength (the Shafer condition):
+ * sin(t2) / cos^3(t2) = sin(t1) / cos^3(t1) * (R2 / R1)^2 * (cos(beta) / cos(alpha))^3.
+ * The left side grows from 0 without bound, so there is exactly one solution. Angles are
+ * in radians.
+ * @param {number} collimatingAngle - Off-axis angle t1 of the collimating mirror.
+ * @param {number} collimatingFocalLength - Focal length of the collimating mirror (R1 / 2).
+ * @param {number} focusingFocalLength - Focal length of the focusing mirror (R2 / 2).
+ * @param {number} alpha - Angle of incidence on the grating.
+ * @param {number} beta - Diffraction angle of the center wavelength.
+ */
+function getComaFreeFocusingAngle(collimatingAngle, collimatingFocalLength, focusingFocalLength, alpha, beta) {
+    const g = (t) => Math.sin(t) / Math.pow(Math.cos(t), 3);
+    const target = g(collimatingAngle) * Math.pow(focusingFocalLength / collimatingFocalLength, 2) * Math.pow(Math.cos(beta) / Math.cos(alpha), 3);
+    let low = 0, high = Math.PI / 2;
+    for (let i = 0; i < 60; i++) {
+        const mid = (low + high) / 2;
+        if (g(mid) < target) low = mid; else high = mid;
+    }
+    return (low + high) / 2;
+}
+
+/**
+ * Applies the focal length an Auto-Focus button computed. The slider's range limits it,
+ * and the status line says when it did, the way the optimizer reports a parameter left at
+ * the end of its range.
+ * @param {number} f - The focal length that focuses on the detector (cm).
+ * @param {object} lensElement - The lens to set.
+ * @param {HTMLInputElement} slider - The focal length slider.
+ * @param {HTMLElement} valueLabel - The label next to the slider.
+ * @param {HTMLElement} status - The line that reports the result.
+ */
+function applyAutoFocus(f, lensElement, slider, valueLabel, status) {
+    const minF = parseFloat(slider.min);
+    const maxF = parseFloat(slider.max);
+    const clamped = Math.max(minF, Math.min(maxF, f));
+
+    lensElement.setFocalLength(clamped);
+    slider.value = clamped;
+    valueLabel.textContent = clamped.toFixed(1) + ' cm';
+    status.textContent = (clamped === f)
+        ? `Focused: f = ${f.toFixed(2)} cm`
+        : `Focus needs f = ${isFinite(f) ? f.toFixed(2) + ' cm' : '∞'}, outside the ${minF}–${maxF} cm range. Set to ${clamped.toFixed(1)} cm; move the lens or the detector.`;
+}
 
 export const instrumentSetups = {
     'czerny-turner': {
         name: 'Czerny-Turner Spectrometer',
+        hasSensor: true,
         init: function({ opticalElements, elementGroup, traceRaysCallback, envMap, simulationConfig, laserSource }) {
             
             // --- Component Creation (one time) ---
@@ -12,7 +97,7 @@ export const instrumentSetups = {
             const slitData = createOpticalSlit('slit1', slitPos, { slitWidth: 50 / 10000, slitHeight: 1.2 }, elementGroup);
 
             const collimatingMirrorData = createSphericalMirror('collimating_mirror', {x:0, y:0, z:0}, -20, 0, envMap, elementGroup);
-            const gratingData = createReflectiveGrating('grating', {x:0, y:0, z:0}, 0, { linesPerMM: 1000, lineOrientation: 'vertical' }, envMap, elementGroup);
+            const gratingData = createReflectiveGrating('grating', {x:0, y:0, z:0}, 0, { linesPerMM: 1000, lineOrientation: 'vertical', minOrder: -1, maxOrder: -1 }, envMap, elementGroup);
             gratingData.mesh.rotateY(Math.PI);
             const focusingMirrorData = createSphericalMirror('focusing_mirror', {x:0, y:0, z:0}, -20, 0, envMap, elementGroup);
             const detectorData = createDetector('detector1', {x:0, y:0, z:0}, elementGroup);
@@ -28,16 +113,51 @@ export const instrumentSetups = {
             // --- UI Control Setup ---
             const controlsDiv = document.getElementById('setup-controls');
             controlsDiv.innerHTML = `
+                <div class="setup-title">Design</div>
                 <div class="control-row">
-                    <label for="cz-collimating-angle">Collimating Angle:</label>
-                    <input type="range" id="cz-collimating-angle" min="-45" max="-5" value="-20" step="1">
-                    <span id="cz-collimating-angle-value">-20&deg;</span>
+                    <label for="cz-center-wavelength">Center Wavelength:</label>
+                    <input type="range" id="cz-center-wavelength" min="300" max="1000" value="550" step="10">
+                    <span id="cz-center-wavelength-value">550 nm</span>
+                </div>
+                <div class="control-row">
+                    <label for="cz-wavelength-range">Wavelength Range:</label>
+                    <input type="range" id="cz-wavelength-range" min="50" max="600" value="300" step="10">
+                    <span id="cz-wavelength-range-value">300 nm</span>
+                </div>
+                <div class="control-row">
+                    <label for="cz-deviation">Deviation Angle:</label>
+                    <input type="range" id="cz-deviation" min="5" max="60" value="30" step="1">
+                    <span id="cz-deviation-value">30&deg;</span>
                 </div>
                 <div class="control-row">
                     <label for="cz-grating-density">Grooves:</label>
                     <input type="range" id="cz-grating-density" min="300" max="2400" value="1000" step="50">
                     <span id="cz-grating-density-value">1000 L/mm</span>
                 </div>
+                <div class="control-row">
+                    <label for="cz-detector-width">Detector Width:</label>
+                    <input type="range" id="cz-detector-width" min="1" max="5" value="5" step="0.1">
+                    <span id="cz-detector-width-value">5.0 cm</span>
+                </div>
+                <div class="control-row">
+                    <label for="cz-magnification">Magnification:</label>
+                    <input type="range" id="cz-magnification" min="0.5" max="2" value="1" step="0.05">
+                    <span id="cz-magnification-value">1.00&times;</span>
+                </div>
+                <div class="control-row">
+                    <label for="cz-layout">Layout:</label>
+                    <select id="cz-layout">
+                        <option value="unfolded" selected>Unfolded (W)</option>
+                        <option value="crossed">Crossed</option>
+                    </select>
+                </div>
+                <hr>
+                <div class="setup-title">Mirrors</div>
+                <div class="control-row">
+                    <label for="cz-collimating-angle">Collimating Angle:</label>
+                    <input type="range" id="cz-collimating-angle" min="-45" max="-5" value="-20" step="1">
+                    <span id="cz-collimating-angle-value">-20&deg;</span>
+                </div>
                 <div class="control-row">
                     <label for="cz-grating-distance">Grating Distance:</label>
                     <input type="range" id="cz-grating-distance" min="5" max="20" value="10" step="0.5">
@@ -50,56 +170,93 @@ export const instrumentSetups = {
                 </div>
                 <div class="control-row">
                     <label for="cz-focusing-angle">Focusing Angle:</label>
-                    <input type="range" id="cz-focusing-angle" min="-90" max="0" value="-28" step="1">
-                    <span id="cz-focusing-angle-value">10&deg;</span>
+                    <input type="range" id="cz-focusing-angle" min="2" max="45" value="18" step="0.1">
+                    <span id="cz-focusing-angle-value">18.0&deg;</span>
                 </div>
+                <div class="control-row"><button id="cz-shafer-btn">Cancel Coma (Shafer)</button></div>
+                <div id="cz-design-readout" style="font-size: 0.85em; white-space: pre-line; margin-top: 8px;"></div>
+                <div id="cz-design-error" style="color: #e53935; font-size: 0.85em; white-space: pre-line; margin-top: 8px;"></div>
             `;
 
-            const angleSlider = document.getElementById('cz-collimating-angle');
+            const centerWavelengthSlider = document.getElementById('cz-center-wavelength');
+            const rangeSlider = document.getElementById('cz-wavelength-range');
+            const deviationSlider = document.getElementById('cz-deviation');
             const densitySlider = document.getElementById('cz-grating-density');
+            const detectorWidthSlider = document.getElementById('cz-detector-width');
+            const magnificationSlider = document.getElementById('cz-magnification');
+            const layoutSelect = document.getElementById('cz-layout');
+            const angleSlider = document.getElementById('cz-collimating-angle');
             const gratingDistSlider = document.getElementById('cz-grating-distance');
             const focusingDistSlider = document.getElementById('cz-focusing-distance');
             const focusingAngleSlider = document.getElementById('cz-focusing-angle');
-            
+            const errorDiv = document.getElementById('cz-design-error');
+            // The last valid design, for the coma helper.
+            let design = null;
+
+            // Reports an invalid design in the panel; the previous layout stays in place.
+            const showDesignError = (message) => {
+                errorDiv.textContent = `${message}\nShowing the last valid layout.`;
+            };
+
             // --- Spectrometer Update Function ---
             const updateSpectrometerLayout = () => {
-                const collimatingMirrorAngle_deg = parseFloat(angleSlider.value);
+                const lambda_c = parseFloat(centerWavelengthSlider.value);
+                const wavelengthRange = parseFloat(rangeSlider.value);
+                const phi_deg = parseFloat(deviationSlider.value);
                 const G = parseInt(densitySlider.value);
+                const detectorWidth = parseFloat(detectorWidthSlider.value);
+                const M = parseFloat(magnificationSlider.value);
+                const isCrossed = layoutSelect.value === 'crossed';
+                const collimatingMirrorAngle_deg = parseFloat(angleSlider.value);
                 const gratingDistance = parseFloat(gratingDistSlider.value);
                 const focusingDistance = parseFloat(focusingDistSlider.value);
                 const focusingMirrorAngle_deg = parseFloat(focusingAngleSlider.value);
 
-                document.getElementById('cz-collimating-angle-value').innerHTML = `${collimatingMirrorAngle_deg}&deg;`;
+                document.getElementById('cz-center-wavelength-value').textContent = `${lambda_c} nm`;
+                document.getElementById('cz-wavelength-range-value').textContent = `${wavelengthRange} nm`;
+                document.getElementById('cz-deviation-value').innerHTML = `${phi_deg}&deg;`;
                 document.getElementById('cz-grating-density-value').textContent = `${G} L/mm`;
+                document.getElementById('cz-detector-width-value').textContent = `${detectorWidth.toFixed(1)} cm`;
+                document.getElementById('cz-magnification-value').innerHTML = `${M.toFixed(2)}&times;`;
+                document.getElementById('cz-collimating-angle-value').innerHTML = `${collimatingMirrorAngle_deg}&deg;`;
                 document.getElementById('cz-grating-distance-value').textContent = `${gratingDistance.toFixed(1)} cm`;
                 document.getElementById('cz-focusing-distance-value').textContent = `${focusingDistance.toFixed(1)} cm`;
-                document.getElementById('cz-focusing-angle-value').innerHTML = `${focusingMirrorAngle_deg}&deg;`;
-                
-                const phi_deg = 30.0;
-                const lambda_c = 550;
+                document.getElementById('cz-focusing-angle-value').innerHTML = `${focusingMirrorAngle_deg.toFixed(1)}&deg;`;
+
                 const phi_rad = phi_deg * (Math.PI / 180);
+                const groovesPerNM = G * 1e-6;
 
+                // Grating equation at fixed deviation: lambda G = 2 cos(phi/2) sin((alpha + beta)/2).
                 let alpha_rad, beta_rad;
-                const asin_arg = (lambda_c * G * 1e-6) / (2 * Math.cos(phi_rad / 2));
+                const asin_arg = (lambda_c * groovesPerNM) / (2 * Math.cos(phi_rad / 2));
                 if (Math.abs(asin_arg) > 1) {
-                    console.warn("Cannot calculate grating angle - invalid configuration.");
+                    showDesignError(`No grating angle sends ${lambda_c} nm through a ${phi_deg}° deviation at ${G} L/mm: λG / (2 cos(φ/2)) = ${asin_arg.toFixed(3)} > 1.`);
                     return;
                 }
                 alpha_rad = Math.asin(asin_arg) - (phi_rad / 2);
-                beta_rad = phi_rad - alpha_rad;
-                
-                const detectorWidth = 0.5;
-                const wavelengthRange = 300;
-                const M = 1.0;
+                beta_rad = alpha_rad + phi_rad;
+                if (beta_rad >= Math.PI / 2) {
+                    showDesignError(`The center wavelength would leave the grating beyond grazing (β = ${(beta_rad * 180 / Math.PI).toFixed(1)}°): reduce the deviation angle.`);
+                    return;
+                }
+                // Both ends of the band have to leave the grating.
+                for (const edge of [lambda_c - wavelengthRange / 2, lambda_c + wavelengthRange / 2]) {
+                    if (edge <= 0 || Math.abs(Math.sin(alpha_rad) - edge * groovesPerNM) >= 1) {
+                        showDesignError(`The band edge at ${edge} nm does not propagate: narrow the wavelength range or use fewer grooves.`);
+                        return;
+                    }
+                }
 
-                const Lf_cm = (detectorWidth * Math.cos(beta_rad)) / (G * wavelengthRange * 1e-7);
+                const Lf_cm = (detectorWidth * Math.cos(beta_rad)) / (groovesPerNM * wavelengthRange);
                 const Lc_cm = Lf_cm * (Math.cos(alpha_rad) / (M * Math.cos(beta_rad)));
+                errorDiv.textContent = '';
                 
                 // 1. Collimating Mirror
                 const collimatingMirrorPos = { x: slitPos.x + Lc_cm, y: 0, z: 0 };
                 collimatingMirrorData.mesh.position.set(collimatingMirrorPos.x, collimatingMirrorPos.y, collimatingMirrorPos.z);
                 collimatingMirrorData.mesh.rotation.y = -Math.PI / 2 - collimatingMirrorAngle_deg * (Math.PI / 180);
                 collimatingMirrorData.element.radius = -2 * Lc_cm;
+                collimatingMirrorData.element._rebuildMesh();
 
                 // 2. Grating
                 const gratingPos = { 
@@ -107,16 +264,17 @@ export const instrumentSetups = {
                     y: 0, 
                     z: collimatingMirrorPos.z - gratingDistance * Math.sin(2 * collimatingMirrorAngle_deg * (Math.PI / 180))
                 };
-                const gratingAngle_deg = (alpha_rad * (180 / Math.PI)) + 2 * collimatingMirrorAngle_deg;
+                const gratingAngle_deg = -(alpha_rad * (180 / Math.PI)) + 2 * collimatingMirrorAngle_deg;
                 
                 gratingData.element.linesPerMM = G;
                 gratingData.mesh.position.set(gratingPos.x, gratingPos.y, gratingPos.z);
                 gratingData.mesh.rotation.y = -Math.PI / 2 - (gratingAngle_deg * (Math.PI / 180)) + Math.PI;
 
-                // 3. Focusing Mirror
-                const beta_deg = beta_rad * (180 / Math.PI); 
-                const diffractedBeamAngle_deg = gratingAngle_deg + beta_deg; // Use -1 order
-                const diffractedBeamAngle_rad = diffractedBeamAngle_deg * (Math.PI / 180);
+                // 3. Focusing Mirror, along the -1 order of the center wavelength
+                const collimatedDir = new THREE.Vector3(gratingPos.x - collimatingMirrorPos.x, 0, gratingPos.z - collimatingMirrorPos.z).normalize();
+                const [centerOrder] = gratingData.element.getOrderDirections(collimatedDir, lambda_c);
+                const incidentToFocusingDir = centerOrder.direction.clone();
+                const diffractedBeamAngle_rad = Math.atan2(incidentToFocusingDir.z, incidentToFocusingDir.x);
 
                 const focusingMirrorPos = { 
                     x: gratingPos.x + focusingDistance * Math.cos(diffractedBeamAngle_rad), 
@@ -124,34 +282,72 @@ export const instrumentSetups = {
                     z: gratingPos.z + focusingDistance * Math.sin(diffractedBeamAngle_rad) 
                 };
 
+                // The mirror turns the beam back by 180° - 2 theta: away from the grating in
+                // the unfolded layout, across the collimated beam in the crossed one.
+                const turn = (isCrossed ? -1 : 1) * (Math.PI - 2 * focusingMirrorAngle_deg * (Math.PI / 180));
+                const reflectedDir = new THREE.Vector3(Math.cos(diffractedBeamAngle_rad + turn), 0, Math.sin(diffractedBeamAngle_rad + turn));
+                const mirrorNormal = reflectedDir.clone().sub(incidentToFocusingDir).normalize();
+
                 focusingMirrorData.mesh.position.set(focusingMirrorPos.x, focusingMirrorPos.y, focusingMirrorPos.z);
-                focusingMirrorData.mesh.rotation.y = -Math.PI / 2 - focusingMirrorAngle_deg * (Math.PI / 180);
+                focusingMirrorData.mesh.rotation.y = Math.atan2(mirrorNormal.x, mirrorNormal.z);
                 focusingMirrorData.element.radius = -2 * Lf_cm;
+                focusingMirrorData.element._rebuildMesh();
 
-                // 4. Detector (Corrected Position & Orientation)
-                const incidentToFocusingDir = new THREE.Vector3().subVectors(
-                    new THREE.Vector3(focusingMirrorPos.x, focusingMirrorPos.y, focusingMirrorPos.z),
-                    new THREE.Vector3(gratingPos.x, gratingPos.y, gratingPos.z)
-                ).normalize();
-
-                const mirrorNormal = new THREE.Vector3(0, 0, 1).applyQuaternion(focusingMirrorData.mesh.quaternion);
-                const reflectedDir = incidentToFocusingDir.clone().reflect(mirrorNormal);
-
+                // 4. Detector, at the focus of the focusing mirror
                 const detectorPos = new THREE.Vector3(focusingMirrorPos.x, focusingMirrorPos.y, focusingMirrorPos.z)
                     .add(reflectedDir.clone().multiplyScalar(Lf_cm));
 
+                detectorData.element.setSize(detectorWidth, detectorData.mesh.geometry.parameters.height);
                 detectorData.mesh.position.copy(detectorPos);
                 detectorData.mesh.lookAt(focusingMirrorData.mesh.position);
 
+                // 5. Wavelength calibration of the detector, from the angles the layout ends up with
+                const { across } = gratingData.element._getGratingAxes();
+                const [nextOrder] = gratingData.element.getOrderDirections(collimatedDir, lambda_c + 1);
+                const detectorX = new THREE.Vector3(1, 0, 0).applyQuaternion(detectorData.mesh.quaternion);
+                const shiftOnDetector = nextOrder.direction.clone().sub(centerOrder.direction).reflect(mirrorNormal).dot(detectorX);
+                detectorData.element.spectralCalibration = createSpectralCalibration({
+                    alpha: Math.asin(collimatedDir.dot(across)),
+                    beta: Math.asin(centerOrder.direction.dot(across)),
+                    order: centerOrder.order,
+                    linesPerMM: G,
+                    centerWavelength: lambda_c,
+                    // The tilted focusing mirror focuses the dispersion plane at Lf cos(theta).
+                    focalLength: Lf_cm * Math.abs(incidentToFocusingDir.dot(mirrorNormal)),
+                    collimatorFocalLength: Lc_cm,
+                    slitWidth: slitData.element.slitWidth,
+                    detectorWidth: detectorData.mesh.geometry.parameters.width,
+                    direction: Math.sign(shiftOnDetector)
+                });
+
+                design = { alpha_rad, beta_rad, Lc_cm, Lf_cm, collimatingMirrorAngle_deg };
+                const toDeg = (rad) => (rad * 180 / Math.PI).toFixed(2);
+                document.getElementById('cz-design-readout').textContent = [
+                    `α = ${toDeg(alpha_rad)}°, β = ${toDeg(beta_rad)}°`,
+                    `Lc = ${Lc_cm.toFixed(2)} cm, Lf = ${Lf_cm.toFixed(2)} cm`,
+                    `Dispersion: ${detectorData.element.spectralCalibration.nmPerMM.toFixed(2)} nm/mm`
+                ].join('\n');
+
                 traceRaysCallback();
             };
 
             // --- Attach Event Listeners & Initialize Layout ---
-            angleSlider.addEventListener('input', updateSpectrometerLayout);
-            densitySlider.addEventListener('input', updateSpectrometerLayout);
-            gratingDistSlider.addEventListener('input', updateSpectrometerLayout);
-            focusingDistSlider.addEventListener('input', updateSpectrometerLayout);
-            focusingAngleSlider.addEventListener('input', updateSpectrometerLayout);
+            [centerWavelengthSlider, rangeSlider, deviationSlider, densitySlider, detectorWidthSlider, magnificationSlider,
+                angleSlider, gratingDistSlider, focusingDistSlider, focusingAngleSlider]
+                .forEach(slider => slider.addEventListener('input', updateSpectrometerLayout));
+            layoutSelect.addEventListener('change', updateSpectrometerLayout);
+
+            document.getElementById('cz-shafer-btn').addEventListener('click', () => {
+                if (!design) return;
+                const { alpha_rad, beta_rad, Lc_cm, Lf_cm, collimatingMirrorAngle_deg } = design;
+                const theta_deg = getComaFreeFocusingAngle(Math.abs(collimatingMirrorAngle_deg) * (Math.PI / 180), Lc_cm, Lf_cm, alpha_rad, beta_rad) * (180 / Math.PI);
+                if (theta_deg < parseFloat(focusingAngleSlider.min) || theta_deg > parseFloat(focusingAngleSlider.max)) {
+                    showDesignError(`Cancelling coma needs a focusing angle of ${theta_deg.toFixed(1)}°, outside the ${focusingAngleSlider.min}-${focusingAngleSlider.max}° range: change the collimating angle.`);
+                    return;
+                }
+                focusingAngleSlider.value = theta_deg.toFixed(1);
+                updateSpectrometerLayout();
+            });
             
             updateSpectrometerLayout();
 
@@ -160,10 +356,220 @@ export const instrumentSetups = {
             document.getElementById('ray-count-slider').value = 100;
             document.getElementById('ray-count-value').textContent = 100;
         }
+    },
+    'scanning-monochromator': {
+        name: 'Scanning Monochromator',
+        hasSensor: true,
+        init: function({ opticalElements, elementGroup, traceRaysCallback, envMap, simulationConfig, laserSource }) {
+            // A Czerny-Turner with equal mirrors at a fixed deviation: turning the grating
+            // about its center sends a different wavelength through the exit slit onto a
+            // single photodiode, while the mirrors and slits stay put.
+            const focalLength = 15;
+            const deviation_rad = 30 * (Math.PI / 180);
+            const collimatingMirrorAngle_rad = -10 * (Math.PI / 180);
+            const gratingDistance = 10;
+            const focusingDistance = 10;
+            const focusingMirrorAngle_rad = 10 * (Math.PI / 180);
+            // Source positions across the entrance slit, so the slit is filled in a scan.
+            const SCAN_SLIT_SAMPLES = 11;
+
+            laserSource.position.set(-12, 0, 0);
+            const slitPos = { x: -10, y: 0, z: 0 };
+            const entranceSlitData = createOpticalSlit('entrance_slit', slitPos, { slitWidth: 100 / 10000, slitHeight: 1.2 }, elementGroup);
+            const collimatingMirrorData = createSphericalMirror('collimating_mirror', {x: slitPos.x + focalLength, y: 0, z: 0}, -2 * focalLength, 0, envMap, elementGroup);
+            collimatingMirrorData.mesh.rotation.y = -Math.PI / 2 - collimatingMirrorAngle_rad;
+            const gratingData = createReflectiveGrating('grating', {x: 0, y: 0, z: 0}, 0, { linesPerMM: 1200, lineOrientation: 'vertical', minOrder: -1, maxOrder: -1 }, envMap, elementGroup);
+            const focusingMirrorData = createSphericalMirror('focusing_mirror', {x: 0, y: 0, z: 0}, -2 * focalLength, 0, envMap, elementGroup);
+            const exitSlitData = createOpticalSlit('exit_slit', {x: 0, y: 0, z: 0}, { slitWidth: 100 / 10000, slitHeight: 1.2 }, elementGroup);
+            const detectorData = createDetector('photodiode', {x: 0, y: 0, z: 0}, elementGroup);
+            detectorData.element.setSize(1, 2);
+
+            opticalElements.push(
+                entranceSlitData.element,
+                collimatingMirrorData.element,
+                gratingData.element,
+                focusingMirrorData.element,
+                exitSlitData.element,
+                detectorData.element
+            );
+
+            const controlsDiv = document.getElementById('setup-controls');
+            controlsDiv.innerHTML = `
+                <div class="setup-title">Monochromator</div>
+                <div class="control-row"><label for="mono-wavelength">Set Wavelength:</label><input type="range" id="mono-wavelength" min="380" max="750" value="532" step="0.5"><span id="mono-wavelength-value">532.0 nm</span></div>
+                <div class="control-row"><label for="mono-grating-density">Grooves:</label><input type="range" id="mono-grating-density" min="300" max="2400" value="1200" step="100"><span id="mono-grating-density-value">1200 L/mm</span></div>
+                <div class="control-row"><label for="mono-entrance-width">Entrance Slit:</label><input type="range" id="mono-entrance-width" min="10" max="500" value="100" step="10"><span id="mono-entrance-width-value">100 µm</span></div>
+                <div class="control-row"><label for="mono-exit-width">Exit Slit:</label><input type="range" id="mono-exit-width" min="10" max="500" value="100" step="10"><span id="mono-exit-width-value">100 µm</span></div>
+                <div id="mono-readout" style="font-size: 0.85em; white-space: pre-line; margin-bottom: 8px;"></div>
+                <hr>
+                <div class="setup-title">Wavelength Scan</div>
+                <div class="control-row"><label for="mono-scan-from">From (nm):</label><input type="range" id="mono-scan-from" min="380" max="750" value="517" step="1"><span id="mono-scan-from-value">517 nm</span></div>
+                <div class="control-row"><label for="mono-scan-to">To (nm):</label><input type="range" id="mono-scan-to" min="380" max="750" value="547" step="1"><span id="mono-scan-to-value">547 nm</span></div>
+                <div class="control-row"><label for="mono-scan-steps">Steps:</label><input type="range" id="mono-scan-steps" min="11" max="301" value="121" step="10"><span id="mono-scan-steps-value">121</span></div>
+                <div class="control-row"><button id="mono-scan-btn">Scan</button></div>
+                <canvas id="mono-scan-canvas" width="240" height="140"></canvas>
+                <div id="mono-scan-readout" style="font-size: 0.85em; white-space: pre-line;"></div>
+            `;
+
+            const wavelengthSlider = document.getElementById('mono-wavelength');
+            const densitySlider = document.getElementById('mono-grating-density');
+            const entranceSlider = document.getElementById('mono-entrance-width');
+            const exitSlider = document.getElementById('mono-exit-width');
+            const readout = document.getElementById('mono-readout');
+            let calibration = null;
+
+            // Turns the grating to pass `wavelength` and places the mirror, exit slit and
+            // photodiode for the current grooves. Returns false if no grating angle does.
+            const setGrating = (wavelength) => {
+                const G = parseInt(densitySlider.value);
+                gratingData.element.linesPerMM = G;
+                // At fixed deviation phi: lambda G = 2 cos(phi/2) sin(theta), alpha = theta - phi/2.
+                const sinTheta = (wavelength * G * 1e-6) / (2 * Math.cos(deviation_rad / 2));
+                if (Math.abs(sinTheta) > 1) return false;
+                const alpha_rad = Math.asin(sinTheta) - deviation_rad / 2;
+                const collimatingMirrorPos = collimatingMirrorData.mesh.position;
+                gratingData.mesh.position.set(
+                    collimatingMirrorPos.x - gratingDistance * Math.cos(2 * collimatingMirrorAngle_rad),
+                    0,
+                    collimatingMirrorPos.z - gratingDistance * Math.sin(2 * collimatingMirrorAngle_rad)
+                );
+                gratingData.mesh.rotation.y = Math.PI / 2 + alpha_rad - 2 * collimatingMirrorAngle_rad;
+                gratingData.mesh.updateMatrixWorld();
+
+                // The deviation is fixed, so the diffracted beam, the focusing mirror and the exit
+                // slit do not move with the wavelength.
+                const collimatedDir = gratingData.mesh.position.clone().sub(collimatingMirrorPos).normalize();
+                const [order] = gratingData.element.getOrderDirections(collimatedDir, wavelength);
+                const diffractedAngle = Math.atan2(order.direction.z, order.direction.x);
+                const focusingMirrorPos = gratingData.mesh.position.clone().addScaledVector(order.direction, focusingDistance);
+                const reflectedAngle = diffractedAngle + Math.PI - 2 * focusingMirrorAngle_rad;
+                const reflectedDir = new THREE.Vector3(Math.cos(reflectedAngle), 0, Math.sin(reflectedAngle));
+                const mirrorNormal = reflectedDir.clone().sub(order.direction).normalize();
+                focusingMirrorData.mesh.position.copy(focusingMirrorPos);
+                focusingMirrorData.mesh.rotation.y = Math.atan2(mirrorNormal.x, mirrorNormal.z);
+
+                exitSlitData.mesh.position.copy(focusingMirrorPos).addScaledVector(reflectedDir, focalLength);
+                exitSlitData.mesh.lookAt(focusingMirrorPos);
+                detectorData.mesh.position.copy(focusingMirrorPos).addScaledVector(reflectedDir, focalLength + 0.5);
+                detectorData.mesh.lookAt(focusingMirrorPos);
+                elementGroup.updateMatrixWorld(true);
+
+                const { across } = gratingData.element._getGratingAxes();
+                calibration = createSpectralCalibration({
+                    alpha: Math.asin(collimatedDir.dot(across)),
+                    beta: Math.asin(order.direction.dot(across)),
+                    order: order.order,
+                    linesPerMM: G,
+                    centerWavelength: wavelength,
+                    focalLength: focalLength * Math.abs(order.direction.dot(mirrorNormal)),
+                    collimatorFocalLength: focalLength,
+                    slitWidth: entranceSlitData.element.slitWidth,
+                    detectorWidth: exitSlitData.element.slitWidth
+                });
+                return true;
+            };
+
+            // Bandpass (FWHM) of the slit function: the wider of the entrance slit image and
+            // the exit slit, in wavelength.
+            const getBandpass = () => Math.max(calibration.slitBandpass, exitSlitData.element.slitWidth / calibration.dispersion);
+
+            const updateMonochromator = () => {
+                const wavelength = parseFloat(wavelengthSlider.value);
+                entranceSlitData.element.slitWidth = parseFloat(entranceSlider.value) / 10000;
+                exitSlitData.element.slitWidth = parseFloat(exitSlider.value) / 10000;
+                entranceSlitData.element._rebuildMesh();
+                exitSlitData.element._rebuildMesh();
+                document.getElementById('mono-wavelength-value').textContent = `${wavelength.toFixed(1)} nm`;
+                document.getElementById('mono-grating-density-value').textContent = `${densitySlider.value} L/mm`;
+                document.getElementById('mono-entrance-width-value').textContent = `${entranceSlider.value} µm`;
+                document.getElementById('mono-exit-width-value').textContent = `${exitSlider.value} µm`;
+                if (!setGrating(wavelength)) {
+                    readout.innerHTML = `<span style="color: #e53935;">No grating angle passes ${wavelength} nm at ${densitySlider.value} L/mm.</span>`;
+                    return;
+                }
+                readout.textContent = [
+                    `Dispersion: ${calibration.nmPerMM.toFixed(2)} nm/mm`,
+                    `Bandpass: ${getBandpass().toFixed(2)} nm (entrance ${calibration.slitBandpass.toFixed(2)} nm, exit ${(exitSlitData.element.slitWidth / calibration.dispersion).toFixed(2)} nm)`
+                ].join('\n');
+                traceRaysCallback();
+            };
+
+            // Share of the source power reaching the photodiode, with the source stepped
+            // across the entrance slit so the whole slit is lit.
+            const measureThroughput = () => {
+                const slitWidth = entranceSlitData.element.slitWidth;
+                let emitted = 0, detected = 0;
+                for (let i = 0; i < SCAN_SLIT_SAMPLES; i++) {
+                    const z = laserSource.position.z + slitWidth * ((i + 0.5) / SCAN_SLIT_SAMPLES - 0.5);
+                    const { metadata } = computeTrace({
+                        opticalElements,
+                        source: { position: { x: laserSource.position.x, y: laserSource.position.y, z }, wavelength: simulationConfig.wavelength, laserPattern: 'line', rayCount: 5 },
+                        sensor: { pixelGridSize: 1 }
+                    });
+                    emitted += metadata.power.emitted;
+                    detected += metadata.power.detected;
+                }
+                return emitted > 0 ? detected / emitted : 0;
+            };
+
+            const runScan = () => {
+                const from = parseFloat(document.getElementById('mono-scan-from').value);
+                const to = parseFloat(document.getElementById('mono-scan-to').value);
+                const steps = parseInt(document.getElementById('mono-scan-steps').value);
+                const samples = [];
+                for (let i = 0; i < steps; i++) {
+                    const wavelength = from + (to - from) * i / (steps - 1);
+                    samples.push({ parameter: wavelength, value: setGrating(wavelength) ? measureThroughput() : NaN });
+                }
+                const scanReadout = document.getElementById('mono-scan-readout');
+                const finite = samples.filter(sample => isFinite(sample.value));
+                const best = finite.length > 0 ? finite.reduce((a, b) => (b.value > a.value ? b : a)) : null;
+                drawSweepPlot(document.getElementById('mono-scan-canvas').getContext('2d'), document.getElementById('mono-scan-canvas'), { samples, best });
+                // Back to the set wavelength before reporting, so the bandpass is for the same slits.
+                updateMonochromator();
+                if (!best || best.value <= 0) {
+                    scanReadout.textContent = 'No light reached the photodiode in this range.';
+                    return;
+                }
+                // Width of the peak at half its height, between the interpolated crossings.
+                const half = best.value / 2;
+                const peakIndex = samples.indexOf(best);
+                const crossing = (step) => {
+                    for (let i = peakIndex; i + step >= 0 && i + step < samples.length; i += step) {
+                        const a = samples[i], b = samples[i + step];
+                        if (b.value < half) return a.parameter + (b.parameter - a.parameter) * (a.value - half) / (a.value - b.value);
+                    }
+                    return null;
+                };
+                const low = crossing(-1), high = crossing(1);
+                scanReadout.textContent = [
+                    `Peak: ${(100 * best.value).toFixed(1)}% at ${best.parameter.toFixed(2)} nm`,
+                    (low !== null && high !== null) ? `Measured FWHM: ${(high - low).toFixed(2)} nm (expected ${getBandpass().toFixed(2)} nm)` : 'Peak extends past the scan range'
+                ].join('\n');
+            };
+
+            const updateScanLabels = () => {
+                ['from', 'to'].forEach(key => {
+                    document.getElementById(`mono-scan-${key}-value`).textContent = `${document.getElementById(`mono-scan-${key}`).value} nm`;
+                });
+                document.getElementById('mono-scan-steps-value').textContent = document.getElementById('mono-scan-steps').value;
+            };
+
+            [wavelengthSlider, densitySlider, entranceSlider, exitSlider].forEach(slider => slider.addEventListener('input', updateMonochromator));
+            ['mono-scan-from', 'mono-scan-to', 'mono-scan-steps'].forEach(id => document.getElementById(id).addEventListener('input', updateScanLabels));
+            document.getElementById('mono-scan-btn').addEventListener('click', runScan);
+
+            updateMonochromator();
+
+            simulationConfig.rayCount = 20;
+            document.getElementById('ray-count-slider').value = 20;
+            document.getElementById('ray-count-value').textContent = 20;
+        }
     }
 
     , 'camera-laser': {
         name: 'Camera (Laser)',
+        hasSensor: true,
         init: function({ opticalElements, elementGroup, traceRaysCallback, laserSource }) {
             const { mesh: lensVisual, logicalElement: lensElement } = createLens('lens1', {x: 0, y: 0, z: 0}, 5, elementGroup);
             const detectorData = createDetector('detector1', {x: 8, y: 0, z: 0}, elementGroup);
@@ -184,6 +590,7 @@ export const instrumentSetups = {
                 <div class="setup-title">Detector</div>
                 <div class="control-row"><label for="detector-x">Position (X):</label><input type="range" id="detector-x" min="1" max="15" value="8" step="0.1"><span id="detector-x-value">8.0 cm</span></div>
                 <div class="control-row"><button id="autofocus-btn">Auto-Focus</button></div>
+                <div id="autofocus-status" style="font-size: 0.85em; white-space: pre-line; margin-top: 8px;"></div>
             `;
 
             const focalLengthSlider = document.getElementById('focal-length');
@@ -207,7 +614,7 @@ export const instrumentSetups = {
                 traceRaysCallback(); 
             });
             focalLengthSlider.addEventListener('input', (e) => { 
-                lensElement.focalLength = parseFloat(e.target.value); 
+                lensElement.setFocalLength(parseFloat(e.target.value)); 
                 focalLengthValue.textContent = parseFloat(e.target.value).toFixed(1) + ' cm'; 
                 traceRaysCallback(); 
             });
@@ -219,22 +626,15 @@ export const instrumentSetups = {
             document.getElementById('autofocus-btn').addEventListener('click', () => {
                 // For a collimated laser source, the focal point is simply the focal length.
                 // To focus on the detector, the focal length must equal the distance from the lens to the detector.
-                let f = Math.abs(detectorData.mesh.position.x - lensElement.mesh.position.x);
-                
-                // Clamp the calculated focal length to the slider's min/max values.
-                const minF = parseFloat(focalLengthSlider.min);
-                const maxF = parseFloat(focalLengthSlider.max);
-                f = Math.max(minF, Math.min(maxF, f));
-
-                lensElement.focalLength = f;
-                focalLengthSlider.value = f;
-                focalLengthValue.textContent = f.toFixed(1) + ' cm';
+                const f = Math.abs(detectorData.mesh.position.x - lensElement.mesh.position.x);
+                applyAutoFocus(f, lensElement, focalLengthSlider, focalLengthValue, document.getElementById('autofocus-status'));
                 traceRaysCallback();
             });
         }
     },
     'camera-image-object': {
         name: 'Camera (Image Object)',
+        hasSensor: true,
         init: function({ opticalElements, elementGroup, traceRaysCallback, imageObject, loadImageCallback }) {
             const { mesh: lensVisual, logicalElement: lensElement } = createLens('lens1', {x: 0, y: 0, z: 0}, 5, elementGroup);
             const detectorData = createDetector('detector1', {x: 8, y: 0, z: 0}, elementGroup);
@@ -266,6 +666,7 @@ export const instrumentSetups = {
                 <div class="setup-title">Detector</div>
                 <div class="control-row"><label for="detector-x">Position (X):</label><input type="range" id="detector-x" min="1" max="15" value="8" step="0.1"><span id="detector-x-value">8.0 cm</span></div>
                 <div class="control-row"><button id="autofocus-btn">Auto-Focus</button></div>
+                <div id="autofocus-status" style="font-size: 0.85em; white-space: pre-line; margin-top: 8px;"></div>
             `;
             
             document.getElementById('image-select').addEventListener('change', (e) => {
@@ -291,7 +692,7 @@ export const instrumentSetups = {
                 traceRaysCallback(); 
             });
             focalLengthSlider.addEventListener('input', (e) => { 
-                lensElement.focalLength = parseFloat(e.target.value); 
+                lensElement.setFocalLength(parseFloat(e.target.value)); 
                 focalLengthValue.textContent = parseFloat(e.target.value).toFixed(1) + ' cm'; 
                 traceRaysCallback(); 
             });
@@ -303,17 +704,147 @@ export const instrumentSetups = {
             document.getElementById('autofocus-btn').addEventListener('click', () => {
                 const so = Math.abs(imageObject.position.x - lensElement.mesh.position.x);
                 const si = Math.abs(detectorData.mesh.position.x - lensElement.mesh.position.x);
-                let f = 1 / (1 / so + 1 / si);
+                const f = 1 / (1 / so + 1 / si);
+                applyAutoFocus(f, lensElement, focalLengthSlider, focalLengthValue, document.getElementById('autofocus-status'));
+                traceRaysCallback();
+            });
+        }
+    },
+    'michelson': {
+        name: 'Michelson Interferometer',
+        hasSensor: true,
+        init: function({ opticalElements, elementGroup, traceRaysCallback, envMap, simulationConfig, laserSource }) {
+            const armLength = 5;
+            laserSource.position.set(-10, 0, 0);
+            const splitterData = createBeamSplitter('beam_splitter', {x: 0, y: 0, z: 0}, 45, { reflectance: 0.5 }, elementGroup);
+            const movableMirrorData = createMirror('movable_mirror', {x: armLength, y: 0, z: 0}, 90, envMap, elementGroup);
+            const fixedMirrorData = createMirror('fixed_mirror', {x: 0, y: 0, z: armLength}, 0, envMap, elementGroup);
+            const detectorData = createDetector('detector1', {x: 0, y: 0, z: -armLength}, elementGroup);
+            detectorData.mesh.lookAt(splitterData.mesh.position);
 
-                const minF = parseFloat(focalLengthSlider.min);
-                const maxF = parseFloat(focalLengthSlider.max);
-                f = Math.max(minF, Math.min(maxF, f));
+            // The splitter is met twice: on the way out and again when the arms recombine.
+            opticalElements.push(splitterData.element, movableMirrorData.element, fixedMirrorData.element, splitterData.element, detectorData.element);
+
+            const controlsDiv = document.getElementById('setup-controls');
+            controlsDiv.innerHTML = `
+                <div class="setup-title">Movable Mirror</div>
+                <div class="control-row"><label for="mi-displacement">Displacement:</label><input type="range" id="mi-displacement" min="0" max="5" value="0" step="0.01"><span id="mi-displacement-value">0.00 &micro;m</span></div>
+                <div class="control-row"><label for="mi-tilt">Tilt:</label><input type="range" id="mi-tilt" min="-0.5" max="0.5" value="0.1" step="0.01"><span id="mi-tilt-value">0.10 mrad</span></div>
+                <hr>
+                <div class="setup-title">Beam Splitter</div>
+                <div class="control-row"><label for="mi-reflectance">Reflectance:</label><input type="range" id="mi-reflectance" min="0.1" max="0.9" value="0.5" step="0.05"><span id="mi-reflectance-value">50%</span></div>
+                <hr>
+                <div class="setup-title">Fringe Pattern</div>
+                <canvas id="fringe-canvas" width="200" height="40"></canvas>
+                <div class="control-row"><label>Path Difference:</label><span id="mi-opd-value"></span></div>`;
+
+            const displacementSlider = document.getElementById('mi-displacement');
+            const tiltSlider = document.getElementById('mi-tilt');
+            const reflectanceSlider = document.getElementById('mi-reflectance');
+            // What the fringe pattern shows; it is redrawn after every trace, so it follows
+            // the light source too.
+            let fringes = null;
+
+            function updateInterferometer() {
+                const displacement = parseFloat(displacementSlider.value); // micrometers
+                const tilt = parseFloat(tiltSlider.value) * 1e-3; // radians
+                const reflectance = parseFloat(reflectanceSlider.value);
+                movableMirrorData.mesh.position.x = armLength + displacement * 1e-4;
+                // Tilted up or down, so the fringes run across the vertical line of rays.
+                movableMirrorData.mesh.rotation.set(0, -Math.PI / 2, 0);
+                movableMirrorData.mesh.rotateX(tilt);
+                splitterData.element.reflectance = reflectance;
+
+                // Each arm is travelled twice; the tilt adds a wedge across the beam.
+                const movableArm = movableMirrorData.mesh.position.x - splitterData.mesh.position.x;
+                const fixedArm = fixedMirrorData.mesh.position.z - splitterData.mesh.position.z;
+                const opd = 2 * (movableArm - fixedArm);
+                fringes = { opdAt: (u) => opd + 2 * u * Math.tan(tilt), reflectance };
+
+                document.getElementById('mi-displacement-value').innerHTML = `${displacement.toFixed(2)} &micro;m`;
+                document.getElementById('mi-tilt-value').textContent = `${(tilt * 1e3).toFixed(2)} mrad`;
+                document.getElementById('mi-reflectance-value').textContent = `${Math.round(reflectance * 100)}%`;
+                document.getElementById('mi-opd-value').innerHTML = `${(opd * 1e4).toFixed(3)} &micro;m`;
+                traceRaysCallback();
+            }
+
+            displacementSlider.addEventListener('input', updateInterferometer);
+            tiltSlider.addEventListener('input', updateInterferometer);
+            reflectanceSlider.addEventListener('input', updateInterferometer);
+            updateInterferometer();
+            return {
+                onTrace: () => drawFringes(document.getElementById('fringe-canvas'), fringes.opdAt, fringes.reflectance, simulationConfig.wavelength)
+            };
+        }
+    },
+    'mach-zehnder': {
+        name: 'Mach-Zehnder Interferometer',
+        hasSensor: true,
+        init: function({ opticalElements, elementGroup, traceRaysCallback, envMap, simulationConfig, laserSource }) {
+            const armLength = 6;
+            const cellLength = 2;
+            const airRefractivity = 2.93e-4; // n - 1 of air at 1 atm
+            laserSource.position.set(-10, 0, 0);
+            const splitterInData = createBeamSplitter('splitter_in', {x: 0, y: 0, z: 0}, 45, { reflectance: 0.5 }, elementGroup);
+            const gasCellData = createRefractiveLens('gas_cell', {x: armLength / 2, y: 0, z: 0}, {
+                R1: Infinity, R2: Infinity, thickness: cellLength, material: 1 + airRefractivity, diameter: 2
+            }, elementGroup);
+            const mirrorAData = createMirror('mirror_a', {x: armLength, y: 0, z: 0}, 45, envMap, elementGroup);
+            const mirrorBData = createMirror('mirror_b', {x: 0, y: 0, z: armLength}, 45, envMap, elementGroup);
+            const splitterOutData = createBeamSplitter('splitter_out', {x: armLength, y: 0, z: armLength}, 45, { reflectance: 0.5 }, elementGroup);
+            const detectorData = createDetector('detector1', {x: armLength + 4, y: 0, z: armLength}, elementGroup);
+
+            opticalElements.push(splitterInData.element, gasCellData.element, mirrorAData.element, mirrorBData.element, splitterOutData.element, detectorData.element);
 
-                lensElement.focalLength = f;
-                focalLengthSlider.value = f;
-                focalLengthValue.textContent = f.toFixed(1) + ' cm';
+            const controlsDiv = document.getElementById('setup-controls');
+            controlsDiv.innerHTML = `
+                <div class="setup-title">Gas Cell (Arm A)</div>
+                <div class="control-row"><label for="mz-pressure">Air Pressure:</label><input type="range" id="mz-pressure" min="0" max="1" value="1" step="0.01"><span id="mz-pressure-value">1.00 atm</span></div>
+                <hr>
+                <div class="setup-title">Beam Splitters</div>
+                <div class="control-row"><label for="mz-reflectance">Reflectance:</label><input type="range" id="mz-reflectance" min="0.1" max="0.9" value="0.5" step="0.05"><span id="mz-reflectance-value">50%</span></div>
+                <div class="control-row"><label for="mz-tilt">Output Tilt:</label><input type="range" id="mz-tilt" min="-0.5" max="0.5" value="0.1" step="0.01"><span id="mz-tilt-value">0.10 mrad</span></div>
+                <hr>
+                <div class="setup-title">Fringe Pattern</div>
+                <canvas id="fringe-canvas" width="200" height="40"></canvas>
+                <div class="control-row"><label>Path Difference:</label><span id="mz-opd-value"></span></div>`;
+
+            const pressureSlider = document.getElementById('mz-pressure');
+            const reflectanceSlider = document.getElementById('mz-reflectance');
+            const tiltSlider = document.getElementById('mz-tilt');
+            let fringes = null;
+
+            function updateInterferometer() {
+                const pressure = parseFloat(pressureSlider.value);
+                const reflectance = parseFloat(reflectanceSlider.value);
+                const tilt = parseFloat(tiltSlider.value) * 1e-3; // radians
+                gasCellData.element.material = 1 + airRefractivity * pressure;
+                splitterInData.element.reflectance = reflectance;
+                splitterOutData.element.reflectance = reflectance;
+                splitterOutData.mesh.rotation.set(0, -Math.PI / 4, 0);
+                splitterOutData.mesh.rotateX(tilt);
+
+                // The arms are geometrically equal; the gas adds (n - 1) * L to arm A, and the
+                // tilted output splitter turns arm A's beam by twice its tilt.
+                const pathA = mirrorAData.mesh.position.distanceTo(splitterInData.mesh.position) + splitterOutData.mesh.position.distanceTo(mirrorAData.mesh.position);
+                const pathB = mirrorBData.mesh.position.distanceTo(splitterInData.mesh.position) + splitterOutData.mesh.position.distanceTo(mirrorBData.mesh.position);
+                const opd = pathA + (gasCellData.element.getIndex() - 1) * cellLength - pathB;
+                fringes = { opdAt: (u) => opd + 2 * u * Math.tan(tilt), reflectance };
+
+                document.getElementById('mz-pressure-value').textContent = `${pressure.toFixed(2)} atm`;
+                document.getElementById('mz-reflectance-value').textContent = `${Math.round(reflectance * 100)}%`;
+                document.getElementById('mz-tilt-value').textContent = `${(tilt * 1e3).toFixed(2)} mrad`;
+                document.getElementById('mz-opd-value').innerHTML = `${(opd * 1e4).toFixed(3)} &micro;m`;
                 traceRaysCallback();
-            });
+            }
+
+            pressureSlider.addEventListener('input', updateInterferometer);
+            reflectanceSlider.addEventListener('input', updateInterferometer);
+            tiltSlider.addEventListener('input', updateInterferometer);
+            updateInterferometer();
+            return {
+                onTrace: () => drawFringes(document.getElementById('fringe-canvas'), fringes.opdAt, fringes.reflectance, simulationConfig.wavelength)
+            };
         }
     },
 };
@@ -0,0 +1,87 @@
+// === OPTICAL MATERIALS - V1.0 (Glass Catalog) ===
+// Contains the refractive index models for the glasses used by refractive elements.
+// Sellmeier coefficients use wavelengths in micrometers (C terms are in µm²), as
+// published in the manufacturer catalogs.
+
+export const glassCatalog = {
+    'N-BK7': {
+        name: 'N-BK7 (Crown)', model: 'sellmeier',
+        B: [1.03961212, 0.231792344, 1.01046945],
+        C: [0.00600069867, 0.0200179144, 103.560653]
+    },
+    'N-BAF10': {
+        name: 'N-BAF10 (Barium Flint)', model: 'sellmeier',
+        B: [1.5851495, 0.143559385, 1.08521269],
+        C: [0.00926681282, 0.0424489805, 105.613573]
+    },
+    'F2': {
+        name: 'F2 (Flint)', model: 'sellmeier',
+        B: [1.34533359, 0.209073176, 0.937357162],
+        C: [0.00997743871, 0.0470450767, 111.886764]
+    },
+    'N-SF6': {
+        name: 'N-SF6 (Dense Flint)', model: 'sellmeier',
+        B: [1.77931763, 0.338149866, 2.08734474],
+        C: [0.0133714182, 0.0617533621, 174.01759]
+    },
+    'N-SF11': {
+        name: 'N-SF11 (Dense Flint)', model: 'sellmeier',
+        B: [1.73759695, 0.313747346, 1.89878101],
+        C: [0.013188707, 0.0623068142, 155.23629]
+    },
+    'fused-silica': {
+        name: 'Fused Silica', model: 'sellmeier',
+        B: [0.6961663, 0.4079426, 0.8974794],
+        C: [0.00467914826, 0.0135120631, 97.9340025]
+    },
+    'CaF2': {
+        name: 'Calcium Fluoride', model: 'sellmeier',
+        B: [0.5675888, 0.4710914, 3.8484723],
+        C: [0.00252642999, 0.0100783328, 1200.55597]
+    },
+    'PMMA': {
+        name: 'Acrylic (PMMA)', model: 'cauchy',
+        A: 1.4787, B: 0.0045
+    }
+};
+
+// Fraunhofer lines (nm) used for the standard index and dispersion figures.
+export const FRAUNHOFER_LINES = { F: 486.13, d: 587.56, C: 656.27 };
+
+/**
+ * Returns the refractive index of a material at a wavelength.
+ * @param {string|number} material - A `glassCatalog` key, or a constant index.
+ * @param {number} wavelength - Wavelength in nm.
+ * @returns {number}
+ */
+export function getRefractiveIndex(material, wavelength) {
+    if (typeof material === 'number') return material;
+    const glass = glassCatalog[material];
+    if (!glass) throw new Error(`Unknown material '${material}'.`);
+
+    const lambda = wavelength / 1000; // Catalog formulas use micrometers.
+    const lambda2 = lambda * lambda;
+    if (glass.model === 'cauchy') {
+        return glass.A + glass.B / lambda2;
+    }
+    let n2 = 1;
+    for (let i = 0; i < glass.B.length; i++) {
+        n2 += (glass.B[i] * lambda2) / (lambda2 - glass.C[i]);
+    }
+    return Math.sqrt(n2);
+}
+
+// True when the material's index changes with wavelength.
+export function isDispersive(material) {
+    return typeof material === 'string';
+}
+
+/**
+ * Abbe number V_d = (n_d - 1) / (n_F - n_C); Infinity for a constant index.
+ */
+export function getAbbeNumber(material) {
+    const nF = getRefractiveIndex(material, FRAUNHOFER_LINES.F);
+    const nC = getRefractiveIndex(material, FRAUNHOFER_LINES.C);
+    if (nF === nC) return Infinity;
+    return (getRefractiveIndex(material, FRAUNHOFER_LINES.d) - 1) / (nF - nC);
+}
@@ -1,12 +1,15 @@
-// === OPTICS COMPONENTS - V3.7 (Corrected Spectrometer Orders) ===
+// === OPTICS COMPONENTS - V4.0 (Configurable Grating Orders) ===
 // Contains the factory functions for creating optical elements.
-// MODIFIED: Reflective grating now processes the -1 order for the spectrometer
-// to show the correct physical path of light.
+// MODIFIED: Both gratings diffract into the orders of their own `minOrder`/`maxOrder`
+// range, weighted by a blazed efficiency model (see `createGratingOrders`), instead of
+// special-casing the spectrometer setup.
 import * as THREE from 'three';
-import { Ray, getRaySphereIntersection } from './optics-core.js';
+import { Ray, getRaySphereIntersection, refractDirection, fresnelReflectance } from './optics-core.js';
+import { getRefractiveIndex, isDispersive, FRAUNHOFER_LINES } from './optical-materials.js';
+import { applyPolarizer, applyRetarder, splitPolarization, transmitPolarization, reflectPolarization } from './polarization.js';
+import { refractionMatrix, translationMatrix, thinLensMatrix, composeMatrices } from './paraxial.js';
 
-export function createLens(name, position, focalLength, elementGroup) {
-    // --- Materials Definition ---
+function createGlassMaterials() {
     const glassMaterial = new THREE.MeshPhysicalMaterial({
         color: 0xffffff, // Brighter color for better visibility
         metalness: 0,
@@ -27,49 +30,22 @@ export function createLens(name, position, focalLength, elementGroup) {
         opacity: 0.85,
         transparent: true
     });
+    return { glassMaterial, frostedMaterial };
+}
 
-    // --- 1. Visual Biconvex Mesh Construction ---
+export function createLens(name, position, focalLength, elementGroup) {
+    const { glassMaterial, frostedMaterial } = createGlassMaterials();
+
+    // --- 1. Visual Mesh Construction ---
+    // The visual shape follows the focal length: an equi-convex lens for f > 0, an
+    // equi-concave one for f < 0 and a flat window when the lens has no power.
     const lensGroup = new THREE.Group();
     const lensRadius = 3.5;
     const edgeThickness = 0.2;
-    const centerThickness = 0.7;
-    const segments = 64;
-
-    const edgeGeom = new THREE.CylinderGeometry(lensRadius, lensRadius, edgeThickness, segments, 1, false);
-    
-    // The top and bottom faces of the cylinder should be transparent, while the rim is frosted.
-    // Material Index 0: Side face (rim)
-    // Material Index 1: Top face
-    // Material Index 2: Bottom face
-    const edgeMaterials = [
-        frostedMaterial, // Rim
-        glassMaterial,   // Top face
-        glassMaterial    // Bottom face
-    ];
-    const edgeMesh = new THREE.Mesh(edgeGeom, edgeMaterials);
-    lensGroup.add(edgeMesh);
-
-
-    const h = (centerThickness - edgeThickness) / 2.0;
-    if (h > 0) {
-        const r = lensRadius;
-        const radiusOfCurvature = (r * r + h * h) / (2 * h);
-        const thetaLength = Math.asin(r / radiusOfCurvature);
-        const capGeom = new THREE.SphereGeometry(radiusOfCurvature, segments, segments, 0, Math.PI * 2, 0, thetaLength);
-        
-        const topCapMesh = new THREE.Mesh(capGeom, glassMaterial);
-        topCapMesh.position.y = (edgeThickness / 2) - (radiusOfCurvature * Math.cos(thetaLength));
-        lensGroup.add(topCapMesh);
-        
-        const bottomCapMesh = new THREE.Mesh(capGeom, glassMaterial);
-        bottomCapMesh.rotation.x = Math.PI;
-        bottomCapMesh.position.y = (-edgeThickness / 2) + (radiusOfCurvature * Math.cos(thetaLength));
-        lensGroup.add(bottomCapMesh);
-    }
-    
+    const visualIor = 1.46;
+
     lensGroup.name = name + "_visual";
     lensGroup.position.set(position.x, position.y, position.z);
-    lensGroup.rotation.z = Math.PI / 2;
     elementGroup.add(lensGroup);
 
     // --- 2. Invisible Referential Mesh for Ray Tracing ---
@@ -78,7 +54,7 @@ export function createLens(name, position, focalLength, elementGroup) {
     const refMesh = new THREE.Mesh(refGeometry, new THREE.MeshBasicMaterial({ visible: false }));
     refMesh.name = name;
     refMesh.position.copy(lensGroup.position);
-    refMesh.rotation.copy(lensGroup.rotation);
+    refMesh.rotation.z = Math.PI / 2;
     elementGroup.add(refMesh);
 
 
@@ -89,6 +65,37 @@ export function createLens(name, position, focalLength, elementGroup) {
         visualMesh: lensGroup, // Keep a reference to the visible mesh
         type: 'thin-lens',
         focalLength: focalLength,
+        // Optional glass (see optical-materials.js). `focalLength` is then the value at the
+        // d-line and other wavelengths scale with (n - 1), giving axial chromatic aberration.
+        material: null,
+        getFocalLength: function(wavelength = FRAUNHOFER_LINES.d) {
+            if (!this.material) return this.focalLength;
+            const nd = getRefractiveIndex(this.material, FRAUNHOFER_LINES.d);
+            return this.focalLength * (nd - 1) / (getRefractiveIndex(this.material, wavelength) - 1);
+        },
+        setFocalLength: function(f) {
+            this.focalLength = f;
+            this._rebuildMesh();
+        },
+        getParaxialMatrix: function(wavelength = FRAUNHOFER_LINES.d) {
+            return thinLensMatrix(this.getFocalLength(wavelength));
+        },
+        _rebuildMesh: function() {
+            const f = this.focalLength;
+            if (!isFinite(f)) {
+                buildLensMeshes(lensGroup, Infinity, Infinity, edgeThickness, lensRadius, glassMaterial, frostedMaterial);
+                return;
+            }
+            // Lensmaker's equation for a thin equi-convex/concave lens, limited to a
+            // hemisphere so very short focal lengths still give a valid shape.
+            const R = Math.max(2 * (visualIor - 1) * Math.abs(f), lensRadius * 1.05);
+            const sag = surfaceSag(R, lensRadius);
+            if (f > 0) {
+                buildLensMeshes(lensGroup, R, -R, edgeThickness + 2 * sag, lensRadius, glassMaterial, frostedMaterial);
+            } else {
+                buildLensMeshes(lensGroup, -R, R, edgeThickness, lensRadius, glassMaterial, frostedMaterial);
+            }
+        },
         processRay: function(ray, originalRay, config) {
             if (ray.direction.x === 0) return null;
             const t = (this.mesh.position.x - ray.origin.x) / ray.direction.x;
@@ -120,13 +127,17 @@ export function createLens(name, position, focalLength, elementGroup) {
                         
                         return { newRay: new Ray(intersectPoint, newDir, ray.wavelength, ray.color) };
                     } else {
+                        const f = this.getFocalLength(ray.wavelength);
                         const y = intersectPoint.y - this.mesh.position.y;
                         const z = intersectPoint.z - this.mesh.position.z;
-                        const newDirY = ray.direction.y - y / this.focalLength;
-                        const newDirZ = ray.direction.z - z / this.focalLength;
+                        const newDirY = ray.direction.y - y / f;
+                        const newDirZ = ray.direction.z - z / f;
                         const newDir = new THREE.Vector3(ray.direction.x, newDirY, newDirZ).normalize();
+                        // An ideal lens delays the edge of the beam less than its center, so a
+                        // plane wave arrives at the focus in phase.
+                        const opticalPath = isFinite(f) ? -Math.sign(f) * (Math.hypot(f, y, z) - Math.abs(f)) : 0;
 
-                        return { newRay: new Ray(intersectPoint, newDir, ray.wavelength, ray.color) };
+                        return { newRay: new Ray(intersectPoint, newDir, ray.wavelength, ray.color), opticalPath, dispersive: !!this.material && isDispersive(this.material) };
                     }
                 }
             }
@@ -134,11 +145,528 @@ export function createLens(name, position, focalLength, elementGroup) {
         }
     };
 
+    element._rebuildMesh();
+
     // The returned `mesh` is now the visual group, but the `element` holds the logic.
     // The setup controls will need to move both the visual and logical meshes.
     return { mesh: lensGroup, logicalElement: element };
 }
 
+/**
+ * Replaces the children of `group` with the faces and frosted rim of a lens whose
+ * surfaces have radii R1 and R2 (Infinity for flat). The lens axis is the group's X axis.
+ */
+function buildLensMeshes(group, R1, R2, thickness, apertureRadius, glassMaterial, frostedMaterial) {
+    group.children.slice().forEach(child => {
+        group.remove(child);
+        child.geometry.dispose();
+    });
+    addLensMeshes(group, R1, R2, thickness, apertureRadius, glassMaterial, frostedMaterial, 0);
+}
+
+// Adds the faces and rim of one piece of glass, centered at `centerX` on the group's X axis.
+function addLensMeshes(group, R1, R2, thickness, apertureRadius, glassMaterial, frostedMaterial, centerX) {
+    const a = apertureRadius;
+    const segments = 32;
+    const front = [], back = [];
+    for (let i = 0; i <= segments; i++) {
+        const r = a * i / segments;
+        front.push(new THREE.Vector2(r, -thickness / 2 + surfaceSag(R1, r)));
+        back.push(new THREE.Vector2(r, thickness / 2 + surfaceSag(R2, r)));
+    }
+    // The lathe profile runs along the local Y axis, which the mesh rotation maps onto X.
+    const faces = new THREE.LatheGeometry([...front, ...back.reverse()], 64);
+    const faceMesh = new THREE.Mesh(faces, glassMaterial);
+    faceMesh.rotation.z = -Math.PI / 2;
+    faceMesh.position.x = centerX;
+    group.add(faceMesh);
+
+    const edgeThickness = thickness + surfaceSag(R2, a) - surfaceSag(R1, a);
+    if (edgeThickness > 1e-3) {
+        const rim = new THREE.Mesh(new THREE.CylinderGeometry(a, a, edgeThickness, 64, 1, true), frostedMaterial);
+        rim.rotation.z = -Math.PI / 2;
+        rim.position.x = centerX + (surfaceSag(R1, a) + surfaceSag(R2, a)) / 2;
+        group.add(rim);
+    }
+}
+
+// Largest radius (up to `maxRadius`) at which a piece of glass bounded by R1 and R2
+// is still physical: within both spheres and with a non-negative edge thickness.
+function clearApertureRadius(R1, R2, thickness, maxRadius) {
+    let a = Math.min(maxRadius, Math.abs(R1), Math.abs(R2));
+    const edge = (r) => thickness + surfaceSag(R2, r) - surfaceSag(R1, r);
+    if (edge(a) < 0) {
+        let lo = 0, hi = a;
+        for (let i = 0; i < 40; i++) {
+            const mid = (lo + hi) / 2;
+            if (edge(mid) >= 0) lo = mid; else hi = mid;
+        }
+        a = lo;
+    }
+    return a;
+}
+
+// Intersects a ray with one lens surface `{ vertexX, R }` on an axis parallel to X
+// through (axisY, axisZ). Returns `{ point, normal, distance }` or null.
+function intersectLensSurface(ray, surface, axisY, axisZ, apertureRadius) {
+    const withinAperture = (p) => Math.hypot(p.y - axisY, p.z - axisZ) <= apertureRadius + 1e-9;
+    let point = null, normal = null;
+    if (!isFinite(surface.R)) {
+        if (ray.direction.x === 0) return null;
+        const t = (surface.vertexX - ray.origin.x) / ray.direction.x;
+        if (t <= 1e-6) return null;
+        point = ray.origin.clone().add(ray.direction.clone().multiplyScalar(t));
+        if (!withinAperture(point)) return null;
+        normal = new THREE.Vector3(1, 0, 0);
+    } else {
+        const center = new THREE.Vector3(surface.vertexX + surface.R, axisY, axisZ);
+        // Only the cap on the vertex side of the sphere belongs to the lens.
+        point = getRaySphereIntersection(ray, center, Math.abs(surface.R), p => withinAperture(p) && (p.x - center.x) * -surface.R > 0);
+        if (!point) return null;
+        normal = point.clone().sub(center).normalize();
+    }
+    return { point, normal, distance: point.clone().sub(ray.origin).dot(ray.direction) };
+}
+
+// Sag of a spherical surface (vertex at 0, center at +R) at radial height r.
+// A flat surface is given by R = Infinity.
+function surfaceSag(R, r) {
+    if (!isFinite(R)) return 0;
+    return R - Math.sign(R) * Math.sqrt(Math.max(0, R * R - r * r));
+}
+
+// Radial height of the rim of a closed conic (sphere, ellipsoid), where its surface turns
+// parallel to the axis; open conics (paraboloid, hyperboloid) and flats have none.
+function conicRimRadius(c, k) {
+    return (c === 0 || 1 + k <= 0) ? Infinity : 1 / (Math.abs(c) * Math.sqrt(1 + k));
+}
+
+// Sag of a conic surface with vertex curvature c and conic constant k at radial height r.
+// Beyond the rim of a closed conic the sag is clamped to the rim.
+function conicSag(c, k, r) {
+    if (c === 0) return 0;
+    const rim = Math.min(r, conicRimRadius(c, k));
+    const arg = 1 - (1 + k) * c * c * rim * rim;
+    return (c * rim * rim) / (1 + Math.sqrt(Math.max(0, arg)));
+}
+
+// Residual reflectance of a single-layer anti-reflection coating on an air-glass surface.
+const AR_COATING_REFLECTANCE = 0.005;
+
+// Share of a ray's power, and the polarization it leaves with, after crossing a refracting
+// surface. The Fresnel reflection is not traced further and counts as a loss; coated
+// surfaces facing air keep only the residual reflectance of the anti-reflection coating.
+function transmitSurface(polarization, direction, outDirection, normal, n1, n2, coated) {
+    const { Rs, Rp } = (coated && (n1 === 1 || n2 === 1))
+        ? { Rs: AR_COATING_REFLECTANCE, Rp: AR_COATING_REFLECTANCE }
+        : fresnelReflectance(direction, normal, n1, n2);
+    return transmitPolarization(polarization, direction, outDirection, normal, Rs, Rp);
+}
+
+/**
+ * Creates a thick lens made of two spherical surfaces. Rays are refracted at each
+ * surface with Snell's law, so spherical aberration, thick-lens principal planes and
+ * total internal reflection all come out of the trace. The optical axis is world X.
+ * @param {string} name - The name of the lens.
+ * @param {{x: number, y: number, z: number}} position - Center of the lens.
+ * @param {object} config - The lens prescription.
+ * @param {number} config.R1 - Radius of the first surface in cm (positive: center to the +X side, Infinity: flat).
+ * @param {number} config.R2 - Radius of the second surface in cm, same sign convention.
+ * @param {number} config.thickness - Center thickness in cm.
+ * @param {string|number} config.material - Glass from the catalog in optical-materials.js, or a constant index.
+ * @param {number} [config.diameter=5] - Clear diameter in cm.
+ * @param {boolean} [config.coated=false] - Anti-reflection coat both surfaces; uncoated
+ *   surfaces lose the Fresnel reflection.
+ * @param {THREE.Group} elementGroup - The group to add the lens to.
+ */
+export function createRefractiveLens(name, position, config, elementGroup) {
+    const { glassMaterial, frostedMaterial } = createGlassMaterials();
+    const lensGroup = new THREE.Group();
+    lensGroup.name = name;
+    lensGroup.position.set(position.x, position.y, position.z);
+    elementGroup.add(lensGroup);
+
+    const element = {
+        mesh: lensGroup, type: 'refractive-lens',
+        R1: config.R1, R2: config.R2, thickness: config.thickness, material: config.material, diameter: config.diameter || 5,
+        coated: !!config.coated,
+        getIndex: function(wavelength) {
+            return getRefractiveIndex(this.material, wavelength);
+        },
+        // Usable radius: the clear aperture, limited by the steepest surface and by
+        // the height where the two surfaces meet (zero edge thickness).
+        _apertureRadius: function() {
+            return clearApertureRadius(this.R1, this.R2, this.thickness, this.diameter / 2);
+        },
+        _getSurfaces: function() {
+            const x = this.mesh.position.x;
+            return [
+                { vertexX: x - this.thickness / 2, R: this.R1 },
+                { vertexX: x + this.thickness / 2, R: this.R2 }
+            ];
+        },
+        _rebuildMesh: function() {
+            buildLensMeshes(this.mesh, this.R1, this.R2, this.thickness, this._apertureRadius(), glassMaterial, frostedMaterial);
+        },
+        // Effective focal length from the thick-lens lensmaker's equation (Infinity for no power).
+        getFocalLength: function(wavelength = FRAUNHOFER_LINES.d) {
+            const n = this.getIndex(wavelength);
+            const c1 = 1 / this.R1, c2 = 1 / this.R2;
+            const power = (n - 1) * (c1 - c2 + (n - 1) * this.thickness * c1 * c2 / n);
+            return 1 / power;
+        },
+        // Distance from the second vertex to the rear focal point.
+        getBackFocalLength: function(wavelength = FRAUNHOFER_LINES.d) {
+            const n = this.getIndex(wavelength);
+            const f = this.getFocalLength(wavelength);
+            return f * (1 - (n - 1) * this.thickness / (n * this.R1));
+        },
+        // Ray-transfer matrix from the first vertex to the second.
+        getParaxialMatrix: function(wavelength = FRAUNHOFER_LINES.d) {
+            const n = this.getIndex(wavelength);
+            return composeMatrices(refractionMatrix(1.0, n, this.R1), translationMatrix(this.thickness), refractionMatrix(n, 1.0, this.R2));
+        },
+        // Share of the power an axial ray keeps after both surfaces (normal incidence).
+        getAxialTransmission: function(wavelength = FRAUNHOFER_LINES.d) {
+            const n = this.getIndex(wavelength);
+            const axis = new THREE.Vector3(1, 0, 0);
+            return transmitSurface(null, axis, axis, axis, 1.0, n, this.coated).transmittance *
+                transmitSurface(null, axis, axis, axis, n, 1.0, this.coated).transmittance;
+        },
+        // Finds the nearest point where a ray meets one of the lens surfaces.
+        _intersectSurfaces: function(ray) {
+            const a = this._apertureRadius();
+            let nearest = null;
+            for (const surface of this._getSurfaces()) {
+                const hit = intersectLensSurface(ray, surface, this.mesh.position.y, this.mesh.position.z, a);
+                if (hit && (!nearest || hit.distance < nearest.distance)) nearest = hit;
+            }
+            return nearest;
+        },
+        // Where a ray travelling inside the glass leaves through the frosted rim.
+        _intersectRim: function(ray) {
+            const a = this._apertureRadius();
+            const oy = ray.origin.y - this.mesh.position.y, oz = ray.origin.z - this.mesh.position.z;
+            const dy = ray.direction.y, dz = ray.direction.z;
+            const A = dy * dy + dz * dz;
+            if (A < 1e-12) return null;
+            const B = 2 * (oy * dy + oz * dz);
+            const Cq = oy * oy + oz * oz - a * a;
+            const t = (-B + Math.sqrt(Math.max(0, B * B - 4 * A * Cq))) / (2 * A);
+            return ray.origin.clone().add(ray.direction.clone().multiplyScalar(t));
+        },
+        processRay: function(ray, originalRay) {
+            const entry = this._intersectSurfaces(ray);
+            if (!entry) return null;
+
+            const n = this.getIndex(ray.wavelength);
+            const dispersive = isDispersive(this.material);
+            const via = [entry.point];
+            let direction = refractDirection(ray.direction, entry.normal, 1.0, n);
+            if (!direction) return { intersection: entry.point };
+            let { polarization, transmittance } = transmitSurface(ray.polarization, ray.direction, direction, entry.normal, 1.0, n, this.coated);
+            let intensity = ray.intensity * transmittance;
+            let position = entry.point;
+            let opticalPath = 0;
+
+            for (let bounce = 0; bounce < 10; bounce++) {
+                const insideRay = new Ray(position, direction, ray.wavelength, ray.color, intensity, polarization);
+                const exit = this._intersectSurfaces(insideRay);
+                if (!exit) {
+                    const rimPoint = this._intersectRim(insideRay);
+                    return { via, intersection: rimPoint || position, dispersive };
+                }
+                opticalPath += n * exit.point.distanceTo(position);
+                const outDirection = refractDirection(direction, exit.normal, n, 1.0);
+                if (outDirection) {
+                    const exitState = transmitSurface(polarization, direction, outDirection, exit.normal, n, 1.0, this.coated);
+                    intensity *= exitState.transmittance;
+                    return { via, newRay: new Ray(exit.point, outDirection, ray.wavelength, ray.color, intensity, exitState.polarization), opticalPath, dispersive };
+                }
+                // Total internal reflection: stay inside the glass and try again.
+                direction = direction.clone().reflect(exit.normal);
+                polarization = reflectPolarization(polarization, exit.normal);
+                position = exit.point;
+                via.push(exit.point);
+            }
+            return { via: via.slice(0, -1), intersection: position, dispersive };
+        }
+    };
+    element._rebuildMesh();
+    return { mesh: lensGroup, element };
+}
+
+/**
+ * Creates a cemented lens group: a stack of spherical surfaces separated by different
+ * glasses, such as an achromatic doublet. The group is traced as one element, with
+ * Snell's law applied at every surface in the order the ray meets them.
+ * @param {string} name - The name of the lens group.
+ * @param {{x: number, y: number, z: number}} position - Center of the stack.
+ * @param {object} config - The prescription.
+ * @param {object[]} config.surfaces - Surfaces from -X to +X: `{ R, thickness, material }`, where
+ *   `thickness` and `material` describe the glass after the surface (omitted on the last one).
+ * @param {number} [config.diameter=5] - Clear diameter in cm.
+ * @param {boolean} [config.coated=false] - Anti-reflection coat the surfaces facing air.
+ * @param {THREE.Group} elementGroup - The group to add the lens group to.
+ */
+export function createLensGroup(name, position, config, elementGroup) {
+    const { glassMaterial, frostedMaterial } = createGlassMaterials();
+    // Alternate pieces get a faint tint so the cemented elements can be told apart.
+    const tintedGlassMaterial = glassMaterial.clone();
+    tintedGlassMaterial.color.set(0xcfe3ff);
+
+    const lensGroup = new THREE.Group();
+    lensGroup.name = name;
+    lensGroup.position.set(position.x, position.y, position.z);
+    elementGroup.add(lensGroup);
+
+    const element = {
+        mesh: lensGroup, type: 'lens-group',
+        surfaces: config.surfaces, diameter: config.diameter || 5, coated: !!config.coated,
+        // Refractive index of each medium: air, the glass after each surface, then air.
+        _getIndices: function(wavelength) {
+            return [1.0, ...this.surfaces.slice(0, -1).map(s => getRefractiveIndex(s.material, wavelength)), 1.0];
+        },
+        _getSurfaces: function() {
+            const totalThickness = this.surfaces.slice(0, -1).reduce((sum, s) => sum + s.thickness, 0);
+            let x = this.mesh.position.x - totalThickness / 2;
+            return this.surfaces.map(s => {
+                const surface = { vertexX: x, R: s.R };
+                x += s.thickness || 0;
+                return surface;
+            });
+        },
+        _apertureRadius: function() {
+            let a = this.diameter / 2;
+            for (let i = 0; i < this.surfaces.length - 1; i++) {
+                a = Math.min(a, clearApertureRadius(this.surfaces[i].R, this.surfaces[i + 1].R, this.surfaces[i].thickness, a));
+            }
+            return a;
+        },
+        _rebuildMesh: function() {
+            this.mesh.children.slice().forEach(child => {
+                this.mesh.remove(child);
+                child.geometry.dispose();
+            });
+            const a = this._apertureRadius();
+            const surfaces = this._getSurfaces();
+            for (let i = 0; i < surfaces.length - 1; i++) {
+                const thickness = this.surfaces[i].thickness;
+                const centerX = surfaces[i].vertexX + thickness / 2 - this.mesh.position.x;
+                const material = (i % 2 === 0) ? glassMaterial : tintedGlassMaterial;
+                addLensMeshes(this.mesh, surfaces[i].R, surfaces[i + 1].R, thickness, a, material, frostedMaterial, centerX);
+            }
+        },
+        // Paraxial (y, nu) trace of a ray parallel to the axis at unit height.
+        _paraxialTrace: function(wavelength) {
+            const indices = this._getIndices(wavelength);
+            let y = 1, nu = 0;
+            this.surfaces.forEach((s, i) => {
+                nu -= y * (indices[i + 1] - indices[i]) / s.R;
+                if (i < this.surfaces.length - 1) y += s.thickness * nu / indices[i + 1];
+            });
+            return { y, u: nu };
+        },
+        // Effective focal length at a wavelength (Infinity for an afocal group).
+        getFocalLength: function(wavelength = FRAUNHOFER_LINES.d) {
+            return -1 / this._paraxialTrace(wavelength).u;
+        },
+        // Distance from the last vertex to the rear focal point.
+        getBackFocalLength: function(wavelength = FRAUNHOFER_LINES.d) {
+            const { y, u } = this._paraxialTrace(wavelength);
+            return -y / u;
+        },
+        // Ray-transfer matrix from the first vertex to the last.
+        getParaxialMatrix: function(wavelength = FRAUNHOFER_LINES.d) {
+            const indices = this._getIndices(wavelength);
+            const matrices = [];
+            this.surfaces.forEach((s, i) => {
+                if (i > 0) matrices.push(translationMatrix(this.surfaces[i - 1].thickness));
+                matrices.push(refractionMatrix(indices[i], indices[i + 1], s.R));
+            });
+            return composeMatrices(...matrices);
+        },
+        processRay: function(ray, originalRay) {
+            const indices = this._getIndices(ray.wavelength);
+            const surfaces = this._getSurfaces();
+            const forward = ray.direction.x >= 0;
+            const order = forward ? surfaces.map((_, i) => i) : surfaces.map((_, i) => surfaces.length - 1 - i);
+            const a = this._apertureRadius();
+            const dispersive = this.surfaces.some(s => s.material !== undefined && isDispersive(s.material));
+
+            const via = [];
+            let current = ray;
+            let opticalPath = 0;
+            for (const i of order) {
+                const hit = intersectLensSurface(current, surfaces[i], this.mesh.position.y, this.mesh.position.z, a);
+                if (!hit) {
+                    if (via.length === 0) return null;
+                    // Lost through the rim inside the group.
+                    return { via: via.slice(0, -1), intersection: via[via.length - 1], dispersive };
+                }
+                const [n1, n2] = forward ? [indices[i], indices[i + 1]] : [indices[i + 1], indices[i]];
+                if (via.length > 0) opticalPath += n1 * hit.point.distanceTo(current.origin);
+                via.push(hit.point);
+                const direction = refractDirection(current.direction, hit.normal, n1, n2);
+                if (!direction) return { via: via.slice(0, -1), intersection: hit.point, dispersive };
+                const { polarization, transmittance } = transmitSurface(current.polarization, current.direction, direction, hit.normal, n1, n2, this.coated);
+                current = new Ray(hit.point, direction, ray.wavelength, ray.color, current.intensity * transmittance, polarization);
+            }
+            return { via: via.slice(0, -1), newRay: current, opticalPath, dispersive };
+        }
+    };
+    element._rebuildMesh();
+    return { mesh: lensGroup, element };
+}
+
+/**
+ * Creates a triangular dispersing prism. The apex points up (+Y) and the prism is
+ * extruded along Z; `rotation` turns it about Z. Rays are refracted at every face
+ * for their own wavelength, so white light fans out into a spectrum.
+ * @param {string} name - The name of the prism.
+ * @param {{x: number, y: number, z: number}} position - Centroid of the prism.
+ * @param {object} config - The prism parameters.
+ * @param {number} config.apexAngle - Apex angle in degrees.
+ * @param {string|number} config.material - Glass from the catalog in optical-materials.js, or a constant index.
+ * @param {number} [config.rotation=0] - Rotation about Z in degrees (counterclockwise).
+ * @param {number} [config.faceLength=3] - Length of the two refracting faces in cm.
+ * @param {number} [config.depth=3] - Extent along Z in cm.
+ * @param {boolean} [config.coated=false] - Anti-reflection coat the faces.
+ * @param {THREE.Group} elementGroup - The group to add the prism to.
+ */
+export function createPrism(name, position, config, elementGroup) {
+    const { glassMaterial } = createGlassMaterials();
+    const edgeMaterial = new THREE.LineBasicMaterial({ color: 0x333333 });
+
+    const element = {
+        mesh: null, type: 'prism',
+        apexAngle: config.apexAngle, material: config.material,
+        faceLength: config.faceLength || 3, depth: config.depth || 3, coated: !!config.coated,
+        getIndex: function(wavelength) {
+            return getRefractiveIndex(this.material, wavelength);
+        },
+        // Triangle corners in local XY, centered on the centroid: apex, base right, base left.
+        _getVertices: function() {
+            const halfApex = this.apexAngle * (Math.PI / 180) / 2;
+            const vertices = [
+                new THREE.Vector2(0, 0),
+                new THREE.Vector2(this.faceLength * Math.sin(halfApex), -this.faceLength * Math.cos(halfApex)),
+                new THREE.Vector2(-this.faceLength * Math.sin(halfApex), -this.faceLength * Math.cos(halfApex))
+            ];
+            const centroid = vertices.reduce((sum, v) => sum.add(v), new THREE.Vector2()).divideScalar(3);
+            return vertices.map(v => v.sub(centroid));
+        },
+        _rebuildMesh: function() {
+            const [apex, baseRight, baseLeft] = this._getVertices();
+            const shape = new THREE.Shape([apex, baseRight, baseLeft]);
+            const geometry = new THREE.ExtrudeGeometry(shape, { depth: this.depth, bevelEnabled: false });
+            geometry.translate(0, 0, -this.depth / 2);
+
+            if (this.mesh) {
+                this.mesh.geometry.dispose();
+                this.mesh.geometry = geometry;
+                this.mesh.children.forEach(child => child.geometry.dispose());
+                this.mesh.clear();
+            } else {
+                this.mesh = new THREE.Mesh(geometry, glassMaterial);
+                this.mesh.name = name;
+                this.mesh.position.set(position.x, position.y, position.z);
+                this.mesh.rotation.z = (config.rotation || 0) * (Math.PI / 180);
+                elementGroup.add(this.mesh);
+            }
+            this.mesh.add(new THREE.LineSegments(new THREE.EdgesGeometry(geometry), edgeMaterial));
+        },
+        // Nearest face hit in local coordinates. Faces are the triangle sides; the end caps
+        // at +/- depth/2 are treated as ground glass and are not part of the optical path.
+        _intersectFaces: function(origin, direction) {
+            const vertices = this._getVertices();
+            let nearest = null;
+            for (let i = 0; i < 3; i++) {
+                const a = vertices[i], b = vertices[(i + 1) % 3];
+                const edge = new THREE.Vector2().subVectors(b, a);
+                const normal = new THREE.Vector3(edge.y, -edge.x, 0).normalize(); // Outward for clockwise vertices.
+                const denom = normal.x * direction.x + normal.y * direction.y;
+                if (Math.abs(denom) < 1e-12) continue;
+                const t = (normal.x * (a.x - origin.x) + normal.y * (a.y - origin.y)) / denom;
+                if (t <= 1e-6) continue;
+                const point = origin.clone().add(direction.clone().multiplyScalar(t));
+                const s = ((point.x - a.x) * edge.x + (point.y - a.y) * edge.y) / edge.lengthSq();
+                if (s < 0 || s > 1 || Math.abs(point.z) > this.depth / 2) continue;
+                if (!nearest || t < nearest.t) nearest = { t, point, normal };
+            }
+            return nearest;
+        },
+        processRay: function(ray, originalRay) {
+            const toLocal = new THREE.Matrix4().copy(this.mesh.matrixWorld).invert();
+            const origin = ray.origin.clone().applyMatrix4(toLocal);
+            let direction = ray.direction.clone().transformDirection(toLocal);
+
+            const entry = this._intersectFaces(origin, direction);
+            if (!entry) return null;
+
+            const n = this.getIndex(ray.wavelength);
+            const toWorld = (p) => p.clone().applyMatrix4(this.mesh.matrixWorld);
+            // Polarization is kept in world coordinates, so surface vectors are converted for it.
+            const toWorldDirection = (v) => v.clone().transformDirection(this.mesh.matrixWorld);
+            const via = [toWorld(entry.point)];
+            const refracted = refractDirection(direction, entry.normal, 1.0, n);
+            if (!refracted) return { intersection: via[0] };
+            let { polarization, transmittance } = transmitSurface(ray.polarization, ray.direction, toWorldDirection(refracted), toWorldDirection(entry.normal), 1.0, n, this.coated);
+            let intensity = ray.intensity * transmittance;
+            direction = refracted;
+            let position = entry.point;
+            let opticalPath = 0;
+
+            for (let bounce = 0; bounce < 10; bounce++) {
+                const exit = this._intersectFaces(position, direction);
+                if (!exit) return { via: via.slice(0, -1), intersection: via[via.length - 1], dispersive: true };
+                opticalPath += n * exit.point.distanceTo(position);
+                const outDirection = refractDirection(direction, exit.normal, n, 1.0);
+                if (outDirection) {
+                    const worldDirection = toWorldDirection(outDirection);
+                    const exitState = transmitSurface(polarization, toWorldDirection(direction), worldDirection, toWorldDirection(exit.normal), n, 1.0, this.coated);
+                    intensity *= exitState.transmittance;
+                    return { via, newRay: new Ray(toWorld(exit.point), worldDirection, ray.wavelength, ray.color, intensity, exitState.polarization), opticalPath, dispersive: true };
+                }
+                // Total internal reflection off this face.
+                direction = direction.clone().reflect(exit.normal);
+                polarization = reflectPolarization(polarization, toWorldDirection(exit.normal));
+                position = exit.point;
+                via.push(toWorld(exit.point));
+            }
+            return { via: via.slice(0, -1), intersection: via[via.length - 1], dispersive: true };
+        },
+        // Deviation (degrees) of a ray travelling along +X through the upper half of the
+        // prism, where it crosses both refracting faces rather than the base.
+        getDeviation: function(wavelength) {
+            const [apex] = this._getVertices();
+            const aimPoint = new THREE.Vector3(0, apex.y / 2, 0).applyMatrix4(this.mesh.matrixWorld);
+            const start = aimPoint.add(new THREE.Vector3(-20, 0, 0));
+            const result = this.processRay(new Ray(start, new THREE.Vector3(1, 0, 0), wavelength), null);
+            if (!result || !result.newRay) return null;
+            return Math.acos(Math.min(1, result.newRay.direction.x)) * (180 / Math.PI);
+        },
+        getMinimumDeviation: function(wavelength) {
+            const A = this.apexAngle * (Math.PI / 180);
+            const sinArg = this.getIndex(wavelength) * Math.sin(A / 2);
+            if (sinArg > 1) return null;
+            return (2 * Math.asin(sinArg) - A) * (180 / Math.PI);
+        },
+        // Rotation (degrees) at which a +X beam passes symmetrically (minimum deviation).
+        getMinimumDeviationRotation: function(wavelength) {
+            const A = this.apexAngle * (Math.PI / 180);
+            const sinArg = this.getIndex(wavelength) * Math.sin(A / 2);
+            if (sinArg > 1) return null;
+            return (A / 2 - Math.asin(sinArg)) * (180 / Math.PI);
+        }
+    };
+    element._rebuildMesh();
+    return { mesh: element.mesh, element: element };
+}
+
+// Reflectivity of protected aluminium, the default coating of the mirror components.
+const MIRROR_REFLECTIVITY = 0.92;
+
 export function createMirror(name, position, angle, envMap, elementGroup) {
     const mirrorMaterial = new THREE.MeshStandardMaterial({
         color: 0xeeeeee, metalness: 1.0, roughness: 0.0, envMap: envMap
@@ -152,7 +680,7 @@ export function createMirror(name, position, angle, envMap, elementGroup) {
     elementGroup.add(mesh);
 
     const element = {
-        mesh: mesh, type: 'mirror',
+        mesh: mesh, type: 'mirror', reflectivity: MIRROR_REFLECTIVITY,
         processRay: function(ray, originalRay) {
             const plane = new THREE.Plane();
             const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(this.mesh.quaternion);
@@ -163,7 +691,7 @@ export function createMirror(name, position, angle, envMap, elementGroup) {
                 const localPoint = this.mesh.worldToLocal(intersectPoint.clone());
                 if (Math.abs(localPoint.x) <= mirrorGeometry.parameters.width / 2 && Math.abs(localPoint.y) <= mirrorGeometry.parameters.height / 2) {
                     const reflectedDir = ray.direction.clone().reflect(normal);
-                    return { newRay: new Ray(intersectPoint, reflectedDir, ray.wavelength, ray.color) };
+                    return { newRay: new Ray(intersectPoint, reflectedDir, ray.wavelength, ray.color, ray.intensity * this.reflectivity, reflectPolarization(ray.polarization, normal)) };
                 }
             }
             return null;
@@ -172,37 +700,62 @@ export function createMirror(name, position, angle, envMap, elementGroup) {
     return { mesh, element };
 }
 
-export function createSphericalMirror(name, position, radius, angle, envMap, elementGroup) {
-    const mirrorMaterial = new THREE.MeshStandardMaterial({
-        color: 0xeeeeee, metalness: 1.0, roughness: 0.0, envMap: envMap
-    });
-    const mirrorGeometry = new THREE.PlaneGeometry(5, 5);
-    const mesh = new THREE.Mesh(mirrorGeometry, mirrorMaterial);
+/**
+ * Creates a non-polarizing beam splitter that divides a beam by amplitude: part of the
+ * power is reflected as from a mirror and the rest passes straight through. The
+ * splitting surface is treated as infinitely thin, so there is no refraction offset.
+ * @param {string} name - The name of the beam splitter.
+ * @param {{x: number, y: number, z: number}} position - Center of the splitting surface.
+ * @param {number} angle - Rotation about Y in degrees, as for `createMirror`; at 45 a beam
+ *   along +X is reflected toward +Z.
+ * @param {object} config - The beam splitter parameters.
+ * @param {number} [config.reflectance=0.5] - Share of the power that is reflected.
+ * @param {string} [config.shape='plate'] - 'plate' or 'cube' (coating on the cube diagonal).
+ * @param {THREE.Group} elementGroup - The group to add the beam splitter to.
+ */
+export function createBeamSplitter(name, position, angle, config, elementGroup) {
+    const shape = config.shape || 'plate';
+    const cubeSize = 2;
+    const width = (shape === 'cube') ? cubeSize * Math.SQRT2 : 3;
+    const height = (shape === 'cube') ? cubeSize : 3;
+    const coatingGeometry = new THREE.PlaneGeometry(width, height);
+    const mesh = new THREE.Mesh(coatingGeometry,
+        new THREE.MeshStandardMaterial({ color: 0xbbccee, metalness: 0.5, roughness: 0.2, transparent: true, opacity: 0.5, side: THREE.DoubleSide }));
     mesh.name = name;
     mesh.position.set(position.x, position.y, position.z);
-    mesh.rotation.y = -Math.PI / 2 - angle * (Math.PI / 180); 
-    mesh.add(new THREE.LineSegments(new THREE.EdgesGeometry(mirrorGeometry), new THREE.LineBasicMaterial({ color: 0x333333 })));
+    mesh.rotation.y = -angle * (Math.PI / 180);
+    mesh.add(new THREE.LineSegments(new THREE.EdgesGeometry(coatingGeometry), new THREE.LineBasicMaterial({ color: 0x333333 })));
+    if (shape === 'cube') {
+        // Turned so that one of its diagonals lies in the coating plane.
+        const cube = new THREE.Mesh(new THREE.BoxGeometry(cubeSize, cubeSize, cubeSize), createGlassMaterials().glassMaterial);
+        cube.rotation.y = Math.PI / 4;
+        mesh.add(cube);
+    }
     elementGroup.add(mesh);
 
     const element = {
-        mesh: mesh, type: 'spherical-mirror', radius: radius,
+        mesh: mesh, type: 'beam-splitter', reflectance: (config.reflectance !== undefined) ? config.reflectance : 0.5,
         processRay: function(ray, originalRay) {
             const plane = new THREE.Plane();
             const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(this.mesh.quaternion);
             plane.setFromNormalAndCoplanarPoint(normal, this.mesh.position);
-            
             const intersectPoint = new THREE.Vector3();
             if (plane.intersectLine(new THREE.Line3(ray.origin, ray.origin.clone().add(ray.direction.clone().multiplyScalar(100))), intersectPoint)) {
-                if (ray.direction.dot(intersectPoint.clone().sub(ray.origin)) < 0) return null;
-                
+                if (ray.direction.dot(intersectPoint.clone().sub(ray.origin)) < 1e-6) return null;
                 const localPoint = this.mesh.worldToLocal(intersectPoint.clone());
-                if (Math.abs(localPoint.x) <= mirrorGeometry.parameters.width / 2 && Math.abs(localPoint.y) <= mirrorGeometry.parameters.height / 2) {
-                    const focalLength = -this.radius / 2;
-                    const reflectedDir = ray.direction.clone().reflect(normal);
-                    const displacement = intersectPoint.clone().sub(this.mesh.position);
-                    const correction = displacement.multiplyScalar(-1 / focalLength);
-                    const newDir = reflectedDir.add(correction).normalize();
-                    return { newRay: new Ray(intersectPoint, newDir, ray.wavelength, ray.color) };
+                if (Math.abs(localPoint.x) <= width / 2 && Math.abs(localPoint.y) <= height / 2) {
+                    const newRays = [];
+                    if (this.reflectance < 1) {
+                        newRays.push(new Ray(intersectPoint, ray.direction.clone(), ray.wavelength, ray.color, ray.intensity * (1 - this.reflectance)));
+                    }
+                    if (this.reflectance > 0) {
+                        const reflectedDir = ray.direction.clone().reflect(normal);
+                        const reflected = new Ray(intersectPoint.clone(), reflectedDir, ray.wavelength, ray.color, ray.intensity * this.reflectance, reflectPolarization(ray.polarization, normal));
+                        // A lossless splitter puts the reflected wave a quarter period (pi/2) ahead.
+                        reflected.opticalPath = ray.wavelength * 1e-7 / 4;
+                        newRays.push(reflected);
+                    }
+                    return { newRays: newRays };
                 }
             }
             return null;
@@ -211,6 +764,199 @@ export function createSphericalMirror(name, position, radius, angle, envMap, ele
     return { mesh, element };
 }
 
+/**
+ * Creates a thin dielectric film in air, such as a soap film, tilted about Y like a
+ * plate beam splitter. The reflections from its front and back faces leave together;
+ * the back one is delayed by 2 n d cos(theta_t) and the front one picks up half a wave
+ * on reflection, which is what colors the film on a coherent sensor. Reflections
+ * beyond the second are dropped.
+ * @param {string} name - The name of the film.
+ * @param {{x: number, y: number, z: number}} position - Center of the film.
+ * @param {number} angle - Tilt in degrees about Y; at 45 a +X beam is reflected toward +Z.
+ * @param {object} config - The film parameters.
+ * @param {number} config.thickness - Thickness at the center in nm.
+ * @param {number} [config.wedge=0] - Change of thickness in nm per cm along the film's height.
+ * @param {number} [config.index=1.33] - Refractive index of the film.
+ * @param {THREE.Group} elementGroup - The group to add the film to.
+ */
+export function createThinFilm(name, position, angle, config, elementGroup) {
+    const size = 3;
+    const filmGeometry = new THREE.PlaneGeometry(size, size);
+    const mesh = new THREE.Mesh(filmGeometry,
+        new THREE.MeshStandardMaterial({ color: 0xddccff, metalness: 0.1, roughness: 0.1, transparent: true, opacity: 0.35, side: THREE.DoubleSide }));
+    mesh.name = name;
+    mesh.position.set(position.x, position.y, position.z);
+    mesh.rotation.y = -angle * (Math.PI / 180);
+    mesh.add(new THREE.LineSegments(new THREE.EdgesGeometry(filmGeometry), new THREE.LineBasicMaterial({ color: 0x333333 })));
+    elementGroup.add(mesh);
+
+    const element = {
+        mesh: mesh, type: 'thin-film',
+        thickness: config.thickness, wedge: config.wedge || 0, index: (config.index !== undefined) ? config.index : 1.33,
+        // Thickness in nm at a height (cm) on the film.
+        getThickness: function(localY) {
+            return Math.max(0, this.thickness + this.wedge * localY);
+        },
+        processRay: function(ray, originalRay) {
+            const plane = new THREE.Plane();
+            const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(this.mesh.quaternion);
+            plane.setFromNormalAndCoplanarPoint(normal, this.mesh.position);
+            const intersectPoint = new THREE.Vector3();
+            if (!plane.intersectLine(new THREE.Line3(ray.origin, ray.origin.clone().add(ray.direction.clone().multiplyScalar(100))), intersectPoint)) return null;
+            if (ray.direction.dot(intersectPoint.clone().sub(ray.origin)) < 1e-6) return null;
+            const localPoint = this.mesh.worldToLocal(intersectPoint.clone());
+            if (Math.abs(localPoint.x) > size / 2 || Math.abs(localPoint.y) > size / 2) return null;
+
+            const n = this.index;
+            const { Rs, Rp } = fresnelReflectance(ray.direction, normal, 1.0, n);
+            const front = transmitPolarization(ray.polarization, ray.direction, ray.direction, normal, Rs, Rp);
+            const R = 1 - front.transmittance;
+            const cosI = Math.abs(ray.direction.dot(normal));
+            const cosT = Math.sqrt(1 - (1 - cosI * cosI) / (n * n));
+            const d = this.getThickness(localPoint.y) * 1e-7; // nm to cm
+
+            const transmitted = new Ray(intersectPoint, ray.direction.clone(), ray.wavelength, ray.color, ray.intensity * (1 - R) * (1 - R), front.polarization);
+            transmitted.opticalPath = n * d / cosT;
+            const newRays = [transmitted];
+            if (R > 0) {
+                const reflectedDir = ray.direction.clone().reflect(normal);
+                const reflectedPolarization = reflectPolarization(ray.polarization, normal);
+                const frontReflection = new Ray(intersectPoint.clone(), reflectedDir, ray.wavelength, ray.color, ray.intensity * R, reflectedPolarization);
+                frontReflection.opticalPath = ray.wavelength * 1e-7 / 2;
+                const backReflection = new Ray(intersectPoint.clone(), reflectedDir.clone(), ray.wavelength, ray.color, ray.intensity * (1 - R) * R * (1 - R), reflectedPolarization);
+                backReflection.opticalPath = 2 * n * d * cosT;
+                newRays.push(frontReflection, backReflection);
+            }
+            return { newRays };
+        }
+    };
+    return { mesh, element };
+}
+
+/**
+ * Creates a curved mirror whose surface is a conic of revolution about its local Z
+ * axis (the mirror normal), with the vertex at the mesh origin. Rays are intersected
+ * with the exact surface and reflected about the local surface normal, so off-axis
+ * rays show the mirror's real aberrations.
+ *
+ * The sign convention follows the original spherical mirror: a negative radius is
+ * concave (center of curvature in front of the mirror, f = -R/2 > 0) and a positive
+ * radius is convex. An infinite radius gives a flat mirror.
+ * @param {string} name - The name of the mirror.
+ * @param {{x: number, y: number, z: number}} position - Position of the vertex.
+ * @param {object} config - The mirror parameters.
+ * @param {number} config.radius - Vertex radius of curvature in cm.
+ * @param {number} [config.conic=0] - Conic constant: 0 sphere, -1 paraboloid, between -1 and 0
+ *   a prolate ellipsoid, below -1 a hyperboloid.
+ * @param {number} [config.angle=0] - Tilt in degrees about Y; 0 faces the -X direction.
+ * @param {number} [config.size=5] - Width and height of the square mirror face in cm; a
+ *   closed conic whose rim is smaller is cut at the rim.
+ * @param {number} [config.reflectivity] - Share of the power reflected; protected aluminium by default.
+ * @param {THREE.Texture} envMap - Environment map for the reflective material.
+ * @param {THREE.Group} elementGroup - The group to add the mirror to.
+ */
+export function createConicMirror(name, position, config, envMap, elementGroup) {
+    const mirrorMaterial = new THREE.MeshStandardMaterial({
+        color: 0xeeeeee, metalness: 1.0, roughness: 0.0, envMap: envMap, side: THREE.DoubleSide
+    });
+    const edgeMaterial = new THREE.LineBasicMaterial({ color: 0x333333 });
+
+    const element = {
+        mesh: null, type: 'curved-mirror',
+        radius: config.radius, conic: config.conic || 0, size: config.size || 5,
+        reflectivity: config.reflectivity !== undefined ? config.reflectivity : MIRROR_REFLECTIVITY,
+        // Vertex curvature c = 1/R measured along +Z (the reflective side).
+        _getCurvature: function() {
+            return isFinite(this.radius) && this.radius !== 0 ? -1 / this.radius : 0;
+        },
+        getFocalLength: function() {
+            return -this.radius / 2;
+        },
+        // Unfolded along the reflected axis, the mirror acts as a thin lens of focal length f.
+        getParaxialMatrix: function() {
+            return thinLensMatrix(this._getCurvature() === 0 ? Infinity : this.getFocalLength());
+        },
+        _rebuildMesh: function() {
+            const geometry = new THREE.PlaneGeometry(this.size, this.size, 32, 32);
+            const c = this._getCurvature();
+            const rim = conicRimRadius(c, this.conic);
+            const positions = geometry.attributes.position;
+            for (let i = 0; i < positions.count; i++) {
+                const r = Math.hypot(positions.getX(i), positions.getY(i));
+                // A closed conic smaller than the face is cut at its rim.
+                if (r > rim) positions.setXY(i, positions.getX(i) * rim / r, positions.getY(i) * rim / r);
+                positions.setZ(i, conicSag(c, this.conic, r));
+            }
+            geometry.computeVertexNormals();
+
+            if (this.mesh) {
+                this.mesh.geometry.dispose();
+                this.mesh.geometry = geometry;
+                this.mesh.children.forEach(child => child.geometry.dispose());
+                this.mesh.clear();
+            } else {
+                this.mesh = new THREE.Mesh(geometry, mirrorMaterial);
+                this.mesh.name = name;
+                this.mesh.position.set(position.x, position.y, position.z);
+                this.mesh.rotation.y = -Math.PI / 2 - (config.angle || 0) * (Math.PI / 180);
+                elementGroup.add(this.mesh);
+            }
+            // Only the outline; the facets of the curved face stay hidden.
+            this.mesh.add(new THREE.LineSegments(new THREE.EdgesGeometry(geometry, 30), edgeMaterial));
+        },
+        // Nearest hit on the conic in local coordinates. The surface is
+        // c*(x^2 + y^2) - 2z + (1 + k)*c*z^2 = 0, restricted to the branch through the vertex.
+        _intersectSurface: function(origin, direction) {
+            const c = this._getCurvature();
+            const k1 = 1 + this.conic;
+            const a = c * (direction.x * direction.x + direction.y * direction.y) + k1 * c * direction.z * direction.z;
+            const b = 2 * (c * (origin.x * direction.x + origin.y * direction.y) - direction.z + k1 * c * origin.z * direction.z);
+            const cc = c * (origin.x * origin.x + origin.y * origin.y) - 2 * origin.z + k1 * c * origin.z * origin.z;
+
+            let roots;
+            if (Math.abs(a) < 1e-12) {
+                if (Math.abs(b) < 1e-12) return null;
+                roots = [-cc / b];
+            } else {
+                const disc = b * b - 4 * a * cc;
+                if (disc < 0) return null;
+                const sqrtDisc = Math.sqrt(disc);
+                roots = [(-b - sqrtDisc) / (2 * a), (-b + sqrtDisc) / (2 * a)].sort((p, q) => p - q);
+            }
+
+            const half = this.size / 2;
+            const rim = conicRimRadius(c, this.conic);
+            for (const t of roots) {
+                if (t <= 1e-6) continue;
+                const point = origin.clone().add(direction.clone().multiplyScalar(t));
+                if (k1 * c * point.z >= 1) continue; // The far branch of a sphere or ellipsoid.
+                if (Math.abs(point.x) > half || Math.abs(point.y) > half || Math.hypot(point.x, point.y) > rim) continue;
+                const normal = new THREE.Vector3(c * point.x, c * point.y, k1 * c * point.z - 1).negate().normalize();
+                return { point, normal };
+            }
+            return null;
+        },
+        processRay: function(ray, originalRay) {
+            const toLocal = new THREE.Matrix4().copy(this.mesh.matrixWorld).invert();
+            const origin = ray.origin.clone().applyMatrix4(toLocal);
+            const direction = ray.direction.clone().transformDirection(toLocal);
+
+            const hit = this._intersectSurface(origin, direction);
+            if (!hit) return null;
+            const reflectedDir = direction.reflect(hit.normal).transformDirection(this.mesh.matrixWorld);
+            const intersectPoint = hit.point.applyMatrix4(this.mesh.matrixWorld);
+            const polarization = reflectPolarization(ray.polarization, hit.normal.transformDirection(this.mesh.matrixWorld));
+            return { newRay: new Ray(intersectPoint, reflectedDir, ray.wavelength, ray.color, ray.intensity * this.reflectivity, polarization) };
+        }
+    };
+    element._rebuildMesh();
+    return { mesh: element.mesh, element };
+}
+
+export function createSphericalMirror(name, position, radius, angle, envMap, elementGroup) {
+    return createConicMirror(name, position, { radius, conic: 0, angle }, envMap, elementGroup);
+}
+
 export function createDetector(name, position, elementGroup) {
     const detectorMaterial = new THREE.MeshStandardMaterial({ color: 0x555555, side: THREE.DoubleSide });
     const detectorGeometry = new THREE.PlaneGeometry(5, 5);
@@ -222,6 +968,11 @@ export function createDetector(name, position, elementGroup) {
 
     const element = {
         mesh: mesh, type: 'detector',
+        // Resizes the sensor area (cm); the pixel grid stretches over it.
+        setSize: function(width, height) {
+            this.mesh.geometry.dispose();
+            this.mesh.geometry = new THREE.PlaneGeometry(width, height);
+        },
         processRay: function(ray, originalRay) {
             const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(this.mesh.quaternion);
             const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, this.mesh.position);
@@ -234,7 +985,8 @@ export function createDetector(name, position, elementGroup) {
             if (plane.intersectLine(new THREE.Line3(ray.origin, ray.origin.clone().add(ray.direction.clone().multiplyScalar(100))), intersectPoint)) {
                 if (ray.direction.dot(intersectPoint.clone().sub(ray.origin)) > 0) {
                     const localPoint = this.mesh.worldToLocal(intersectPoint.clone());
-                    if (Math.abs(localPoint.x) <= detectorGeometry.parameters.width / 2 && Math.abs(localPoint.y) <= detectorGeometry.parameters.height / 2) {
+                    const { width, height } = this.mesh.geometry.parameters;
+                    if (Math.abs(localPoint.x) <= width / 2 && Math.abs(localPoint.y) <= height / 2) {
                         return { intersection: intersectPoint, wavelength: ray.wavelength, color: ray.color };
                     }
                 }
@@ -245,50 +997,142 @@ export function createDetector(name, position, elementGroup) {
     return { mesh, element };
 }
 
+// Refractive index of the grooves of a blazed transmission grating.
+const GRATING_INDEX = 1.5;
+
+// sin(pi x) / (pi x)
+function sinc(x) {
+    return Math.abs(x) < 1e-9 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+}
+
+/**
+ * Diffraction orders and efficiency shared by the gratings. The orders from `minOrder` to
+ * `maxOrder` that propagate are traced. A grating with a blaze (a `blazeWavelength`, or a
+ * `blazeAngle` it follows from) uses the scalar efficiency of a sawtooth profile,
+ * sinc^2(m_B * lambda_B / lambda - m): all of the light goes into the blaze order m_B at
+ * the blaze wavelength and spreads to its neighbours away from it, and light sent into
+ * orders that are not traced is lost. Without a blaze the power is shared equally among
+ * the traced orders.
+ * @param {object} config - `{ minOrder = -1, maxOrder = 1, blazeWavelength (nm),
+ *   blazeAngle (degrees), blazeOrder = 1 }`.
+ * @param {boolean} isReflective - Whether the blaze angle is used in Littrow reflection
+ *   (lambda_B = 2 d sin(theta_B)) or in transmission through the grooves
+ *   (lambda_B = (n - 1) d tan(theta_B)).
+ */
+function createGratingOrders(config, isReflective) {
+    const { minOrder = -1, maxOrder = 1, blazeWavelength = null, blazeAngle = null, blazeOrder = 1 } = config;
+    return {
+        minOrder, maxOrder, blazeWavelength, blazeAngle, blazeOrder,
+        getOrders: function() {
+            const orders = [];
+            for (let m = Math.round(this.minOrder); m <= Math.round(this.maxOrder); m++) orders.push(m);
+            return orders;
+        },
+        // The blaze wavelength in nm, or null for an unblazed grating.
+        getBlazeWavelength: function() {
+            if (this.blazeAngle !== null && this.blazeAngle !== undefined) {
+                const d = 1000000 / this.linesPerMM;
+                const theta = this.blazeAngle * (Math.PI / 180);
+                const pathDifference = isReflective ? 2 * d * Math.sin(theta) : (GRATING_INDEX - 1) * d * Math.tan(theta);
+                return pathDifference / Math.abs(this.blazeOrder);
+            }
+            return this.blazeWavelength;
+        },
+        // Share of the incident power diffracted into order m (blazed gratings only).
+        getOrderEfficiency: function(m, wavelength) {
+            const blaze = this.getBlazeWavelength();
+            if (!blaze) return null;
+            return sinc(this.blazeOrder * blaze / wavelength - m) ** 2;
+        },
+        // The grating normal (local +z) and the direction across the rulings in its plane.
+        _getGratingAxes: function() {
+            const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(this.mesh.quaternion);
+            const across = (this.lineOrientation === 'vertical' ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0))
+                .applyQuaternion(this.mesh.quaternion);
+            return { normal, across };
+        },
+        /**
+         * Directions of the traced orders by the vector grating equation: the component of the
+         * direction in the grating plane gains m * lambda / d across the rulings, and the
+         * component along the normal follows from the unit length. This covers any angle of
+         * incidence, including conical incidence with a component along the rulings.
+         * @returns {object[]} `{ order, direction }` per order, with a null direction for an
+         *   evanescent order (one whose in-plane component exceeds 1).
+         */
+        getOrderDirections: function(direction, wavelength) {
+            const { normal, across } = this._getGratingAxes();
+            const d = 1000000 / this.linesPerMM; // Grating spacing in nm
+            const k = direction.clone().normalize();
+            const kNormal = k.dot(normal);
+            return this.getOrders().map(m => {
+                const tangential = k.clone().addScaledVector(normal, -kNormal).addScaledVector(across, m * wavelength / d);
+                const tangentialSq = tangential.lengthSq();
+                if (tangentialSq > 1) return { order: m, direction: null };
+                // Transmitted orders keep the side of the normal they travel to, reflected ones turn back.
+                const side = Math.sign(kNormal) * (isReflective ? -1 : 1);
+                return { order: m, direction: tangential.addScaledVector(normal, side * Math.sqrt(1 - tangentialSq)).normalize() };
+            });
+        },
+        // One ray per propagating order, from the point where the ray meets the grating.
+        _diffract: function(ray, intersectPoint) {
+            const newRays = [];
+            for (const { order, direction } of this.getOrderDirections(ray.direction, ray.wavelength)) {
+                if (!direction) continue;
+                const newRay = new Ray(intersectPoint, direction, ray.wavelength, ray.color);
+                newRay.diffractionOrder = order;
+                newRays.push(newRay);
+            }
+            this._weightOrders(newRays, ray);
+            return newRays;
+        },
+        // Gives the rays of the propagating orders their power.
+        _weightOrders: function(newRays, ray) {
+            const isBlazed = !!this.getBlazeWavelength();
+            newRays.forEach(newRay => {
+                newRay.intensity = isBlazed
+                    ? ray.intensity * this.getOrderEfficiency(newRay.diffractionOrder, ray.wavelength)
+                    : ray.intensity / newRays.length;
+            });
+        }
+    };
+}
+
+/**
+ * Creates a transmission grating in the y-z plane, turned `config.angle` degrees about the
+ * y axis.
+ * @param {string} name - The name of the grating.
+ * @param {{x: number, y: number, z: number}} position - Center of the grating.
+ * @param {object} config - `{ linesPerMM, lineOrientation = 'horizontal', angle = 0 }` plus
+ *   the orders and blaze, see `createGratingOrders`.
+ * @param {THREE.Group} elementGroup - The group to add the grating to.
+ */
 export function createDiffractionGrating(name, position, config, elementGroup) {
-    const { linesPerMM, lineOrientation = 'horizontal' } = config;
+    const { linesPerMM, lineOrientation = 'horizontal', angle = 0 } = config;
     const gratingMaterial = new THREE.MeshStandardMaterial({ color: 0xaaaaee, transparent: true, opacity: 0.4, side: THREE.DoubleSide });
     const gratingGeometry = new THREE.PlaneGeometry(5, 5);
     const mesh = new THREE.Mesh(gratingGeometry, gratingMaterial);
     mesh.name = name;
     mesh.position.set(position.x, position.y, position.z);
-    mesh.rotation.y = Math.PI / 2;
+    mesh.rotation.y = Math.PI / 2 + angle * (Math.PI / 180);
     elementGroup.add(mesh);
 
     const element = {
         mesh: mesh, type: 'grating', linesPerMM: linesPerMM, lineOrientation: lineOrientation,
+        ...createGratingOrders(config, false),
         processRay: function(ray, originalRay) {
-            const t = (this.mesh.position.x - ray.origin.x) / ray.direction.x;
+            const plane = new THREE.Plane();
+            const n = new THREE.Vector3(0, 0, 1).applyQuaternion(this.mesh.quaternion);
+            plane.setFromNormalAndCoplanarPoint(n, this.mesh.position);
+
+            const denominator = ray.direction.dot(n);
+            if (Math.abs(denominator) < 1e-12) return null;
+            const t = -plane.distanceToPoint(ray.origin) / denominator;
             if (t > 1e-6) {
                 const intersectPoint = ray.origin.clone().add(ray.direction.clone().multiplyScalar(t));
                 const localPoint = this.mesh.worldToLocal(intersectPoint.clone());
 
                 if (Math.abs(localPoint.y) <= gratingGeometry.parameters.height / 2 && Math.abs(localPoint.x) <= gratingGeometry.parameters.width / 2) {
-                    const newRays = [];
-                    const d = 1000000 / this.linesPerMM;
-                    
-                    for (let m = -1; m <= 1; m++) {
-                        const sin_theta_m = (m * ray.wavelength) / d;
-                        if (Math.abs(sin_theta_m) <= 1) {
-                            const theta_m = Math.asin(sin_theta_m);
-                            let newDir;
-
-                            if (this.lineOrientation === 'horizontal') {
-                                const originalAngle = Math.atan2(ray.direction.y, ray.direction.x);
-                                const newAngle = originalAngle + theta_m;
-                                newDir = new THREE.Vector3(Math.cos(newAngle), Math.sin(newAngle), ray.direction.z).normalize();
-                            } else { // vertical
-                                const originalAngle = Math.atan2(ray.direction.z, ray.direction.x);
-                                const newAngle = originalAngle + theta_m;
-                                newDir = new THREE.Vector3(Math.cos(newAngle), ray.direction.y, Math.sin(newAngle)).normalize();
-                            }
-                            
-                            const newRay = new Ray(intersectPoint, newDir, ray.wavelength, ray.color);
-                            newRay.diffractionOrder = m;
-                            newRays.push(newRay);
-                        }
-                    }
-                    return { newRays: newRays };
+                    return { newRays: this._diffract(ray, intersectPoint), dispersive: true };
                 }
             }
             return null;
@@ -297,6 +1141,11 @@ export function createDiffractionGrating(name, position, config, elementGroup) {
     return { mesh, element };
 }
 
+/**
+ * Creates a reflection grating turned `angle` degrees about the y axis from facing -x.
+ * @param {object} config - `{ linesPerMM, lineOrientation = 'vertical' }` plus the orders
+ *   and blaze, see `createGratingOrders`.
+ */
 export function createReflectiveGrating(name, position, angle, config, envMap, elementGroup) {
     const { linesPerMM, lineOrientation = 'vertical' } = config;
     const gratingMaterial = new THREE.MeshStandardMaterial({
@@ -312,7 +1161,8 @@ export function createReflectiveGrating(name, position, angle, config, envMap, e
 
     const element = {
         mesh: mesh, type: 'reflective-grating', linesPerMM: linesPerMM, lineOrientation: lineOrientation,
-        processRay: function(ray, originalRay, config) {
+        ...createGratingOrders(config, true),
+        processRay: function(ray, originalRay) {
             const plane = new THREE.Plane();
             const n = new THREE.Vector3(0, 0, 1).applyQuaternion(this.mesh.quaternion); // Grating normal vector
             plane.setFromNormalAndCoplanarPoint(n, this.mesh.position);
@@ -324,43 +1174,10 @@ export function createReflectiveGrating(name, position, angle, config, envMap, e
                 const localPoint = this.mesh.worldToLocal(intersectPoint.clone());
                 if (Math.abs(localPoint.x) <= gratingGeometry.parameters.width / 2 && Math.abs(localPoint.y) <= gratingGeometry.parameters.height / 2) {
                     
-                    const d = 1000000 / this.linesPerMM; // Grating spacing in nm
-                    const newRays = [];
-
-                    let p; // Dispersion vector (in grating plane, perpendicular to rulings)
-                    if (this.lineOrientation === 'vertical') {
-                        p = new THREE.Vector3(1, 0, 0).applyQuaternion(this.mesh.quaternion);
-                    } else { 
-                        p = new THREE.Vector3(0, 1, 0).applyQuaternion(this.mesh.quaternion);
-                    }
-                    
-                    if (ray.direction.dot(n) >= 0 && ray.direction.length() > 0.1) return null; // Ray coming from behind
-
-                    // --- NEW DIFFRACTION LOGIC ---
-                    // 1. Calculate the simple specular (mirror) reflection vector.
-                    const k_s = ray.direction.clone().reflect(n);
-
-                    // 2. Determine which diffraction orders to process.
-                    const ordersToProcess = (config && config.setupKey === 'czerny-turner') ? [-1] : [-1, 0, 1];
+                    if (ray.direction.dot(n) >= 0) return null; // Ray coming from behind
 
-                    for (const m of ordersToProcess) {
-                        // 3. Calculate the angle of reflection to correctly scale the diffraction.
-                        const cos_theta_r = Math.abs(k_s.dot(n));
-                        if (cos_theta_r < 1e-9) continue; // Avoid division by zero at grazing angles.
-
-                        // 4. Calculate the deviation vector on the grating surface. The 1/cos(theta) term is crucial.
-                        const delta_k_surface = p.clone().multiplyScalar( (m * ray.wavelength) / (d * cos_theta_r) );
-                        
-                        // 5. Add the deviation to the specular reflection and normalize to get the final direction.
-                        const newDir = k_s.clone().add(delta_k_surface).normalize();
-                        
-                        const newRay = new Ray(intersectPoint, newDir, ray.wavelength, ray.color);
-                        newRay.diffractionOrder = m;
-                        newRays.push(newRay);
-                    }
-                    // --- END NEW LOGIC ---
-
-                    if (newRays.length > 0) return { newRays: newRays };
+                    const newRays = this._diffract(ray, intersectPoint);
+                    if (newRays.length > 0) return { newRays: newRays, dispersive: true };
                 }
             }
             return null;
@@ -370,12 +1187,34 @@ export function createReflectiveGrating(name, position, angle, config, envMap, e
 }
 
 
+/**
+ * Creates a plate with one or more parallel slits. In wave-optics mode (`waveOptics`) a
+ * detector right after it shows the slits' diffraction pattern (see diffraction.js); with
+ * any other element in between the slits stay geometric.
+ * @param {string} name - The name of the slit.
+ * @param {{x: number, y: number, z: number}} position - Center of the plate.
+ * @param {object} config - The slit parameters (cm).
+ * @param {number} config.slitWidth - Width of each slit.
+ * @param {number} config.slitHeight - Height of the slits.
+ * @param {number} [config.slitCount=1] - Number of slits.
+ * @param {number} [config.slitSeparation=0] - Center-to-center distance of neighbouring slits.
+ * @param {boolean} [config.waveOptics=false] - Propagate the light past the slits as a wave.
+ * @param {THREE.Group} elementGroup - The group to add the slit to.
+ */
 export function createOpticalSlit(name, position, config, elementGroup) {
     const material = new THREE.MeshStandardMaterial({ color: 0x444444, side: THREE.DoubleSide });
     const plateSize = 5;
 
     const element = {
         mesh: null, type: 'optical-slit', slitWidth: config.slitWidth, slitHeight: config.slitHeight,
+        slitCount: config.slitCount || 1, slitSeparation: config.slitSeparation || 0, waveOptics: !!config.waveOptics,
+        // Centers of the slits along the plate's local X axis.
+        _getSlitCenters: function() {
+            return Array.from({ length: this.slitCount }, (_, i) => (i - (this.slitCount - 1) / 2) * this.slitSeparation);
+        },
+        getOpening: function() {
+            return { shape: 'slits', width: this.slitWidth, height: this.slitHeight, count: this.slitCount, separation: this.slitSeparation };
+        },
         _rebuildMesh: function() {
             const plateShape = new THREE.Shape();
             plateShape.moveTo(-plateSize / 2, -plateSize / 2);
@@ -384,14 +1223,15 @@ export function createOpticalSlit(name, position, config, elementGroup) {
             plateShape.lineTo(-plateSize / 2, plateSize / 2);
             plateShape.closePath();
 
-            const slitHole = new THREE.Path();
-            slitHole.moveTo(-this.slitWidth / 2, -this.slitHeight / 2);
-            slitHole.lineTo(this.slitWidth / 2, -this.slitHeight / 2);
-            slitHole.lineTo(this.slitWidth / 2, this.slitHeight / 2);
-            slitHole.lineTo(-this.slitWidth / 2, this.slitHeight / 2);
-            slitHole.closePath();
-            
-            plateShape.holes.push(slitHole);
+            for (const center of this._getSlitCenters()) {
+                const slitHole = new THREE.Path();
+                slitHole.moveTo(center - this.slitWidth / 2, -this.slitHeight / 2);
+                slitHole.lineTo(center + this.slitWidth / 2, -this.slitHeight / 2);
+                slitHole.lineTo(center + this.slitWidth / 2, this.slitHeight / 2);
+                slitHole.lineTo(center - this.slitWidth / 2, this.slitHeight / 2);
+                slitHole.closePath();
+                plateShape.holes.push(slitHole);
+            }
             const geometry = new THREE.ShapeGeometry(plateShape);
 
             if (this.mesh) {
@@ -406,11 +1246,16 @@ export function createOpticalSlit(name, position, config, elementGroup) {
             }
         },
         processRay: function(ray, originalRay) {
-            const t = (this.mesh.position.x - ray.origin.x) / ray.direction.x;
+            // The plate may be turned to face any direction (e.g. an exit slit).
+            const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(this.mesh.quaternion);
+            const denominator = ray.direction.dot(normal);
+            if (Math.abs(denominator) < 1e-12) return null;
+            const t = this.mesh.position.clone().sub(ray.origin).dot(normal) / denominator;
             if (t > 1e-6) {
                 const intersectPoint = ray.origin.clone().add(ray.direction.clone().multiplyScalar(t));
                 const localPoint = this.mesh.worldToLocal(intersectPoint.clone());
-                const isInsideSlit = Math.abs(localPoint.x) <= this.slitWidth / 2 && Math.abs(localPoint.y) <= this.slitHeight / 2;
+                const isInsideSlit = Math.abs(localPoint.y) <= this.slitHeight / 2 &&
+                    this._getSlitCenters().some(center => Math.abs(localPoint.x - center) <= this.slitWidth / 2);
 
                 if (isInsideSlit) {
                     return { newRay: new Ray(intersectPoint, ray.direction, ray.wavelength, ray.color) };
@@ -427,12 +1272,24 @@ export function createOpticalSlit(name, position, config, elementGroup) {
     return { mesh: element.mesh, element: element };
 }
 
+/**
+ * Creates a plate with a circular hole. In wave-optics mode (`waveOptics`) a detector right
+ * after it shows the hole's diffraction pattern (see diffraction.js); with any other
+ * element in between the hole stays geometric.
+ * @param {string} name - The name of the aperture.
+ * @param {{x: number, y: number, z: number}} position - Center of the plate.
+ * @param {object} config - `{ diameter }` in cm, and optionally `waveOptics`.
+ * @param {THREE.Group} elementGroup - The group to add the aperture to.
+ */
 export function createAperture(name, position, config, elementGroup) {
     const material = new THREE.MeshStandardMaterial({ color: 0x444444, side: THREE.DoubleSide });
     const plateSize = 5;
 
     const element = {
-        mesh: null, type: 'aperture', diameter: config.diameter,
+        mesh: null, type: 'aperture', diameter: config.diameter, waveOptics: !!config.waveOptics,
+        getOpening: function() {
+            return { shape: 'circle', diameter: this.diameter };
+        },
         _rebuildMesh: function() {
             const plateShape = new THREE.Shape();
             plateShape.moveTo(-plateSize / 2, -plateSize / 2);
@@ -477,4 +1334,141 @@ export function createAperture(name, position, config, elementGroup) {
     };
     element._rebuildMesh();
     return { mesh: element.mesh, element: element };
-}
\ No newline at end of file
+}
+// Radius of the round polarizer and wave plate optics, in cm.
+const PLATE_RADIUS = 2;
+
+// A thin round optic facing the beam (normal along X), with a bar marking its axis.
+function createPlateMesh(name, position, color, elementGroup) {
+    const material = new THREE.MeshStandardMaterial({ color: color, transparent: true, opacity: 0.5, side: THREE.DoubleSide });
+    const mesh = new THREE.Mesh(new THREE.CircleGeometry(PLATE_RADIUS, 48), material);
+    mesh.name = name;
+    mesh.position.set(position.x, position.y, position.z);
+    mesh.rotation.y = Math.PI / 2;
+    const axisGeometry = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(0, -PLATE_RADIUS, 0), new THREE.Vector3(0, PLATE_RADIUS, 0)]);
+    mesh.add(new THREE.LineSegments(axisGeometry, new THREE.LineBasicMaterial({ color: 0x222222 })));
+    elementGroup.add(mesh);
+    return mesh;
+}
+
+// Where a ray crosses a plate optic, or null if it misses.
+function intersectPlate(mesh, ray) {
+    const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(mesh.quaternion);
+    const denom = normal.dot(ray.direction);
+    if (Math.abs(denom) < 1e-9) return null;
+    const t = normal.dot(mesh.position.clone().sub(ray.origin)) / denom;
+    if (t <= 1e-6) return null;
+    const point = ray.origin.clone().add(ray.direction.clone().multiplyScalar(t));
+    return point.distanceTo(mesh.position) <= PLATE_RADIUS ? point : null;
+}
+
+// Transmission or fast axis of a plate optic in world coordinates, made transverse to
+// the ray. `angle` is in degrees from vertical (+Y) toward +Z for a plate facing +X.
+function plateAxis(mesh, angle, direction) {
+    const theta = angle * (Math.PI / 180);
+    const axis = new THREE.Vector3(-Math.sin(theta), Math.cos(theta), 0).applyQuaternion(mesh.quaternion);
+    return axis.addScaledVector(direction, -axis.dot(direction)).normalize();
+}
+
+/**
+ * Creates an ideal linear polarizer. Unpolarized light leaves polarized along the
+ * transmission axis with half its power; polarized light follows Malus's law.
+ * @param {string} name - The name of the polarizer.
+ * @param {{x: number, y: number, z: number}} position - Center of the polarizer.
+ * @param {object} config - The polarizer parameters.
+ * @param {number} [config.angle=0] - Transmission axis in degrees from vertical toward +Z.
+ * @param {THREE.Group} elementGroup - The group to add the polarizer to.
+ */
+export function createPolarizer(name, position, config, elementGroup) {
+    const element = {
+        mesh: createPlateMesh(name, position, 0x556677, elementGroup), type: 'polarizer',
+        angle: config.angle || 0,
+        _rebuildMesh: function() {
+            this.mesh.children[0].rotation.z = this.angle * (Math.PI / 180);
+        },
+        processRay: function(ray, originalRay) {
+            const point = intersectPlate(this.mesh, ray);
+            if (!point) return null;
+            const { polarization, transmittance } = applyPolarizer(ray.polarization, plateAxis(this.mesh, this.angle, ray.direction));
+            // Crossed polarizers extinguish the ray completely.
+            if (transmittance < 1e-6) return { intersection: point };
+            return { newRay: new Ray(point, ray.direction, ray.wavelength, ray.color, ray.intensity * transmittance, polarization) };
+        }
+    };
+    element._rebuildMesh();
+    return { mesh: element.mesh, element };
+}
+
+/**
+ * Creates an ideal, achromatic wave plate.
+ * @param {string} name - The name of the wave plate.
+ * @param {{x: number, y: number, z: number}} position - Center of the plate.
+ * @param {object} config - The wave plate parameters.
+ * @param {number} config.retardance - Retardance in waves: 0.25 quarter-wave, 0.5 half-wave.
+ * @param {number} [config.angle=0] - Fast axis in degrees from vertical toward +Z.
+ * @param {THREE.Group} elementGroup - The group to add the wave plate to.
+ */
+export function createWavePlate(name, position, config, elementGroup) {
+    const element = {
+        mesh: createPlateMesh(name, position, 0x88aa88, elementGroup), type: 'waveplate',
+        retardance: config.retardance, angle: config.angle || 0,
+        _rebuildMesh: function() {
+            this.mesh.children[0].rotation.z = this.angle * (Math.PI / 180);
+        },
+        processRay: function(ray, originalRay) {
+            const point = intersectPlate(this.mesh, ray);
+            if (!point) return null;
+            const fastAxis = plateAxis(this.mesh, this.angle, ray.direction);
+            const polarization = applyRetarder(ray.polarization, fastAxis, ray.direction, 2 * Math.PI * this.retardance);
+            return { newRay: new Ray(point, ray.direction, ray.wavelength, ray.color, ray.intensity, polarization) };
+        }
+    };
+    element._rebuildMesh();
+    return { mesh: element.mesh, element };
+}
+
+/**
+ * Creates a polarizing beam splitter cube. The diagonal coating transmits the p
+ * component and reflects the s component; at `angle` 0 a beam along +X is reflected
+ * toward +Z, so vertical (s) light is reflected and horizontal (p) light passes.
+ * @param {string} name - The name of the beam splitter.
+ * @param {{x: number, y: number, z: number}} position - Center of the cube.
+ * @param {number} angle - Rotation about Y in degrees.
+ * @param {THREE.Group} elementGroup - The group to add the beam splitter to.
+ */
+export function createPolarizingBeamSplitter(name, position, angle, elementGroup) {
+    const size = 2;
+    const { glassMaterial } = createGlassMaterials();
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(size, size, size), glassMaterial);
+    mesh.name = name;
+    mesh.position.set(position.x, position.y, position.z);
+    mesh.rotation.y = -angle * (Math.PI / 180);
+    const coating = new THREE.Mesh(new THREE.PlaneGeometry(size * Math.SQRT2, size),
+        new THREE.MeshStandardMaterial({ color: 0x99bbdd, transparent: true, opacity: 0.6, side: THREE.DoubleSide }));
+    coating.rotation.y = -Math.PI / 4;
+    mesh.add(coating);
+    mesh.add(new THREE.LineSegments(new THREE.EdgesGeometry(mesh.geometry), new THREE.LineBasicMaterial({ color: 0x333333 })));
+    elementGroup.add(mesh);
+
+    const element = {
+        mesh: mesh, type: 'polarizing-beam-splitter',
+        processRay: function(ray, originalRay) {
+            const normal = new THREE.Vector3(-1, 0, 1).normalize().applyQuaternion(this.mesh.quaternion);
+            const denom = normal.dot(ray.direction);
+            if (Math.abs(denom) < 1e-9) return null;
+            const t = normal.dot(this.mesh.position.clone().sub(ray.origin)) / denom;
+            if (t <= 1e-6) return null;
+            const point = ray.origin.clone().add(ray.direction.clone().multiplyScalar(t));
+            const localPoint = this.mesh.worldToLocal(point.clone());
+            if (Math.max(Math.abs(localPoint.x), Math.abs(localPoint.y), Math.abs(localPoint.z)) > size / 2) return null;
+
+            const reflectedDir = ray.direction.clone().reflect(normal);
+            const { s, p } = splitPolarization(ray.polarization, ray.direction, normal, ray.direction);
+            const newRays = [];
+            if (p.power > 1e-9) newRays.push(new Ray(point, ray.direction.clone(), ray.wavelength, ray.color, ray.intensity * p.power, p.polarization));
+            if (s.power > 1e-9) newRays.push(new Ray(point.clone(), reflectedDir, ray.wavelength, ray.color, ray.intensity * s.power, s.polarization));
+            return { newRays };
+        }
+    };
+    return { mesh, element };
+}
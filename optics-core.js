@@ -1,14 +1,30 @@
-// === OPTICS CORE ENGINE - V3.3 (New Laser Shapes) ===
+// === OPTICS CORE ENGINE - V4.0 (Headless Tracing API) ===
 // Contains the fundamental physics, ray class, and the main tracing loop.
-// MODIFIED: Added 'heart', 'star', and 'smile' cases to the laser pattern
-// generation logic using parametric equations and vertex interpolation.
+// MODIFIED: Split the tracer into a pure `computeTrace(scene)` that returns ray
+// paths, sensor intensities and metadata as plain data (runs in Node without a
+// DOM), and `traceRays(config)`, which now only renders that result.
 import * as THREE from 'three';
+import { transportPolarization } from './polarization.js';
+import { computeDiffractionPattern, getFirstZero, getFresnelNumber, getDiffractionRegime, getLitOpening } from './diffraction.js';
+import { propagateGaussianBeam, getBeamRadius } from './gaussian-beam.js';
+import { analyzeParaxialSystem } from './paraxial.js';
 export class Ray {
-    constructor(origin, direction, wavelength = 532, color = null) {
+    /**
+     * @param {number} [intensity] - Power carried by the ray, relative to 1.0 at the source.
+     *   Leave it undefined to inherit the power of the ray this one continues.
+     * @param {object|null} [polarization] - Jones state from polarization.js, or null for
+     *   unpolarized light. Leave it undefined to inherit it.
+     */
+    constructor(origin, direction, wavelength = 532, color = null, intensity = undefined, polarization = undefined) {
         this.origin = origin;
         this.direction = direction.normalize();
         this.wavelength = wavelength;
         this.color = color;
+        this.intensity = intensity;
+        this.polarization = polarization;
+        // Optical path length from the source in cm, kept up to date by the tracer. An
+        // element may preset it on a ray it emits to the path travelled inside the element.
+        this.opticalPath = undefined;
     }
 }
 
@@ -52,7 +68,13 @@ function getFilterResponse(wavelength, filterType) {
     return Math.exp(exponent);
 }
 
-export function getRaySphereIntersection(ray, sphereCenter, sphereRadius) {
+/**
+ * Intersects a ray with a sphere and returns the nearest point in front of the ray.
+ * @param {function(THREE.Vector3): boolean} [accept] - Optional filter; intersections it
+ *   rejects are skipped, e.g. to restrict the hit to a lens cap instead of the whole sphere.
+ * @returns {THREE.Vector3|null}
+ */
+export function getRaySphereIntersection(ray, sphereCenter, sphereRadius, accept = null) {
     const L = sphereCenter.clone().sub(ray.origin);
     const tca = L.dot(ray.direction);
     if (tca < 0 && sphereRadius < 0) return null;
@@ -67,432 +89,1104 @@ export function getRaySphereIntersection(ray, sphereCenter, sphereRadius) {
 
     if (t0 > t1) [t0, t1] = [t1, t0];
 
-    if (t0 > 1e-6) return ray.origin.clone().add(ray.direction.clone().multiplyScalar(t0));
-    if (t1 > 1e-6) return ray.origin.clone().add(ray.direction.clone().multiplyScalar(t1));
+    for (const t of [t0, t1]) {
+        if (t <= 1e-6) continue;
+        const point = ray.origin.clone().add(ray.direction.clone().multiplyScalar(t));
+        if (!accept || accept(point)) return point;
+    }
     
     return null;
 }
 
-export function traceRays(config) {
-    const { rayGroup, opticalElements, laserSource, imageObject, pixelCtx, pixelCanvas, pixelGridSize, wavelength, laserPattern, setupKey, sensorType, rayCount = 100, backgroundColor = 'white' } = config;
-
-    while(rayGroup.children.length > 0){
-        const obj = rayGroup.children[0];
-        rayGroup.remove(obj);
-        if(obj.geometry) obj.geometry.dispose();
-        if(obj.material) obj.material.dispose();
+/**
+ * Refracts a direction at a surface using the vector form of Snell's law.
+ * @param {THREE.Vector3} direction - Normalized incident direction.
+ * @param {THREE.Vector3} normal - Surface normal; either orientation is accepted.
+ * @param {number} n1 - Refractive index on the incident side.
+ * @param {number} n2 - Refractive index on the transmitted side.
+ * @returns {THREE.Vector3|null} The refracted direction, or null on total internal reflection.
+ */
+export function refractDirection(direction, normal, n1, n2) {
+    const n = normal.clone().normalize();
+    let cosI = -n.dot(direction);
+    if (cosI < 0) {
+        n.negate();
+        cosI = -cosI;
     }
-    if (pixelCtx) {
-        pixelCtx.fillStyle = '#000';
-        pixelCtx.fillRect(0, 0, pixelCanvas.width, pixelCanvas.height);
-    }
-    
-    let initialRays = [];
-    
-    if (setupKey === 'camera-image-object') {
-        const detector = opticalElements.find(el => el.type === 'detector');
-        const lens = opticalElements.find(el => el.type === 'thin-lens');
-        const texture = imageObject.material.map;
-
-        if (!detector || !lens || !texture || !texture.image || texture.image.width === 0) return;
-
-        const image = texture.image;
-        const imgCanvas = document.createElement('canvas');
-        imgCanvas.width = image.width;
-        imgCanvas.height = image.height;
-        const imgCtx = imgCanvas.getContext('2d', { willReadFrequently: true });
-        imgCtx.drawImage(image, 0, 0, image.width, image.height);
-        const imageData = imgCtx.getImageData(0, 0, image.width, image.height).data;
-        
-        const perfectImageGrid = Array(pixelGridSize).fill(null).map(() => Array(pixelGridSize).fill(null));
-        const sourceDataGrid = Array(pixelGridSize).fill(null).map(() => Array(pixelGridSize).fill(null));
+    const eta = n1 / n2;
+    const sinT2 = eta * eta * (1 - cosI * cosI);
+    if (sinT2 > 1) return null;
+    const cosT = Math.sqrt(1 - sinT2);
+    return direction.clone().multiplyScalar(eta).add(n.multiplyScalar(eta * cosI - cosT)).normalize();
+}
 
-        for (let py = 0; py < pixelGridSize; py++) {
-            for (let px = 0; px < pixelGridSize; px++) {
-                const localX = (px / pixelGridSize - 0.5) * detector.mesh.geometry.parameters.width;
-                const localY = (py / pixelGridSize - 0.5) * detector.mesh.geometry.parameters.height;
-                const sensorPoint = detector.mesh.localToWorld(new THREE.Vector3(localX, -localY, 0));
-                const dirToLens = lens.mesh.position.clone().sub(sensorPoint).normalize();
-                const intersectOnLens = sensorPoint.clone().add(dirToLens.clone().multiplyScalar((lens.mesh.position.x - sensorPoint.x) / dirToLens.x));
-                let color = { r: 0, g: 0, b: 0 };
-                const so_calc = Math.abs(sensorPoint.x - lens.mesh.position.x);
-                const denominator = 1 / lens.focalLength - 1 / so_calc;
-
-                if (Math.abs(denominator) < 1e-9) {
-                    perfectImageGrid[py][px] = color;
-                    sourceDataGrid[py][px] = { origin: null, color: new THREE.Color(0,0,0) };
-                    continue; 
+/**
+ * Fresnel power reflectance of a dielectric interface for s- and p-polarized light
+ * and for unpolarized light (their mean). Total internal reflection reflects everything.
+ * @param {THREE.Vector3} direction - Normalized incident direction.
+ * @param {THREE.Vector3} normal - Surface normal; either orientation is accepted.
+ * @param {number} n1 - Refractive index on the incident side.
+ * @param {number} n2 - Refractive index on the transmitted side.
+ * @returns {{Rs: number, Rp: number, R: number}}
+ */
+export function fresnelReflectance(direction, normal, n1, n2) {
+    const cosI = Math.min(1, Math.abs(normal.clone().normalize().dot(direction)));
+    const sinT = (n1 / n2) * Math.sqrt(1 - cosI * cosI);
+    if (sinT >= 1) return { Rs: 1, Rp: 1, R: 1 };
+    const cosT = Math.sqrt(1 - sinT * sinT);
+    const rs = (n1 * cosI - n2 * cosT) / (n1 * cosI + n2 * cosT);
+    const rp = (n2 * cosI - n1 * cosT) / (n2 * cosI + n1 * cosT);
+    const Rs = rs * rs, Rp = rp * rp;
+    return { Rs, Rp, R: (Rs + Rp) / 2 };
+}
+
+// Wavelengths (nm) that stand in for white light.
+export const WHITE_LIGHT_WAVELENGTHS = [450, 532, 650];
+
+/**
+ * The spectrum of a source as `{ wavelength, power }` samples: white light is its three
+ * wavelengths at equal power, a single wavelength has power 1 and a sampled spectrum (see
+ * `sampleSourceSpectrum` in light-sources.js) is used as it is.
+ * @param {number|string|object[]} wavelength - Wavelength in nm, 'white' or a sampled spectrum.
+ * @returns {object[]}
+ */
+export function getSourceSpectrum(wavelength) {
+    if (Array.isArray(wavelength)) return wavelength;
+    if (wavelength === 'white') return WHITE_LIGHT_WAVELENGTHS.map(wl => ({ wavelength: wl, power: 1.0 }));
+    return [{ wavelength, power: 1.0 }];
+}
+
+/**
+ * Generates the initial rays of the laser source for the selected pattern.
+ * @param {object} source - The laser source description.
+ * @param {{x: number, y: number, z: number}} source.position - Center of the beam.
+ * @param {number|string|object[]} source.wavelength - Wavelength in nm, 'white' or a sampled
+ *   spectrum (see `getSourceSpectrum`). The rays of each wavelength carry its power.
+ * @param {string} source.laserPattern - One of the laser pattern keys.
+ * @param {number} [source.rayCount=100] - Number of rays per wavelength.
+ * @param {number} [source.beamSize=1.0] - Beam diameter in cm.
+ * @param {number} [source.startX=-9.75] - X coordinate the rays are launched from.
+ * @param {number} [source.fieldAngle=0] - Tilt of the beam in the x-y plane, in degrees.
+ * @param {number} [source.pupilX=startX] - X coordinate where a tilted beam is centred on
+ *   `position`, so it fills the same pupil there as the untilted beam.
+ * @returns {Ray[]} The initial rays.
+ */
+export function generateLaserRays(source) {
+    const { position, wavelength, laserPattern, rayCount = 100, beamSize = 1.0, startX = -9.75, fieldAngle = 0, pupilX = startX } = source;
+    const initialRays = [];
+    getSourceSpectrum(wavelength).forEach(({ wavelength: wl, power }) => {
+        let patternRays = [];
+        const parallelDirection = new THREE.Vector3(1, 0, 0);
+        switch (laserPattern) {
+            case 'line':
+                for (let i = 0; i < rayCount; i++) {
+                    const yOffset = (rayCount === 1) ? 0 : -beamSize / 2 + beamSize * (i / (rayCount - 1));
+                    patternRays.push(new Ray(new THREE.Vector3(startX, position.y + yOffset, position.z), parallelDirection, wl));
+                }
+                break;
+            case 'radial':
+                for (let i = 0; i < rayCount; i++) {
+                    const angle = (i / rayCount) * 2 * Math.PI;
+                    const yOffset = Math.sin(angle) * beamSize / 2;
+                    const zOffset = Math.cos(angle) * beamSize / 2;
+                    const startPoint = new THREE.Vector3(startX, position.y + yOffset, position.z + zOffset);
+                    patternRays.push(new Ray(startPoint, parallelDirection, wl));
                 }
-                
-                const si_calc = 1 / denominator;
-                const M = -si_calc / so_calc;
-                const ho_y_calc = sensorPoint.y - lens.mesh.position.y;
-                const ho_z_calc = sensorPoint.z - lens.mesh.position.z;
-                const objectPlanePoint = new THREE.Vector3(lens.mesh.position.x + si_calc, lens.mesh.position.y + (ho_y_calc * M), lens.mesh.position.z + (ho_z_calc * M));
-                const dirFromLens = objectPlanePoint.clone().sub(intersectOnLens).normalize();
-
-                if (Math.abs(dirFromLens.x) < 1e-9) {
-                    perfectImageGrid[py][px] = color;
-                    sourceDataGrid[py][px] = { origin: null, color: new THREE.Color(0,0,0) };
-                    continue; 
+                break;
+            case 'cross':
+                const halfCount = Math.floor(rayCount / 2);
+                for (let i = 0; i < halfCount; i++) {
+                    const yOffset = (halfCount <= 1) ? 0 : -beamSize / 2 + beamSize * (i / (halfCount - 1));
+                    patternRays.push(new Ray(new THREE.Vector3(startX, position.y + yOffset, position.z), parallelDirection, wl));
                 }
+                for (let i = 0; i < halfCount; i++) {
+                    const zOffset = (halfCount <= 1) ? 0 : -beamSize / 2 + beamSize * (i / (halfCount - 1));
+                    patternRays.push(new Ray(new THREE.Vector3(startX, position.y, position.z + zOffset), parallelDirection, wl));
+                }
+                break;
+            case 'disc':
+                for (let i = 0; i < rayCount; i++) {
+                    const radius = (beamSize / 2) * Math.sqrt(Math.random());
+                    const angle = Math.random() * 2 * Math.PI;
+                    const yOffset = radius * Math.sin(angle);
+                    const zOffset = radius * Math.cos(angle);
+                    const startPoint = new THREE.Vector3(startX, position.y + yOffset, position.z + zOffset);
+                    patternRays.push(new Ray(startPoint, parallelDirection, wl));
+                }
+                break;
+            case 'heart':
+                for (let i = 0; i < rayCount; i++) {
+                    const t = (i / rayCount) * 2 * Math.PI;
+                    const zOffset = (16 * Math.pow(Math.sin(t), 3)) / 16 * (beamSize / 1.5);
+                    const yOffset = (13 * Math.cos(t) - 5 * Math.cos(2*t) - 2 * Math.cos(3*t) - Math.cos(4*t)) / 16 * (beamSize / 1.5);
+                    const startPoint = new THREE.Vector3(startX, position.y - yOffset, position.z + zOffset);
+                    patternRays.push(new Ray(startPoint, parallelDirection, wl));
+                }
+                break;
+            case 'star':
+                const numPoints = 5;
+                const vertices = [];
+                const outerRadius = beamSize / 2;
+                const innerRadius = outerRadius * 0.5;
+                const angleStep = Math.PI / numPoints;
+
+                for (let i = 0; i < 2 * numPoints; i++) {
+                    const radius = (i % 2 === 0) ? outerRadius : innerRadius;
+                    const angle = i * angleStep - Math.PI / 2;
+                    vertices.push(new THREE.Vector2(
+                        radius * Math.cos(angle),
+                        radius * Math.sin(angle)
+                    ));
+                }
+
+                for (let i = 0; i < rayCount; i++) {
+                    const t = (i / rayCount) * (2 * numPoints);
+                    const startIndex = Math.floor(t);
+                    const endIndex = (startIndex + 1) % (2 * numPoints);
+                    const segmentT = t - startIndex;
 
-                const objectHitPoint = intersectOnLens.clone().add(dirFromLens.clone().multiplyScalar((imageObject.position.x - intersectOnLens.x) / dirFromLens.x));
-                const localIntersect = imageObject.worldToLocal(objectHitPoint.clone());
-                const u = (localIntersect.x / imageObject.geometry.parameters.width) + 0.5;
-                const v = 1.0 - ((localIntersect.y / imageObject.geometry.parameters.height) + 0.5);
+                    const startVec = vertices[startIndex];
+                    const endVec = vertices[endIndex];
+                    
+                    const point = startVec.clone().lerp(endVec, segmentT);
 
-                if (u >= 0 && u < 1 && v >= 0 && v < 1) {
-                    const imgX = Math.floor(u * image.width);
-                    const imgY = Math.floor(v * image.height);
-                    const C_idx = (imgY * image.width + imgX) * 4;
-                    color = { r: imageData[C_idx], g: imageData[C_idx + 1], b: imageData[C_idx + 2] };
+                    const yOffset = point.y;
+                    const zOffset = point.x;
+                    const startPoint = new THREE.Vector3(startX, position.y + yOffset, position.z + zOffset);
+                    patternRays.push(new Ray(startPoint, parallelDirection, wl));
                 }
-                
+                break;
+            case 'smile':
+                const headRays = Math.floor(rayCount * 0.5);
+                const eyeRays = Math.floor(rayCount * 0.15);
+                const mouthRays = rayCount - headRays - (2 * eyeRays);
+
+                for (let i = 0; i < headRays; i++) {
+                    const angle = (i / headRays) * 2 * Math.PI;
+                    const yOffset = (beamSize / 2) * Math.sin(angle);
+                    const zOffset = (beamSize / 2) * Math.cos(angle);
+                    patternRays.push(new Ray(new THREE.Vector3(startX, position.y - yOffset, position.z + zOffset), parallelDirection, wl));
+                }
+                for (let i = 0; i < eyeRays; i++) {
+                    const angle = (i / eyeRays) * 2 * Math.PI;
+                    let yOffset = (beamSize * 0.1) * Math.sin(angle) + (beamSize * 0.2);
+                    let zOffset = (beamSize * 0.1) * Math.cos(angle) - (beamSize * 0.2);
+                    patternRays.push(new Ray(new THREE.Vector3(startX, position.y - yOffset, position.z + zOffset), parallelDirection, wl));
+                    zOffset = (beamSize * 0.1) * Math.cos(angle) + (beamSize * 0.2);
+                    patternRays.push(new Ray(new THREE.Vector3(startX, position.y - yOffset, position.z + zOffset), parallelDirection, wl));
+                }
+                for (let i = 0; i < mouthRays; i++) {
+                    const angle = Math.PI + (i / mouthRays) * Math.PI;
+                    const yOffset = (beamSize * 0.3) * Math.sin(angle) - (beamSize * 0.1);
+                    const zOffset = (beamSize * 0.3) * Math.cos(angle);
+                    patternRays.push(new Ray(new THREE.Vector3(startX, position.y - yOffset, position.z + zOffset), parallelDirection, wl));
+                }
+                break;
+        }
+        if (fieldAngle !== 0) {
+            const tilt = fieldAngle * Math.PI / 180;
+            const direction = new THREE.Vector3(Math.cos(tilt), Math.sin(tilt), 0);
+            patternRays.forEach(ray => {
+                ray.direction = direction.clone();
+                ray.origin.y -= Math.tan(tilt) * (pupilX - startX);
+            });
+        }
+        patternRays.forEach(ray => { ray.intensity = power; });
+        initialRays.push(...patternRays);
+    });
+    return initialRays;
+}
+
+/**
+ * The central ray of the laser source, ready to trace, for analyses that follow the optical
+ * axis. A source of several wavelengths is represented by its strongest one, or by the
+ * middle one of equally strong wavelengths (as for white light).
+ * @param {object} source - See `generateLaserRays`; only `position` and `wavelength` are used.
+ * @returns {Ray}
+ */
+export function createAxialRay(source) {
+    const spectrum = getSourceSpectrum(source.wavelength === undefined ? 'white' : source.wavelength);
+    const middle = Math.floor(spectrum.length / 2);
+    const wavelength = spectrum.reduce((best, sample, i) => {
+        const isStronger = sample.power > best.power || (sample.power === best.power && Math.abs(i - middle) < Math.abs(best.index - middle));
+        return isStronger ? { ...sample, index: i } : best;
+    }, { ...spectrum[0], index: 0 }).wavelength;
+    const axialRay = generateLaserRays({ position: source.position, wavelength, laserPattern: 'line', rayCount: 1 })[0];
+    axialRay.intensity = 1.0;
+    axialRay.polarization = null;
+    axialRay.opticalPath = 0;
+    return axialRay;
+}
+
+/**
+ * Simulates the camera looking at an image object. Every sensor pixel is mapped
+ * through the thin lens onto the object plane to build the in-focus image, which
+ * is then blurred by the circle of confusion of the actual detector position.
+ * A sparse set of ray cones from the object is returned for visualization.
+ * @param {object} scene - See `computeTrace`.
+ * @returns {{initialRays: Ray[], image: object[][]|null}} The visualization rays and
+ *   the final sensor image as a grid of {r, g, b} (0-255), or null if the scene is incomplete.
+ */
+function simulateImageObject(scene) {
+    const { opticalElements, imageObject, sensor } = scene;
+    const pixelGridSize = sensor.pixelGridSize;
+    const detector = opticalElements.find(el => el.type === 'detector');
+    const lens = opticalElements.find(el => el.type === 'thin-lens');
+    const pixels = imageObject && imageObject.pixels;
+
+    if (!detector || !lens || !pixels || pixels.width === 0) return { initialRays: [], image: null };
+
+    const objectMesh = imageObject.mesh;
+    const imageData = pixels.data;
+    const perfectImageGrid = Array(pixelGridSize).fill(null).map(() => Array(pixelGridSize).fill(null));
+    const sourceDataGrid = Array(pixelGridSize).fill(null).map(() => Array(pixelGridSize).fill(null));
+
+    for (let py = 0; py < pixelGridSize; py++) {
+        for (let px = 0; px < pixelGridSize; px++) {
+            const localX = (px / pixelGridSize - 0.5) * detector.mesh.geometry.parameters.width;
+            const localY = (py / pixelGridSize - 0.5) * detector.mesh.geometry.parameters.height;
+            const sensorPoint = detector.mesh.localToWorld(new THREE.Vector3(localX, -localY, 0));
+            const dirToLens = lens.mesh.position.clone().sub(sensorPoint).normalize();
+            const intersectOnLens = sensorPoint.clone().add(dirToLens.clone().multiplyScalar((lens.mesh.position.x - sensorPoint.x) / dirToLens.x));
+            let color = { r: 0, g: 0, b: 0 };
+            const so_calc = Math.abs(sensorPoint.x - lens.mesh.position.x);
+            const denominator = 1 / lens.focalLength - 1 / so_calc;
+
+            if (Math.abs(denominator) < 1e-9) {
                 perfectImageGrid[py][px] = color;
-                sourceDataGrid[py][px] = { origin: objectHitPoint, color: new THREE.Color(color.r/255, color.g/255, color.b/255) };
+                sourceDataGrid[py][px] = { origin: null, color: new THREE.Color(0,0,0) };
+                continue; 
             }
+            
+            const si_calc = 1 / denominator;
+            const M = -si_calc / so_calc;
+            const ho_y_calc = sensorPoint.y - lens.mesh.position.y;
+            const ho_z_calc = sensorPoint.z - lens.mesh.position.z;
+            const objectPlanePoint = new THREE.Vector3(lens.mesh.position.x + si_calc, lens.mesh.position.y + (ho_y_calc * M), lens.mesh.position.z + (ho_z_calc * M));
+            const dirFromLens = objectPlanePoint.clone().sub(intersectOnLens).normalize();
+
+            if (Math.abs(dirFromLens.x) < 1e-9) {
+                perfectImageGrid[py][px] = color;
+                sourceDataGrid[py][px] = { origin: null, color: new THREE.Color(0,0,0) };
+                continue; 
+            }
+
+            const objectHitPoint = intersectOnLens.clone().add(dirFromLens.clone().multiplyScalar((objectMesh.position.x - intersectOnLens.x) / dirFromLens.x));
+            const localIntersect = objectMesh.worldToLocal(objectHitPoint.clone());
+            const u = (localIntersect.x / objectMesh.geometry.parameters.width) + 0.5;
+            const v = 1.0 - ((localIntersect.y / objectMesh.geometry.parameters.height) + 0.5);
+
+            if (u >= 0 && u < 1 && v >= 0 && v < 1) {
+                const imgX = Math.floor(u * pixels.width);
+                const imgY = Math.floor(v * pixels.height);
+                const C_idx = (imgY * pixels.width + imgX) * 4;
+                color = { r: imageData[C_idx], g: imageData[C_idx + 1], b: imageData[C_idx + 2] };
+            }
+            
+            perfectImageGrid[py][px] = color;
+            sourceDataGrid[py][px] = { origin: objectHitPoint, color: new THREE.Color(color.r/255, color.g/255, color.b/255) };
         }
-        
-        const so_center = Math.abs(imageObject.position.x - lens.mesh.position.x);
-        const si_focused = 1 / (1 / lens.focalLength - 1 / so_center);
-        const si_actual = Math.abs(detector.mesh.position.x - lens.mesh.position.x);
-        const R_lens = lens.mesh.geometry.parameters.radiusTop;
-        let coc_radius_world = 0;
-        if (Math.abs(si_focused) > 1e-6) {
-             coc_radius_world = (R_lens * Math.abs(si_actual - si_focused)) / Math.abs(si_focused);
-        }
-        const detector_pixel_size_world = detector.mesh.geometry.parameters.width / pixelGridSize;
-        const coc_radius_pixels = coc_radius_world / detector_pixel_size_world;
-        const coc_radius_pixels_sq = coc_radius_pixels * coc_radius_pixels;
-        const pixelSize = pixelCanvas.width / pixelGridSize;
+    }
+    
+    const so_center = Math.abs(objectMesh.position.x - lens.mesh.position.x);
+    const si_focused = 1 / (1 / lens.focalLength - 1 / so_center);
+    const si_actual = Math.abs(detector.mesh.position.x - lens.mesh.position.x);
+    const R_lens = lens.mesh.geometry.parameters.radiusTop;
+    let coc_radius_world = 0;
+    if (Math.abs(si_focused) > 1e-6) {
+         coc_radius_world = (R_lens * Math.abs(si_actual - si_focused)) / Math.abs(si_focused);
+    }
+    const detector_pixel_size_world = detector.mesh.geometry.parameters.width / pixelGridSize;
+    const coc_radius_pixels = coc_radius_world / detector_pixel_size_world;
+    const coc_radius_pixels_sq = coc_radius_pixels * coc_radius_pixels;
 
-        for (let py = 0; py < pixelGridSize; py++) {
-            for (let px = 0; px < pixelGridSize; px++) {
-                let color;
-                if (coc_radius_pixels < 0.5) {
-                     color = perfectImageGrid[py][px];
-                } else {
-                    let totalColor = { r: 0, g: 0, b: 0 };
-                    let sampleCount = 0;
-                    const startY = Math.max(0, Math.floor(py - coc_radius_pixels));
-                    const endY = Math.min(pixelGridSize - 1, Math.ceil(py + coc_radius_pixels));
-                    const startX = Math.max(0, Math.floor(px - coc_radius_pixels));
-                    const endX = Math.min(pixelGridSize - 1, Math.ceil(px + coc_radius_pixels));
-                    
-                    for (let y = startY; y <= endY; y++) {
-                        for (let x = startX; x <= endX; x++) {
-                            const dx = x - px;
-                            const dy = y - py;
-                            if (dx*dx + dy*dy <= coc_radius_pixels_sq) {
-                                const sampleColor = perfectImageGrid[y][x];
-                                if (sampleColor) {
-                                    totalColor.r += sampleColor.r;
-                                    totalColor.g += sampleColor.g;
-                                    totalColor.b += sampleColor.b;
-                                    sampleCount++;
-                                }
-                            }
+    const image = Array(pixelGridSize).fill(null).map(() => Array(pixelGridSize).fill(null));
+    for (let py = 0; py < pixelGridSize; py++) {
+        for (let px = 0; px < pixelGridSize; px++) {
+            if (coc_radius_pixels < 0.5) {
+                 image[py][px] = perfectImageGrid[py][px];
+                 continue;
+            }
+            let totalColor = { r: 0, g: 0, b: 0 };
+            let sampleCount = 0;
+            const startY = Math.max(0, Math.floor(py - coc_radius_pixels));
+            const endY = Math.min(pixelGridSize - 1, Math.ceil(py + coc_radius_pixels));
+            const startX = Math.max(0, Math.floor(px - coc_radius_pixels));
+            const endX = Math.min(pixelGridSize - 1, Math.ceil(px + coc_radius_pixels));
+            
+            for (let y = startY; y <= endY; y++) {
+                for (let x = startX; x <= endX; x++) {
+                    const dx = x - px;
+                    const dy = y - py;
+                    if (dx*dx + dy*dy <= coc_radius_pixels_sq) {
+                        const sampleColor = perfectImageGrid[y][x];
+                        if (sampleColor) {
+                            totalColor.r += sampleColor.r;
+                            totalColor.g += sampleColor.g;
+                            totalColor.b += sampleColor.b;
+                            sampleCount++;
                         }
                     }
-                    
-                    let finalColor = { r: 0, g: 0, b: 0 };
-                    if (sampleCount > 0) {
-                        finalColor.r = Math.round(totalColor.r / sampleCount);
-                        finalColor.g = Math.round(totalColor.g / sampleCount);
-                        finalColor.b = Math.round(totalColor.b / sampleCount);
-                    }
-                    color = finalColor;
                 }
-
-                if (sensorType === 'grayscale') {
-                    const gray = Math.round(color.r * 0.299 + color.g * 0.587 + color.b * 0.114);
-                    pixelCtx.fillStyle = `rgb(${gray}, ${gray}, ${gray})`;
-                } else if (sensorType === 'bayer') {
-                    const isTopRow = py % 2 === 0;
-                    const isLeftColumn = px % 2 === 0;
-                    if (isTopRow) {
-                        if (isLeftColumn) pixelCtx.fillStyle = `rgb(0, ${color.g}, 0)`;
-                        else pixelCtx.fillStyle = `rgb(${color.r}, 0, 0)`;
-                    } else {
-                        if (isLeftColumn) pixelCtx.fillStyle = `rgb(0, 0, ${color.b})`;
-                        else pixelCtx.fillStyle = `rgb(0, ${color.g}, 0)`;
-                    }
-                } else {
-                    pixelCtx.fillStyle = `rgb(${color.r}, ${color.g}, ${color.b})`;
-                }
-                pixelCtx.fillRect(px * pixelSize, py * pixelSize, pixelSize, pixelSize);
             }
+            
+            let finalColor = { r: 0, g: 0, b: 0 };
+            if (sampleCount > 0) {
+                finalColor.r = Math.round(totalColor.r / sampleCount);
+                finalColor.g = Math.round(totalColor.g / sampleCount);
+                finalColor.b = Math.round(totalColor.b / sampleCount);
+            }
+            image[py][px] = finalColor;
         }
+    }
 
-        const CONES_TO_VISUALIZE = 30;
-        const visualizationSpacing = Math.floor((pixelGridSize * pixelGridSize) / CONES_TO_VISUALIZE);
-        for (let py = 0; py < pixelGridSize; py++) {
-            for (let px = 0; px < pixelGridSize; px++) {
-                 if ((py * pixelGridSize + px) % visualizationSpacing === 0) {
-                    const sourceData = sourceDataGrid[py][px];
-                    if (sourceData && sourceData.origin && (sourceData.color.r > 0 || sourceData.color.g > 0 || sourceData.color.b > 0)) {
-                         const { origin, color } = sourceData;
-                         const lensCenter = lens.mesh.position;
-                         const lensRadius = lens.mesh.geometry.parameters.radiusTop;
-                         const rayTargets = [
-                             lensCenter,
-                             lensCenter.clone().add(new THREE.Vector3(0, lensRadius, 0)), lensCenter.clone().add(new THREE.Vector3(0, -lensRadius, 0)),
-                             lensCenter.clone().add(new THREE.Vector3(0, 0, lensRadius)), lensCenter.clone().add(new THREE.Vector3(0, 0, -lensRadius))
-                         ];
-                         rayTargets.forEach(target => {
-                             initialRays.push(new Ray(origin.clone(), target.clone().sub(origin), 555, color));
-                         });
-                    }
-                 }
-            }
+    const initialRays = [];
+    const CONES_TO_VISUALIZE = 30;
+    const visualizationSpacing = Math.floor((pixelGridSize * pixelGridSize) / CONES_TO_VISUALIZE);
+    for (let py = 0; py < pixelGridSize; py++) {
+        for (let px = 0; px < pixelGridSize; px++) {
+             if ((py * pixelGridSize + px) % visualizationSpacing === 0) {
+                const sourceData = sourceDataGrid[py][px];
+                if (sourceData && sourceData.origin && (sourceData.color.r > 0 || sourceData.color.g > 0 || sourceData.color.b > 0)) {
+                     const { origin, color } = sourceData;
+                     const lensCenter = lens.mesh.position;
+                     const lensRadius = lens.mesh.geometry.parameters.radiusTop;
+                     const rayTargets = [
+                         lensCenter,
+                         lensCenter.clone().add(new THREE.Vector3(0, lensRadius, 0)), lensCenter.clone().add(new THREE.Vector3(0, -lensRadius, 0)),
+                         lensCenter.clone().add(new THREE.Vector3(0, 0, lensRadius)), lensCenter.clone().add(new THREE.Vector3(0, 0, -lensRadius))
+                     ];
+                     rayTargets.forEach(target => {
+                         initialRays.push(new Ray(origin.clone(), target.clone().sub(origin), 555, color));
+                     });
+                }
+             }
         }
+    }
+    return { initialRays, image };
+}
+
+/**
+ * Traces a scene without touching the DOM or a live three.js scene graph, so it
+ * can be used for batch studies and regression checks in Node. There `three` must be
+ * installed (`npm install three@0.167.0`, the version the importmap in index.html loads)
+ * and the modules loaded as ES modules.
+ * The element meshes must have up-to-date world matrices (`updateMatrixWorld`).
+ * @param {object} scene - The scene description.
+ * @param {object[]} scene.opticalElements - Logical elements created by the component factories.
+ * @param {object} [scene.source] - Laser source description, see `generateLaserRays`. With
+ *   `source.gaussian` (`{ waist, waistPosition, mSquared }`, see gaussian-beam.js) the laser
+ *   is a Gaussian beam: only its central ray is traced and the beam is propagated with
+ *   ABCD matrices along it.
+ * @param {object} [scene.paraxial] - `{ objectDistance }` (cm) to run a paraxial analysis of
+ *   the system along the central ray, see `analyzeParaxialSystem`.
+ * @param {object} [scene.imageObject] - For 'camera-image-object': `{ mesh, pixels }`, where
+ *   `pixels` is `{ width, height, data }` in RGBA ImageData layout.
+ * @param {object} scene.sensor - Sensor settings: `{ pixelGridSize, coherent }`. A coherent
+ *   sensor adds the complex amplitudes of the light reaching each pixel, using the optical
+ *   path length every ray accumulates, so interference fringes appear.
+ * @param {string} [scene.setupKey] - The active setup key.
+ * @param {object} [scene.tracing] - `{ mode, maxBounces, minIntensity }`. In the default
+ *   'sequential' mode every element is visited once, in array order. In 'non-sequential'
+ *   mode each ray segment hits the nearest element, bouncing until `maxBounces` or until
+ *   its intensity falls below `minIntensity`.
+ * @returns {object} `{ paths, sensor, metadata }`. Each path is
+ *   `{ points, wavelength, color, diffractionOrder, hasSplit, splitIndex, terminated }`, where
+ *   `splitIndex` is the point at which the ray was first dispersed. The sensor
+ *   holds the exact detector `hits` (with the `opticalPath` of each, in cm) plus the
+ *   power binned into `intensities` / `trueColorIntensities`, their maxima and the
+ *   `fullScale` a pixel saturates at, or a finished `image` grid for the image-object
+ *   camera. When an opening in wave-optics mode sits right before a detector and light
+ *   gets through it, the detector shows the diffraction pattern of that light instead and
+ *   `sensor.diffraction` describes it (see `applyWaveOptics`); a Gaussian beam ending
+ *   on a detector shows its spot there.
+ *   `metadata.power` is the power budget: `{ emitted, detected, lost, escaped }`, with the
+ *   power lost at each element by name (and at the non-sequential cutoffs) and the power
+ *   of the rays that leave the system, so that emitted = detected + lost + escaped.
+ *   `metadata.gaussianBeams` holds one
+ *   `propagateGaussianBeam` result per wavelength for a Gaussian source,
+ *   and `metadata.paraxial` the `analyzeParaxialSystem` result when one was asked for.
+ */
+export function computeTrace(scene) {
+    const { opticalElements, source, setupKey, sensor: sensorSettings } = scene;
+    const pixelGridSize = sensorSettings.pixelGridSize;
+    const isImageObject = setupKey === 'camera-image-object';
+
+    let initialRays = [];
+    let image = null;
+    if (isImageObject) {
+        ({ initialRays, image } = simulateImageObject(scene));
+    } else if (source.gaussian) {
+        initialRays = generateLaserRays({ ...source, laserPattern: 'line', rayCount: 1 });
     } else {
-        const wavelengths = (wavelength === 'white') ? [450, 532, 650] : [wavelength];
-        const beamSize = 1.0; 
-        wavelengths.forEach(wl => {
-            let patternRays = [];
-            const parallelDirection = new THREE.Vector3(1, 0, 0);
-            switch (laserPattern) {
-                case 'line':
-                    for (let i = 0; i < rayCount; i++) {
-                        const yOffset = (rayCount === 1) ? 0 : -beamSize / 2 + beamSize * (i / (rayCount - 1));
-                        patternRays.push(new Ray(new THREE.Vector3(-9.75, laserSource.position.y + yOffset, laserSource.position.z), parallelDirection, wl));
-                    }
-                    break;
-                case 'radial':
-                    for (let i = 0; i < rayCount; i++) {
-                        const angle = (i / rayCount) * 2 * Math.PI;
-                        const yOffset = Math.sin(angle) * beamSize / 2;
-                        const zOffset = Math.cos(angle) * beamSize / 2;
-                        const startPoint = new THREE.Vector3(-9.75, laserSource.position.y + yOffset, laserSource.position.z + zOffset);
-                        patternRays.push(new Ray(startPoint, parallelDirection, wl));
-                    }
-                    break;
-                case 'cross':
-                    const halfCount = Math.floor(rayCount / 2);
-                    for (let i = 0; i < halfCount; i++) {
-                        const yOffset = (halfCount <= 1) ? 0 : -beamSize / 2 + beamSize * (i / (halfCount - 1));
-                        patternRays.push(new Ray(new THREE.Vector3(-9.75, laserSource.position.y + yOffset, laserSource.position.z), parallelDirection, wl));
-                    }
-                    for (let i = 0; i < halfCount; i++) {
-                        const zOffset = (halfCount <= 1) ? 0 : -beamSize / 2 + beamSize * (i / (halfCount - 1));
-                        patternRays.push(new Ray(new THREE.Vector3(-9.75, laserSource.position.y, laserSource.position.z + zOffset), parallelDirection, wl));
-                    }
-                    break;
-                case 'disc':
-                    for (let i = 0; i < rayCount; i++) {
-                        const radius = (beamSize / 2) * Math.sqrt(Math.random());
-                        const angle = Math.random() * 2 * Math.PI;
-                        const yOffset = radius * Math.sin(angle);
-                        const zOffset = radius * Math.cos(angle);
-                        const startPoint = new THREE.Vector3(-9.75, laserSource.position.y + yOffset, laserSource.position.z + zOffset);
-                        patternRays.push(new Ray(startPoint, parallelDirection, wl));
-                    }
-                    break;
-                case 'heart':
-                    for (let i = 0; i < rayCount; i++) {
-                        const t = (i / rayCount) * 2 * Math.PI;
-                        const zOffset = (16 * Math.pow(Math.sin(t), 3)) / 16 * (beamSize / 1.5);
-                        const yOffset = (13 * Math.cos(t) - 5 * Math.cos(2*t) - 2 * Math.cos(3*t) - Math.cos(4*t)) / 16 * (beamSize / 1.5);
-                        const startPoint = new THREE.Vector3(-9.75, laserSource.position.y - yOffset, laserSource.position.z + zOffset);
-                        patternRays.push(new Ray(startPoint, parallelDirection, wl));
-                    }
-                    break;
-                case 'star':
-                    const numPoints = 5;
-                    const vertices = [];
-                    const outerRadius = beamSize / 2;
-                    const innerRadius = outerRadius * 0.5;
-                    const angleStep = Math.PI / numPoints;
-
-                    for (let i = 0; i < 2 * numPoints; i++) {
-                        const radius = (i % 2 === 0) ? outerRadius : innerRadius;
-                        const angle = i * angleStep - Math.PI / 2;
-                        vertices.push(new THREE.Vector2(
-                            radius * Math.cos(angle),
-                            radius * Math.sin(angle)
-                        ));
-                    }
+        initialRays = generateLaserRays(source);
+    }
+    
+    const sensor = {
+        gridSize: pixelGridSize,
+        hits: [],
+        intensities: Array(pixelGridSize).fill(null).map(() => Array(pixelGridSize).fill(null).map(() => ({ r: 0, g: 0, b: 0 }))),
+        trueColorIntensities: Array(pixelGridSize).fill(null).map(() => Array(pixelGridSize).fill(null).map(() => ({ r: 0, g: 0, b: 0 }))),
+        maxIntensity: 0,
+        maxTrueColorIntensity: 0,
+        // A pixel saturates when it collects this share of one wavelength's beam power,
+        // so brightness follows the power that arrives, independent of the ray count.
+        fullScale: SENSOR_SATURATION * initialRays.length / Math.max(1, new Set(initialRays.map(ray => ray.wavelength)).size),
+        // Coherent sensors first collect complex fields per pixel, see `addCoherentField`.
+        fields: sensorSettings.coherent ? new Map() : null,
+        // Wave optics first collects the rays that reach its opening, see `applyWaveOptics`.
+        waveOptics: isImageObject ? null : findWaveOpticsOpening(opticalElements),
+        image: image
+    };
+    initialRays.forEach(ray => {
+        if (ray.intensity === undefined) ray.intensity = 1.0;
+        if (ray.polarization === undefined) ray.polarization = null;
+        ray.opticalPath = 0;
+    });
+    const power = { emitted: initialRays.reduce((sum, ray) => sum + ray.intensity, 0), detected: 0, lost: {}, escaped: 0 };
+    const startPaths = initialRays.map(ray => ({ ray: ray, originalRay: ray, path: [ray.origin], terminated: false, hasSplit: false, bounces: 0 }));
+    const tracing = { mode: 'sequential', maxBounces: 50, minIntensity: 1e-3, ...scene.tracing };
+    const activePaths = (tracing.mode === 'non-sequential')
+        ? traceNonSequential(startPaths, opticalElements, scene, sensor, power, tracing)
+        : traceSequential(startPaths, opticalElements, scene, sensor, power);
+    if (sensor.fields) finishCoherentSensor(sensor);
+    const wavelengths = [...new Set(initialRays.map(ray => ray.wavelength))];
+    if (sensor.waveOptics) applyWaveOptics(sensor);
+    const gaussianBeams = (!isImageObject && source.gaussian)
+        ? initialRays.map(ray => propagateGaussianBeam(opticalElements, ray, source.gaussian, scene))
+        : null;
+    if (gaussianBeams) applyGaussianSpot(gaussianBeams, sensor);
+    const paraxial = scene.paraxial ? analyzeSourceAxis(opticalElements, source, scene.paraxial.objectDistance, scene) : null;
 
-                    for (let i = 0; i < rayCount; i++) {
-                        const t = (i / rayCount) * (2 * numPoints);
-                        const startIndex = Math.floor(t);
-                        const endIndex = (startIndex + 1) % (2 * numPoints);
-                        const segmentT = t - startIndex;
-
-                        const startVec = vertices[startIndex];
-                        const endVec = vertices[endIndex];
-                        
-                        const point = startVec.clone().lerp(endVec, segmentT);
-
-                        const yOffset = point.y;
-                        const zOffset = point.x;
-                        const startPoint = new THREE.Vector3(-9.75, laserSource.position.y + yOffset, laserSource.position.z + zOffset);
-                        patternRays.push(new Ray(startPoint, parallelDirection, wl));
-                    }
-                    break;
-                case 'smile':
-                    const headRays = Math.floor(rayCount * 0.5);
-                    const eyeRays = Math.floor(rayCount * 0.15);
-                    const mouthRays = rayCount - headRays - (2 * eyeRays);
-
-                    for (let i = 0; i < headRays; i++) {
-                        const angle = (i / headRays) * 2 * Math.PI;
-                        const yOffset = (beamSize / 2) * Math.sin(angle);
-                        const zOffset = (beamSize / 2) * Math.cos(angle);
-                        patternRays.push(new Ray(new THREE.Vector3(-9.75, laserSource.position.y - yOffset, laserSource.position.z + zOffset), parallelDirection, wl));
-                    }
-                    for (let i = 0; i < eyeRays; i++) {
-                        const angle = (i / eyeRays) * 2 * Math.PI;
-                        let yOffset = (beamSize * 0.1) * Math.sin(angle) + (beamSize * 0.2);
-                        let zOffset = (beamSize * 0.1) * Math.cos(angle) - (beamSize * 0.2);
-                        patternRays.push(new Ray(new THREE.Vector3(-9.75, laserSource.position.y - yOffset, laserSource.position.z + zOffset), parallelDirection, wl));
-                        zOffset = (beamSize * 0.1) * Math.cos(angle) + (beamSize * 0.2);
-                        patternRays.push(new Ray(new THREE.Vector3(-9.75, laserSource.position.y - yOffset, laserSource.position.z + zOffset), parallelDirection, wl));
-                    }
-                    for (let i = 0; i < mouthRays; i++) {
-                        const angle = Math.PI + (i / mouthRays) * Math.PI;
-                        const yOffset = (beamSize * 0.3) * Math.sin(angle) - (beamSize * 0.1);
-                        const zOffset = (beamSize * 0.3) * Math.cos(angle);
-                        patternRays.push(new Ray(new THREE.Vector3(-9.75, laserSource.position.y - yOffset, laserSource.position.z + zOffset), parallelDirection, wl));
-                    }
-                    break;
-            }
-            initialRays.push(...patternRays);
+    const paths = activePaths.map(finalPath => {
+        if (!finalPath.terminated) {
+            power.escaped += finalPath.ray.intensity;
+            finalPath.path.push(finalPath.ray.origin.clone().add(finalPath.ray.direction.clone().multiplyScalar(25)));
+        }
+        return {
+            points: finalPath.path,
+            wavelength: finalPath.ray.wavelength,
+            color: finalPath.originalRay.color,
+            diffractionOrder: finalPath.ray.diffractionOrder,
+            hasSplit: finalPath.hasSplit,
+            splitIndex: finalPath.splitIndex,
+            terminated: finalPath.terminated
+        };
+    });
+
+    return {
+        paths,
+        sensor,
+        metadata: {
+            setupKey,
+            wavelengths,
+            initialRayCount: initialRays.length,
+            pathCount: paths.length,
+            terminatedCount: paths.filter(p => p.terminated).length,
+            detectorHitCount: sensor.hits.length,
+            power,
+            gaussianBeams,
+            paraxial
+        }
+    };
+}
+
+// Properties a ray carries from element to element. Components only set them on the
+// rays they emit when they change them; anything left unset is inherited from the parent.
+const CARRIED_RAY_STATE = ['intensity', 'polarization'];
+
+// Share of one wavelength's emitted power that saturates a sensor pixel.
+const SENSOR_SATURATION = 0.1;
+
+function inheritRayState(parentRay, newRay) {
+    for (const key of CARRIED_RAY_STATE) {
+        if (newRay[key] !== undefined) continue;
+        newRay[key] = parentRay[key];
+        // An inherited field has to stay transverse to the new direction.
+        if (key === 'polarization') newRay.polarization = transportPolarization(parentRay.polarization, newRay.direction);
+    }
+    return newRay;
+}
+
+// Geometric length of the free-space segment from a ray's origin to where an element
+// first interacts with it. Rays travel in air between elements (n = 1).
+function getAirPath(ray, result) {
+    const hitPoint = getResultHitPoint(result);
+    return hitPoint ? Math.max(0, hitPoint.clone().sub(ray.origin).dot(ray.direction)) : 0;
+}
+
+// Sets the accumulated optical path length (cm) of a ray leaving an element. Inside an
+// element the path is what the element reports: per emitted ray in `ray.opticalPath`,
+// or for all of them in `result.opticalPath` (n * length in glass, phase shifts, ...).
+function advanceOpticalPath(newRay, result, opticalPath) {
+    const inside = (newRay.opticalPath !== undefined) ? newRay.opticalPath : (result.opticalPath || 0);
+    newRay.opticalPath = opticalPath + inside;
+    return newRay;
+}
+
+// Books power an element removed from a ray (absorbed, blocked or reflected out of the beam).
+function recordPowerLoss(power, element, amount) {
+    if (amount <= 1e-12) return;
+    const key = (element.mesh && element.mesh.name) || element.type;
+    power.lost[key] = (power.lost[key] || 0) + amount;
+}
+
+// Applies the result of `processRay` to a path and returns the resulting path(s).
+function applyElementResult(currentPath, element, result, scene, sensor, power) {
+    const incomingPower = currentPath.ray.intensity;
+    // Remember where white light first separates into its wavelengths, for rendering.
+    if (result.dispersive && currentPath.splitIndex === undefined) {
+        currentPath.splitIndex = currentPath.path.length;
+    }
+    if (sensor.waveOptics && element === sensor.waveOptics.opening) {
+        sensor.waveOptics.arrivals.push({
+            point: getResultHitPoint(result).clone(), wavelength: currentPath.ray.wavelength,
+            intensity: incomingPower, passed: !!result.newRay
         });
     }
-    
-    const sensorIntensities = Array(pixelGridSize).fill(null).map(() => Array(pixelGridSize).fill(null).map(() => ({ r: 0, g: 0, b: 0 })));
-    const trueColorIntensities = Array(pixelGridSize).fill(null).map(() => Array(pixelGridSize).fill(null).map(() => ({ r: 0, g: 0, b: 0 })));
-    let maxSensorIntensity = 0;
-    let maxTrueColorIntensity = 0;
-    let activePaths = initialRays.map(ray => ({ ray: ray, originalRay: ray, path: [ray.origin], terminated: false, hasSplit: false }));
+    // Thick elements report the points a ray passed inside them (e.g. the entry surface).
+    const opticalPath = currentPath.ray.opticalPath + getAirPath(currentPath.ray, result);
+    if (result.via) currentPath.path.push(...result.via);
+    if (result.newRays) {
+        result.newRays.forEach(newRay => advanceOpticalPath(inheritRayState(currentPath.ray, newRay), result, opticalPath));
+        recordPowerLoss(power, element, incomingPower - result.newRays.reduce((sum, newRay) => sum + newRay.intensity, 0));
+        return result.newRays.map(newRay => ({
+            ray: newRay, originalRay: currentPath.originalRay,
+            path: [...currentPath.path, newRay.origin], terminated: false, hasSplit: true,
+            splitIndex: currentPath.splitIndex, bounces: currentPath.bounces + 1
+        }));
+    }
+    if (result.newRay) {
+        currentPath.path.push(result.newRay.origin);
+        currentPath.ray = advanceOpticalPath(inheritRayState(currentPath.ray, result.newRay), result, opticalPath);
+        currentPath.bounces++;
+        recordPowerLoss(power, element, incomingPower - currentPath.ray.intensity);
+        return [currentPath];
+    }
+    if (result.intersection) {
+        currentPath.path.push(result.intersection);
+        currentPath.terminated = true;
+        if (element.type === 'detector') {
+            power.detected += incomingPower;
+            if (scene.setupKey !== 'camera-image-object') recordDetectorHit(sensor, element, result, currentPath, opticalPath);
+        } else {
+            recordPowerLoss(power, element, incomingPower);
+        }
+    }
+    return [currentPath];
+}
 
+function traceSequential(activePaths, opticalElements, scene, sensor, power) {
     for (const element of opticalElements) {
         let nextActivePaths = [];
         for (const currentPath of activePaths) {
             if (currentPath.terminated) {
                 nextActivePaths.push(currentPath); continue;
             }
-            const result = element.processRay(currentPath.ray, currentPath.originalRay, config);
+            const result = element.processRay(currentPath.ray, currentPath.originalRay, scene);
             if (result) {
-                if (result.newRays) { 
-                    result.newRays.forEach(newRay => {
-                        nextActivePaths.push({ ray: newRay, originalRay: currentPath.originalRay, path: [...currentPath.path, newRay.origin], terminated: false, hasSplit: true });
-                    });
-                } else if (result.newRay) { 
-                    currentPath.path.push(result.newRay.origin);
-                    currentPath.ray = result.newRay;
-                    nextActivePaths.push(currentPath);
-                } else if (result.intersection) { 
-                    currentPath.path.push(result.intersection);
-                    currentPath.terminated = true;
-                    nextActivePaths.push(currentPath);
-                    if (element.type === 'detector' && setupKey !== 'camera-image-object') {
-                        const detector = element.mesh;
-                        const localPoint = detector.worldToLocal(result.intersection.clone());
-                        const pixelX = Math.floor((localPoint.x / detector.geometry.parameters.width + 0.5) * pixelGridSize);
-                        const pixelY = Math.floor((-localPoint.y / detector.geometry.parameters.height + 0.5) * pixelGridSize);
-
-                        if (pixelX >= 0 && pixelX < pixelGridSize && pixelY >= 0 && pixelY < pixelGridSize) {
-                             const sensorPixel = sensorIntensities[pixelY][pixelX];
-                             const trueColorPixel = trueColorIntensities[pixelY][pixelX];
-
-                             if (result.color || (currentPath.originalRay && currentPath.originalRay.color)) {
-                                 const color = result.color || currentPath.originalRay.color;
-                                 sensorPixel.r += color.r; sensorPixel.g += color.g; sensorPixel.b += color.b;
-                                 trueColorPixel.r += color.r; trueColorPixel.g += color.g; trueColorPixel.b += color.b;
-                             } else {
-                                 sensorPixel.r += getFilterResponse(result.wavelength, 'R');
-                                 sensorPixel.g += getFilterResponse(result.wavelength, 'G');
-                                 sensorPixel.b += getFilterResponse(result.wavelength, 'B');
-                                 
-                                 const trueColor = wavelengthToRGB(result.wavelength);
-                                 trueColorPixel.r += trueColor.r; trueColorPixel.g += trueColor.g; trueColorPixel.b += trueColor.b;
-                             }
-                             
-                             maxSensorIntensity = Math.max(maxSensorIntensity, sensorPixel.r, sensorPixel.g, sensorPixel.b);
-                             maxTrueColorIntensity = Math.max(maxTrueColorIntensity, trueColorPixel.r, trueColorPixel.g, trueColorPixel.b);
-                        }
-                    }
-                } else { nextActivePaths.push(currentPath); }
+                nextActivePaths.push(...applyElementResult(currentPath, element, result, scene, sensor, power));
             } else { nextActivePaths.push(currentPath); }
         }
         activePaths = nextActivePaths;
     }
+    return activePaths;
+}
 
-    activePaths.forEach(finalPath => {
-        if (!finalPath.terminated) {
-            finalPath.path.push(finalPath.ray.origin.clone().add(finalPath.ray.direction.clone().multiplyScalar(25)));
+// Returns the point where an element's `processRay` result interacts with the ray.
+function getResultHitPoint(result) {
+    if (result.via && result.via.length > 0) return result.via[0];
+    if (result.intersection) return result.intersection;
+    if (result.newRay) return result.newRay.origin;
+    if (result.newRays && result.newRays.length > 0) return result.newRays[0].origin;
+    return null;
+}
+
+/**
+ * Finds the element a ray reaches first. Every element is asked to process the ray
+ * and the result whose interaction point lies nearest along the ray wins.
+ * @returns {{element: object, result: object, distance: number}|null}
+ */
+export function findNearestHit(ray, originalRay, opticalElements, scene) {
+    let nearest = null;
+    for (const element of opticalElements) {
+        const result = element.processRay(ray, originalRay, scene);
+        if (!result) continue;
+        const hitPoint = getResultHitPoint(result);
+        if (!hitPoint) continue;
+        const distance = hitPoint.clone().sub(ray.origin).dot(ray.direction);
+        // Ignore the surface the ray is leaving from.
+        if (distance < 1e-5) continue;
+        if (!nearest || distance < nearest.distance) nearest = { element, result, distance };
+    }
+    return nearest;
+}
+
+function traceNonSequential(startPaths, opticalElements, scene, sensor, power, tracing) {
+    const finishedPaths = [];
+    const pending = [...startPaths];
+    while (pending.length > 0) {
+        const currentPath = pending.pop();
+        if (currentPath.terminated) {
+            finishedPaths.push(currentPath); continue;
         }
-        
-        const whiteLightColor = (backgroundColor === 'black') ? 0xffffff : 0x000000;
+        if (currentPath.bounces >= tracing.maxBounces || currentPath.ray.intensity < tracing.minIntensity) {
+            currentPath.terminated = true;
+            recordPowerLoss(power, { type: 'cutoff' }, currentPath.ray.intensity);
+            finishedPaths.push(currentPath); continue;
+        }
+        const hit = findNearestHit(currentPath.ray, currentPath.originalRay, opticalElements, scene);
+        if (!hit) {
+            finishedPaths.push(currentPath); continue;
+        }
+        pending.push(...applyElementResult(currentPath, hit.element, hit.result, scene, sensor, power));
+    }
+    return finishedPaths;
+}
 
-        if (wavelength === 'white' && finalPath.hasSplit) {
-            const grating = opticalElements.find(el => el.type === 'grating' || el.type === 'reflective-grating');
-            if (grating) {
-                if (finalPath.path.length < 2) return;
+function recordDetectorHit(sensor, element, result, currentPath, opticalPath) {
+    const pixelGridSize = sensor.gridSize;
+    const detector = element.mesh;
+    const localPoint = detector.worldToLocal(result.intersection.clone());
+    const pixelX = Math.floor((localPoint.x / detector.geometry.parameters.width + 0.5) * pixelGridSize);
+    const pixelY = Math.floor((-localPoint.y / detector.geometry.parameters.height + 0.5) * pixelGridSize);
+    const color = result.color || (currentPath.originalRay && currentPath.originalRay.color) || null;
+    const intensity = currentPath.ray.intensity;
 
-                const preSplitPath = finalPath.path.slice(0, -1);
-                const postSplitPath = finalPath.path.slice(-2);
+    sensor.hits.push({ point: result.intersection, localX: localPoint.x, localY: localPoint.y, pixelX, pixelY, wavelength: result.wavelength, color, intensity, opticalPath });
 
-                if (preSplitPath.length > 0) {
-                    rayGroup.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(preSplitPath), new THREE.LineBasicMaterial({ color: whiteLightColor, transparent: true, opacity: 0.6 })));
-                }
-                if (postSplitPath.length > 1) {
-                    const m = finalPath.ray.diffractionOrder;
-                    const color = (m === 0) ? whiteLightColor : wavelengthToRGB(finalPath.ray.wavelength);
-                    rayGroup.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(postSplitPath), new THREE.LineBasicMaterial({ color: color, transparent: true, opacity: 0.6 })));
+    if (pixelX >= 0 && pixelX < pixelGridSize && pixelY >= 0 && pixelY < pixelGridSize) {
+        if (sensor.fields) {
+            const pixelPitch = detector.geometry.parameters.width / pixelGridSize;
+            addCoherentField(sensor.fields, currentPath, { localX: localPoint.x, localY: localPoint.y, pixelX, pixelY }, pixelPitch, result.wavelength, opticalPath);
+        } else {
+            addPixelPower(sensor, pixelX, pixelY, result.wavelength, color, intensity);
+        }
+    }
+}
+
+function addPixelPower(sensor, pixelX, pixelY, wavelength, color, intensity) {
+    const sensorPixel = sensor.intensities[pixelY][pixelX];
+    const trueColorPixel = sensor.trueColorIntensities[pixelY][pixelX];
+
+    if (color) {
+        sensorPixel.r += color.r * intensity; sensorPixel.g += color.g * intensity; sensorPixel.b += color.b * intensity;
+        trueColorPixel.r += color.r * intensity; trueColorPixel.g += color.g * intensity; trueColorPixel.b += color.b * intensity;
+    } else {
+        sensorPixel.r += getFilterResponse(wavelength, 'R') * intensity;
+        sensorPixel.g += getFilterResponse(wavelength, 'G') * intensity;
+        sensorPixel.b += getFilterResponse(wavelength, 'B') * intensity;
+
+        const trueColor = wavelengthToRGB(wavelength);
+        trueColorPixel.r += trueColor.r * intensity; trueColorPixel.g += trueColor.g * intensity; trueColorPixel.b += trueColor.b * intensity;
+    }
+
+    sensor.maxIntensity = Math.max(sensor.maxIntensity, sensorPixel.r, sensorPixel.g, sensorPixel.b);
+    sensor.maxTrueColorIntensity = Math.max(sensor.maxTrueColorIntensity, trueColorPixel.r, trueColorPixel.g, trueColorPixel.b);
+}
+
+// Field direction used for unpolarized light, which then interferes as a scalar wave.
+const UNPOLARIZED_FIELD = { re: new THREE.Vector3(0, 1, 0), im: new THREE.Vector3() };
+
+// Adds the complex field sqrt(I) * E * exp(i * 2pi * OPL / lambda) of a detector hit.
+// Copies of the same launched ray (split by beam splitters, films, ...) that land within
+// a pixel pitch of each other add as amplitudes; separately launched rays sample
+// different parts of the beam and are summed in power when the sensor is finished.
+function addCoherentField(fields, currentPath, hit, pixelPitch, wavelength, opticalPath) {
+    if (!fields.has(currentPath.originalRay)) fields.set(currentPath.originalRay, []);
+    const copies = fields.get(currentPath.originalRay);
+    let field = copies.find(f => Math.hypot(f.localX - hit.localX, f.localY - hit.localY) < pixelPitch);
+    if (!field) {
+        field = { ...hit, wavelength, re: new THREE.Vector3(), im: new THREE.Vector3() };
+        copies.push(field);
+    }
+    const cycles = (opticalPath * 1e7 / wavelength) % 1; // OPL in cm, wavelength in nm.
+    const amplitude = Math.sqrt(currentPath.ray.intensity);
+    const a = amplitude * Math.cos(2 * Math.PI * cycles), b = amplitude * Math.sin(2 * Math.PI * cycles);
+    const E = currentPath.ray.polarization || UNPOLARIZED_FIELD;
+    field.re.addScaledVector(E.re, a).addScaledVector(E.im, -b);
+    field.im.addScaledVector(E.re, b).addScaledVector(E.im, a);
+}
+
+// Turns the summed fields of a coherent sensor into pixel power |E|^2.
+function finishCoherentSensor(sensor) {
+    sensor.fields.forEach(copies => copies.forEach(field => {
+        addPixelPower(sensor, field.pixelX, field.pixelY, field.wavelength, null, field.re.lengthSq() + field.im.lengthSq());
+    }));
+}
+
+// Sub-samples per pixel side used to average a diffraction pattern over each pixel.
+const DIFFRACTION_SUBSAMPLES = 3;
+
+// The opening wave optics applies to: one with `waveOptics` set (see `getOpening` on the
+// slit and the aperture) that sits right before a detector, with an empty list for the rays
+// that reach its plate. Openings elsewhere in the system are traced as geometric rays.
+function findWaveOpticsOpening(opticalElements) {
+    const index = opticalElements.findIndex((element, i) => element.waveOptics && element.getOpening &&
+        opticalElements[i + 1] && opticalElements[i + 1].type === 'detector');
+    return (index < 0) ? null : { opening: opticalElements[index], detector: opticalElements[index + 1], arrivals: [] };
+}
+
+// Wave-optics mode: the light that passes the opening propagates as a wave to the detector
+// right after it. The beam is taken as round, centred on the rays that reach the plate and
+// as wide as the outermost of them, and only the part of the opening it lights diffracts.
+// Each wavelength's pattern carries the power of the rays that passed at that wavelength,
+// spread over the detector as the lit area spreads, and replaces the detector image; when
+// no ray gets through the sensor is left as traced. `sensor.diffraction` keeps what the
+// pixel viewer annotates: `{ regime, fresnelNumber, shape, center, zeros }`, with pixel
+// coordinates and the far-field first zero of each wavelength.
+function applyWaveOptics(sensor) {
+    const { opening: openingElement, detector, arrivals } = sensor.waveOptics;
+    const passes = arrivals.filter(arrival => arrival.passed);
+    if (passes.length === 0) return;
+    const openingMesh = openingElement.mesh;
+    const detectorMesh = detector.mesh;
+    const { width, height } = detectorMesh.geometry.parameters;
+    const gridSize = sensor.gridSize;
+    const toOpening = (u, v) => openingMesh.worldToLocal(detectorMesh.localToWorld(new THREE.Vector3(u, v, 0)));
+    const toPixel = (point) => {
+        const local = detectorMesh.worldToLocal(openingMesh.localToWorld(point));
+        return { x: (local.x / width + 0.5) * gridSize, y: (-local.y / height + 0.5) * gridSize };
+    };
+    const distance = toOpening(0, 0).z;
+    if (distance <= 0) return;
+
+    const arrivedPower = arrivals.reduce((sum, arrival) => sum + arrival.intensity, 0);
+    if (!(arrivedPower > 0)) return;
+    const crossings = arrivals.map(arrival => ({ local: openingMesh.worldToLocal(arrival.point.clone()), intensity: arrival.intensity }));
+    const beamCenter = {
+        x: crossings.reduce((sum, c) => sum + c.local.x * c.intensity, 0) / arrivedPower,
+        y: crossings.reduce((sum, c) => sum + c.local.y * c.intensity, 0) / arrivedPower
+    };
+    // A single ray says nothing about the beam size; the whole opening counts as lit.
+    const beamRadius = Math.max(...crossings.map(c => Math.hypot(c.local.x - beamCenter.x, c.local.y - beamCenter.y))) || Infinity;
+    const lit = getLitOpening(openingElement.getOpening(), { center: beamCenter, radius: beamRadius });
+    if (!(lit.area > 0)) return;
+    const opening = lit.opening;
+
+    const points = [];
+    for (let pixelY = 0; pixelY < gridSize; pixelY++) {
+        for (let pixelX = 0; pixelX < gridSize; pixelX++) {
+            for (let j = 0; j < DIFFRACTION_SUBSAMPLES; j++) {
+                for (let i = 0; i < DIFFRACTION_SUBSAMPLES; i++) {
+                    const u = ((pixelX + (i + 0.5) / DIFFRACTION_SUBSAMPLES) / gridSize - 0.5) * width;
+                    const v = -((pixelY + (j + 0.5) / DIFFRACTION_SUBSAMPLES) / gridSize - 0.5) * height;
+                    const point = toOpening(u, v);
+                    points.push({ x: point.x - lit.center.x, y: point.y - lit.center.y });
                 }
-                return;
             }
         }
+    }
+    const samplesPerPixel = DIFFRACTION_SUBSAMPLES * DIFFRACTION_SUBSAMPLES;
+    // A unit wave through the lit area gives |U|^2 = 1 over that area, so a pixel collects
+    // the passed power times |U|^2 times its own area over the lit area.
+    const pixelArea = (width / gridSize) * (height / gridSize);
+    const wavelengths = [...new Set(passes.map(pass => pass.wavelength))];
+    const patterns = wavelengths.map(wavelength => {
+        const power = passes.filter(pass => pass.wavelength === wavelength).reduce((sum, pass) => sum + pass.intensity, 0);
+        const scale = power * pixelArea / (lit.area * samplesPerPixel);
+        const pattern = computeDiffractionPattern(opening, wavelength, distance, points);
+        const pixels = new Float64Array(gridSize * gridSize);
+        pattern.forEach((value, i) => { pixels[Math.floor(i / samplesPerPixel)] += value * scale; });
+        return pixels;
+    });
+
+    replaceSensorImage(sensor, wavelengths, patterns);
+
+    sensor.diffraction = {
+        regime: getDiffractionRegime(opening, wavelengths[0], distance),
+        fresnelNumber: getFresnelNumber(opening, wavelengths[0], distance),
+        shape: opening.shape,
+        center: toPixel(new THREE.Vector3(lit.center.x, lit.center.y, distance)),
+        zeros: wavelengths.map(wavelength => {
+            const zero = getFirstZero(opening, wavelength, distance);
+            const points = [zero, -zero].map(offset => toPixel(new THREE.Vector3(lit.center.x + offset, lit.center.y, distance)));
+            return { wavelength, distance: zero, points };
+        })
+    };
+}
+
+// Paraxial analysis along the central ray of the source.
+function analyzeSourceAxis(opticalElements, source, objectDistance, scene) {
+    return analyzeParaxialSystem(opticalElements, createAxialRay(source), objectDistance, scene);
+}
+
+// Replaces the binned rays of a sensor with computed images: one grid of pixel powers
+// (row by row) per wavelength.
+function replaceSensorImage(sensor, wavelengths, pixelGrids) {
+    const gridSize = sensor.gridSize;
+    sensor.intensities.forEach(row => row.forEach(pixel => { pixel.r = pixel.g = pixel.b = 0; }));
+    sensor.trueColorIntensities.forEach(row => row.forEach(pixel => { pixel.r = pixel.g = pixel.b = 0; }));
+    sensor.maxIntensity = 0;
+    sensor.maxTrueColorIntensity = 0;
+    pixelGrids.forEach((pixels, w) => pixels.forEach((value, i) => {
+        addPixelPower(sensor, i % gridSize, Math.floor(i / gridSize), wavelengths[w], null, value);
+    }));
+}
+
+// Error function (Abramowitz & Stegun 7.1.26, accurate to 1.5e-7).
+function erf(x) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(x));
+    const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return x >= 0 ? y : -y;
+}
+
+// Paints the spot of Gaussian beams that end on a detector: each pixel gets the share of
+// the detected power that falls on it, so a tight focus saturates a single pixel.
+function applyGaussianSpot(gaussianBeams, sensor) {
+    const beams = gaussianBeams.filter(beam => beam.end && beam.end.element.type === 'detector');
+    if (beams.length === 0) return;
+    const gridSize = sensor.gridSize;
+    const pixelGrids = beams.map(beam => {
+        const detectorMesh = beam.end.element.mesh;
+        const { width, height } = detectorMesh.geometry.parameters;
+        const center = detectorMesh.worldToLocal(beam.end.point.clone());
+        const power = sensor.hits.filter(hit => hit.wavelength === beam.wavelength).reduce((sum, hit) => sum + hit.intensity, 0);
+        // Share of a Gaussian of radius w between a and b along one axis.
+        const share = (a, b, c) => (erf(Math.SQRT2 * (b - c) / beam.end.radius) - erf(Math.SQRT2 * (a - c) / beam.end.radius)) / 2;
+        const column = Array.from({ length: gridSize }, (_, x) => share((x / gridSize - 0.5) * width, ((x + 1) / gridSize - 0.5) * width, center.x));
+        const row = Array.from({ length: gridSize }, (_, y) => share(-((y + 1) / gridSize - 0.5) * height, -(y / gridSize - 0.5) * height, center.y));
+        return Float64Array.from({ length: gridSize * gridSize }, (_, i) => power * column[i % gridSize] * row[Math.floor(i / gridSize)]);
+    });
+    replaceSensorImage(sensor, beams.map(beam => beam.wavelength), pixelGrids);
+}
+
+// Reads the RGBA pixels of a loaded texture image. This is the only part of the
+// image-object path that needs a DOM, so it lives on the rendering side.
+function readTexturePixels(texture) {
+    if (!texture || !texture.image || texture.image.width === 0) return null;
+    const image = texture.image;
+    const imgCanvas = document.createElement('canvas');
+    imgCanvas.width = image.width;
+    imgCanvas.height = image.height;
+    const imgCtx = imgCanvas.getContext('2d', { willReadFrequently: true });
+    imgCtx.drawImage(image, 0, 0, image.width, image.height);
+    return { width: image.width, height: image.height, data: imgCtx.getImageData(0, 0, image.width, image.height).data };
+}
+
+/**
+ * Builds the `computeTrace` scene for the UI configuration that `traceRays` takes, so
+ * analyses can re-trace exactly what is on screen without rendering it.
+ */
+export function createTraceScene(config) {
+    const { opticalElements, laserSource, imageObject, pixelGridSize, wavelength, laserPattern, setupKey, sensorType, rayCount = 100, traceMode = 'sequential', maxBounces = 50, minIntensity = 1e-3, beamModel = 'rays', gaussianBeam, showCardinalPoints = false, objectDistance = 20 } = config;
+    return {
+        opticalElements,
+        setupKey,
+        source: { position: laserSource.position, wavelength, laserPattern, rayCount, gaussian: beamModel === 'gaussian' ? gaussianBeam : undefined },
+        imageObject: (setupKey === 'camera-image-object') ? { mesh: imageObject, pixels: readTexturePixels(imageObject.material.map) } : null,
+        sensor: { pixelGridSize, coherent: sensorType === 'coherent' },
+        tracing: { mode: traceMode, maxBounces, minIntensity },
+        paraxial: showCardinalPoints ? { objectDistance } : undefined
+    };
+}
+
+/**
+ * Traces the current setup and renders the result: ray lines into `rayGroup`
+ * and the sensor image into `pixelCtx`.
+ * @returns {object} The result of `computeTrace`.
+ */
+export function traceRays(config) {
+    const { rayGroup, pixelCtx, pixelCanvas, wavelength, sensorType, backgroundColor = 'white' } = config;
+
+    while(rayGroup.children.length > 0){
+        const obj = rayGroup.children[0];
+        rayGroup.remove(obj);
+        if(obj.geometry) obj.geometry.dispose();
+        if(obj.material) obj.material.dispose();
+    }
+    if (pixelCtx) {
+        pixelCtx.fillStyle = '#000';
+        pixelCtx.fillRect(0, 0, pixelCanvas.width, pixelCanvas.height);
+    }
+
+    const result = computeTrace(createTraceScene(config));
+
+    renderRayPaths(rayGroup, result.paths, wavelength, backgroundColor);
+    if (result.metadata.gaussianBeams) renderGaussianBeams(rayGroup, result.metadata.gaussianBeams, backgroundColor);
+    if (result.metadata.paraxial) renderCardinalPoints(rayGroup, result.metadata.paraxial);
+    if (pixelCtx) paintSensor(pixelCtx, pixelCanvas, result.sensor, sensorType);
+    return result;
+}
+
+function renderRayPaths(rayGroup, paths, wavelength, backgroundColor) {
+    const whiteLightColor = (backgroundColor === 'black') ? 0xffffff : 0x000000;
+    const isPolychromatic = getSourceSpectrum(wavelength).length > 1;
+
+    paths.forEach(finalPath => {
+        // Light of several wavelengths is drawn white until it is dispersed, then in its own wavelength.
+        if (isPolychromatic && finalPath.splitIndex !== undefined) {
+            const preSplitPath = finalPath.points.slice(0, finalPath.splitIndex + 1);
+            const postSplitPath = finalPath.points.slice(finalPath.splitIndex);
+
+            if (preSplitPath.length > 1) {
+                rayGroup.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(preSplitPath), new THREE.LineBasicMaterial({ color: whiteLightColor, transparent: true, opacity: 0.6 })));
+            }
+            if (postSplitPath.length > 1) {
+                const m = finalPath.diffractionOrder;
+                const color = (m === 0) ? whiteLightColor : wavelengthToRGB(finalPath.wavelength);
+                rayGroup.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(postSplitPath), new THREE.LineBasicMaterial({ color: color, transparent: true, opacity: 0.6 })));
+            }
+            return;
+        }
         
-        const rayColor = finalPath.originalRay.color || ((wavelength === 'white') ? whiteLightColor : wavelengthToRGB(finalPath.ray.wavelength));
-        rayGroup.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(finalPath.path), new THREE.LineBasicMaterial({ color: rayColor, transparent: true, opacity: 0.6 })));
+        const rayColor = finalPath.color || (isPolychromatic ? whiteLightColor : wavelengthToRGB(finalPath.wavelength));
+        rayGroup.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(finalPath.points), new THREE.LineBasicMaterial({ color: rayColor, transparent: true, opacity: 0.6 })));
+    });
+}
+
+// Draws the 1/e^2 envelope of Gaussian beams: the beam radius on either side of the axis,
+// in the plane of the table and vertically.
+function renderGaussianBeams(rayGroup, gaussianBeams, backgroundColor) {
+    const SAMPLES_PER_SEGMENT = 40;
+    const up = new THREE.Vector3(0, 1, 0);
+    gaussianBeams.forEach(beam => {
+        const color = (gaussianBeams.length > 1) ? wavelengthToRGB(beam.wavelength) : ((backgroundColor === 'black') ? 0xffffff : 0x000000);
+        const edges = [[], [], [], []];
+        beam.segments.forEach(segment => {
+            const side = new THREE.Vector3().crossVectors(segment.direction, up).normalize();
+            for (let i = 0; i <= SAMPLES_PER_SEGMENT; i++) {
+                const t = (i / SAMPLES_PER_SEGMENT) * segment.length;
+                const radius = getBeamRadius([segment.q[0] + t, segment.q[1]], beam.wavelength, beam.mSquared);
+                const center = segment.start.clone().addScaledVector(segment.direction, t);
+                edges[0].push(center.clone().addScaledVector(side, radius));
+                edges[1].push(center.clone().addScaledVector(side, -radius));
+                edges[2].push(center.clone().addScaledVector(up, radius));
+                edges[3].push(center.clone().addScaledVector(up, -radius));
+            }
+        });
+        edges.forEach((points, i) => {
+            rayGroup.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), new THREE.LineBasicMaterial({ color, transparent: true, opacity: i < 2 ? 0.8 : 0.35 })));
+        });
+    });
+}
+
+// Colors of the cardinal point markers; the readout in the UI uses the same ones.
+export const CARDINAL_POINT_COLORS = { focal: 0xe53935, principal: 0x1e88e5, nodal: 0x43a047 };
+
+// Marks the cardinal points with ticks across the axis: tall ones for the focal points,
+// shorter ones for the principal points and small crosses for the nodal points.
+function renderCardinalPoints(rayGroup, paraxial) {
+    if (!paraxial.points) return;
+    const up = new THREE.Vector3(0, 1, 0);
+    const addTick = (point, direction, height, color) => {
+        const side = new THREE.Vector3().crossVectors(direction, up).normalize();
+        const across = (Math.abs(direction.y) > 0.99) ? side : up;
+        const ends = [point.clone().addScaledVector(across, height / 2), point.clone().addScaledVector(across, -height / 2)];
+        rayGroup.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(ends), new THREE.LineBasicMaterial({ color })));
+    };
+    const { frontDirection, backDirection } = paraxial;
+    const { frontFocal, backFocal, frontPrincipal, backPrincipal, frontNodal, backNodal } = paraxial.points;
+    [[frontFocal, frontDirection], [backFocal, backDirection]].forEach(([point, direction]) => addTick(point, direction, 2.5, CARDINAL_POINT_COLORS.focal));
+    [[frontPrincipal, frontDirection], [backPrincipal, backDirection]].forEach(([point, direction]) => addTick(point, direction, 1.8, CARDINAL_POINT_COLORS.principal));
+    [[frontNodal, frontDirection], [backNodal, backDirection]].forEach(([point, direction]) => {
+        addTick(point.clone().addScaledVector(direction, -0.15), direction, 0.5, CARDINAL_POINT_COLORS.nodal);
+        addTick(point.clone().addScaledVector(direction, 0.15), direction, 0.5, CARDINAL_POINT_COLORS.nodal);
     });
+}
+
+function paintSensor(pixelCtx, pixelCanvas, sensor, sensorType) {
+    const pixelGridSize = sensor.gridSize;
+    const pixelSize = pixelCanvas.width / pixelGridSize;
 
-    if (pixelCtx && setupKey !== 'camera-image-object') {
-        const pixelSize = pixelCanvas.width / pixelGridSize;
-        for (let y = 0; y < pixelGridSize; y++) {
-            for (let x = 0; x < pixelGridSize; x++) {
-                 let r = 0, g = 0, b = 0;
-                 if (sensorType === 'demosaiced') {
-                    if (maxTrueColorIntensity > 0) {
-                        const pixel = trueColorIntensities[y][x];
-                        r = Math.round(255 * (pixel.r / maxTrueColorIntensity));
-                        g = Math.round(255 * (pixel.g / maxTrueColorIntensity));
-                        b = Math.round(255 * (pixel.b / maxTrueColorIntensity));
+    if (sensor.image) {
+        for (let py = 0; py < pixelGridSize; py++) {
+            for (let px = 0; px < pixelGridSize; px++) {
+                const color = sensor.image[py][px];
+                if (sensorType === 'grayscale') {
+                    const gray = Math.round(color.r * 0.299 + color.g * 0.587 + color.b * 0.114);
+                    pixelCtx.fillStyle = `rgb(${gray}, ${gray}, ${gray})`;
+                } else if (sensorType === 'bayer') {
+                    const isTopRow = py % 2 === 0;
+                    const isLeftColumn = px % 2 === 0;
+                    if (isTopRow) {
+                        if (isLeftColumn) pixelCtx.fillStyle = `rgb(0, ${color.g}, 0)`;
+                        else pixelCtx.fillStyle = `rgb(${color.r}, 0, 0)`;
+                    } else {
+                        if (isLeftColumn) pixelCtx.fillStyle = `rgb(0, 0, ${color.b})`;
+                        else pixelCtx.fillStyle = `rgb(0, ${color.g}, 0)`;
                     }
-                     pixelCtx.fillStyle = `rgb(${r}, ${g}, ${b})`;
                 } else {
-                    if (maxSensorIntensity > 0) {
-                        const pixel = sensorIntensities[y][x];
-                        r = Math.round(255 * (pixel.r / maxSensorIntensity));
-                        g = Math.round(255 * (pixel.g / maxSensorIntensity));
-                        b = Math.round(255 * (pixel.b / maxSensorIntensity));
-                        
-                        if (sensorType === 'bayer') {
-                            const isTopRow = y % 2 === 0;
-                            const isLeftColumn = x % 2 === 0;
-                            if (isTopRow) {
-                                if (isLeftColumn) pixelCtx.fillStyle = `rgb(0, ${g}, 0)`;
-                                else pixelCtx.fillStyle = `rgb(${r}, 0, 0)`;
-                            } else {
-                                if (isLeftColumn) pixelCtx.fillStyle = `rgb(0, 0, ${b})`;
-                                else pixelCtx.fillStyle = `rgb(0, ${g}, 0)`;
-                            }
+                    pixelCtx.fillStyle = `rgb(${color.r}, ${color.g}, ${color.b})`;
+                }
+                pixelCtx.fillRect(px * pixelSize, py * pixelSize, pixelSize, pixelSize);
+            }
+        }
+        return;
+    }
+
+    // Absolute exposure: pixels clip at the sensor's full scale instead of being
+    // stretched to the brightest pixel, so lost power shows up as a dimmer image.
+    const toPixelLevel = (value) => Math.min(255, Math.round(255 * (value / sensor.fullScale)));
+
+    for (let y = 0; y < pixelGridSize; y++) {
+        for (let x = 0; x < pixelGridSize; x++) {
+             let r = 0, g = 0, b = 0;
+             if (sensorType === 'demosaiced' || sensorType === 'coherent') {
+                if (sensor.maxTrueColorIntensity > 0) {
+                    const pixel = sensor.trueColorIntensities[y][x];
+                    r = toPixelLevel(pixel.r); g = toPixelLevel(pixel.g); b = toPixelLevel(pixel.b);
+                }
+                 pixelCtx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+            } else {
+                if (sensor.maxIntensity > 0) {
+                    const pixel = sensor.intensities[y][x];
+                    r = toPixelLevel(pixel.r); g = toPixelLevel(pixel.g); b = toPixelLevel(pixel.b);
+                    
+                    if (sensorType === 'bayer') {
+                        const isTopRow = y % 2 === 0;
+                        const isLeftColumn = x % 2 === 0;
+                        if (isTopRow) {
+                            if (isLeftColumn) pixelCtx.fillStyle = `rgb(0, ${g}, 0)`;
+                            else pixelCtx.fillStyle = `rgb(${r}, 0, 0)`;
                         } else {
-                            const gray = Math.round((r + g + b) / 3);
-                            pixelCtx.fillStyle = `rgb(${gray}, ${gray}, ${gray})`;
+                            if (isLeftColumn) pixelCtx.fillStyle = `rgb(0, 0, ${b})`;
+                            else pixelCtx.fillStyle = `rgb(0, ${g}, 0)`;
                         }
                     } else {
-                        pixelCtx.fillStyle = 'rgb(0,0,0)';
+                        const gray = Math.round((r + g + b) / 3);
+                        pixelCtx.fillStyle = `rgb(${gray}, ${gray}, ${gray})`;
                     }
+                } else {
+                    pixelCtx.fillStyle = 'rgb(0,0,0)';
                 }
-                 pixelCtx.fillRect(x * pixelSize, y * pixelSize, pixelSize, pixelSize);
             }
+             pixelCtx.fillRect(x * pixelSize, y * pixelSize, pixelSize, pixelSize);
         }
     }
-}
\ No newline at end of file
+    if (sensor.diffraction) drawDiffractionAnnotation(pixelCtx, pixelCanvas, pixelSize, sensor.diffraction);
+}
+
+// Marks the theoretical first zero of a diffraction pattern: a ring for a round opening,
+// lines across the pattern for slits, and a label with the distance and the regime.
+function drawDiffractionAnnotation(pixelCtx, pixelCanvas, pixelSize, diffraction) {
+    const cx = diffraction.center.x * pixelSize, cy = diffraction.center.y * pixelSize;
+    const reach = pixelCanvas.width + pixelCanvas.height;
+    pixelCtx.save();
+    pixelCtx.lineWidth = 1;
+    pixelCtx.setLineDash([4, 3]);
+    pixelCtx.font = '10px sans-serif';
+    diffraction.zeros.forEach((zero, i) => {
+        const color = `#${wavelengthToRGB(zero.wavelength).getHexString()}`;
+        pixelCtx.strokeStyle = color;
+        pixelCtx.beginPath();
+        if (diffraction.shape === 'circle') {
+            const [point] = zero.points;
+            pixelCtx.arc(cx, cy, Math.hypot(point.x * pixelSize - cx, point.y * pixelSize - cy), 0, 2 * Math.PI);
+        } else {
+            zero.points.forEach(point => {
+                const px = point.x * pixelSize, py = point.y * pixelSize;
+                const length = Math.hypot(px - cx, py - cy) || 1;
+                const across = { x: -(py - cy) / length, y: (px - cx) / length };
+                pixelCtx.moveTo(px - across.x * reach, py - across.y * reach);
+                pixelCtx.lineTo(px + across.x * reach, py + across.y * reach);
+            });
+        }
+        pixelCtx.stroke();
+        pixelCtx.fillStyle = color;
+        pixelCtx.fillText(`1st zero: ${(zero.distance * 10).toFixed(2)} mm`, 4, 12 * (i + 1));
+    });
+    pixelCtx.fillStyle = '#ffffff';
+    pixelCtx.fillText(`${diffraction.regime} (N = ${diffraction.fresnelNumber.toPrecision(2)})`, 4, pixelCanvas.height - 4);
+    pixelCtx.restore();
+}
@@ -0,0 +1,132 @@
+// === OPTIMIZER - V1.0 (Nelder-Mead Simplex) ===
+// Minimizes a merit function over a set of bounded setup parameters without derivatives,
+// so it works for any chain of elements the tracer handles. Parameters are searched in
+// normalized units (0 at the lower bound, 1 at the upper) so positions in cm and angles in
+// degrees step alike. Leaving the bounds is penalized rather than clamped, and the result
+// reports every parameter that ends up against a bound.
+import { MERIT_FUNCTIONS } from './merit-functions.js';
+
+// Merit used where the function does not apply (e.g. no light reaches the detector).
+const UNUSABLE_MERIT = 1e12;
+// Weight of a merit's guide metric: enough to give plateaus a slope, too little to matter
+// anywhere else.
+const GUIDE_WEIGHT = 1e-6;
+
+/**
+ * Nelder-Mead minimization.
+ * @param {function(number[]): number} objective - Function to minimize.
+ * @param {number[]} start - Starting point.
+ * @param {object} [options]
+ * @param {number} [options.step=0.1] - Size of the initial simplex along each axis.
+ * @param {number} [options.maxEvaluations=200] - Budget of objective evaluations.
+ * @param {number} [options.tolerance=1e-6] - Stop once the simplex values and size are this close.
+ * @returns {{ point: number[], value: number, evaluations: number, converged: boolean }}
+ */
+export function nelderMead(objective, start, { step = 0.1, maxEvaluations = 200, tolerance = 1e-6 } = {}) {
+    const n = start.length;
+    let evaluations = 0;
+    const evaluate = point => { evaluations++; return { point, value: objective(point) }; };
+    const combine = (a, b, t) => a.map((v, i) => v + t * (b[i] - v));
+
+    let simplex = [evaluate(start.slice())];
+    for (let i = 0; i < n; i++) {
+        const vertex = start.slice();
+        // Step inward from a start that sits on the upper edge.
+        vertex[i] += (vertex[i] + step > 1) ? -step : step;
+        simplex.push(evaluate(vertex));
+    }
+
+    let converged = false;
+    while (evaluations < maxEvaluations) {
+        simplex.sort((a, b) => a.value - b.value);
+        const best = simplex[0], worst = simplex[n];
+        const size = Math.max(...simplex.map(v => Math.max(...v.point.map((x, i) => Math.abs(x - best.point[i])))));
+        const isFlat = Math.abs(worst.value - best.value) <= tolerance * (Math.abs(best.value) + tolerance);
+        if (size <= tolerance || (isFlat && size <= Math.sqrt(tolerance))) {
+            converged = true;
+            break;
+        }
+        const centroid = start.map((_, i) => simplex.slice(0, n).reduce((sum, v) => sum + v.point[i], 0) / n);
+        const reflected = evaluate(combine(centroid, worst.point, -1));
+        if (reflected.value < best.value) {
+            const expanded = evaluate(combine(centroid, worst.point, -2));
+            simplex[n] = expanded.value < reflected.value ? expanded : reflected;
+        } else if (reflected.value < simplex[n - 1].value) {
+            simplex[n] = reflected;
+        } else {
+            const outside = reflected.value < worst.value;
+            const contracted = evaluate(combine(centroid, worst.point, outside ? -0.5 : 0.5));
+            if (contracted.value < Math.min(reflected.value, worst.value)) {
+                simplex[n] = contracted;
+            } else {
+                // Shrink towards the best vertex.
+                simplex = [best, ...simplex.slice(1).map(v => evaluate(combine(best.point, v.point, 0.5)))];
+            }
+        }
+    }
+    simplex.sort((a, b) => a.value - b.value);
+    return { point: simplex[0].point, value: simplex[0].value, evaluations, converged };
+}
+
+/**
+ * Optimizes setup parameters for a merit function.
+ * @param {object} options
+ * @param {object[]} options.variables - `{ label, min, max, value }` for each free parameter.
+ * @param {string} options.merit - A key of `MERIT_FUNCTIONS`; ones marked `better: 'max'` are maximized.
+ * @param {object} [options.meritOptions] - Settings passed on to the merit function.
+ * @param {function(number[]): number[]} options.apply - Sets the parameters and returns the
+ *   values actually used (sliders snap to their step).
+ * @param {function(): object} options.trace - Traces the setup, returning `computeTrace`'s result.
+ * @param {number} [options.maxEvaluations=200] - Budget of traces.
+ * @returns {object} `{ values, start, merit, startMerit, evaluations, converged, atBounds }`:
+ *   the best parameter values found (already applied), the merit there and at the start, and
+ *   the labels of parameters that ended on a bound of their range.
+ */
+export function optimizeParameters({ variables, merit, meritOptions = {}, apply, trace, maxEvaluations = 200 }) {
+    const { evaluate, better, guide } = MERIT_FUNCTIONS[merit];
+    const sign = better === 'max' ? -1 : 1;
+    const guideMerit = guide ? MERIT_FUNCTIONS[guide] : null;
+    const toValues = point => point.map((x, i) => variables[i].min + x * (variables[i].max - variables[i].min));
+    let guideValue = 0;
+    const rate = values => {
+        apply(values);
+        const traced = trace();
+        const value = evaluate(traced, meritOptions);
+        if (guideMerit) {
+            const guided = guideMerit.evaluate(traced, meritOptions);
+            guideValue = isFinite(guided) ? (guideMerit.better === 'max' ? -guided : guided) : 0;
+        }
+        return isFinite(value) ? value : NaN;
+    };
+
+    const start = variables.map(v => (v.max > v.min) ? (v.value - v.min) / (v.max - v.min) : 0);
+    const startMerit = rate(variables.map(v => v.value));
+    const result = nelderMead(point => {
+        // Outside the range the merit grows with the distance, so the search turns back.
+        const outside = point.reduce((sum, x) => sum + Math.max(0, -x, x - 1), 0);
+        const clamped = point.map(x => Math.min(1, Math.max(0, x)));
+        const value = rate(toValues(clamped));
+        const score = isNaN(value) ? UNUSABLE_MERIT : sign * value + GUIDE_WEIGHT * guideValue;
+        return score + outside * (Math.abs(score) + 1) * 10;
+    }, start, { maxEvaluations });
+
+    const best = result.point.map(x => Math.min(1, Math.max(0, x)));
+    const values = apply(toValues(best));
+    const finalMerit = rate(values);
+    // Keep the start if the search found nothing better (e.g. it was already optimal).
+    const improved = isNaN(startMerit) || (!isNaN(finalMerit) && sign * finalMerit <= sign * startMerit);
+    const chosen = improved ? values : apply(variables.map(v => v.value));
+    const atBounds = variables.filter((v, i) => {
+        const tolerance = 1e-6 * Math.max(1, Math.abs(v.max - v.min));
+        return Math.abs(chosen[i] - v.min) <= tolerance || Math.abs(chosen[i] - v.max) <= tolerance;
+    }).map(v => v.label);
+    return {
+        values: chosen,
+        start: variables.map(v => v.value),
+        merit: improved ? finalMerit : startMerit,
+        startMerit,
+        evaluations: result.evaluations,
+        converged: result.converged,
+        atBounds
+    };
+}
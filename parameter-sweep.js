@@ -0,0 +1,94 @@
+// === PARAMETER SWEEP - V1.0 (Through-Focus and Parameter Scans) ===
+// Steps one setup parameter over a range, re-traces at every step and records a quality
+// metric of the result. The caller supplies how to set the parameter and how to trace, so
+// the sweep works for any slider a setup exposes.
+import { MERIT_FUNCTIONS } from './merit-functions.js';
+
+/**
+ * Runs a sweep.
+ * @param {object} options
+ * @param {number} options.from - First parameter value.
+ * @param {number} options.to - Last parameter value.
+ * @param {number} options.steps - Number of values, at least 2.
+ * @param {string} options.metric - A key of `MERIT_FUNCTIONS`.
+ * @param {function(number): number} options.apply - Sets the parameter and returns the value
+ *   actually used (a slider snaps to its step).
+ * @param {function(): object} options.trace - Traces the setup, returning `computeTrace`'s result.
+ * @param {string} [options.parameterLabel] - Name of the parameter, for plots and CSV.
+ * @returns {object} `{ parameterLabel, metric, samples, best }` with `samples` as
+ *   `{ parameter, value }` and `best` the sample with the best finite value (or null).
+ */
+export function sweepParameter({ from, to, steps, metric, apply, trace, parameterLabel = 'Parameter' }) {
+    const count = Math.max(2, Math.round(steps));
+    const { evaluate, better } = MERIT_FUNCTIONS[metric];
+    const samples = [];
+    for (let i = 0; i < count; i++) {
+        const parameter = apply(from + (to - from) * i / (count - 1));
+        // Neighbouring values can snap to the same slider position.
+        if (samples.length > 0 && samples[samples.length - 1].parameter === parameter) continue;
+        samples.push({ parameter, value: evaluate(trace()) });
+    }
+    const finite = samples.filter(sample => isFinite(sample.value));
+    const best = finite.length === 0 ? null
+        : finite.reduce((a, b) => ((better === 'min') === (b.value < a.value) ? b : a));
+    return { parameterLabel, metric, samples, best };
+}
+
+/** The sweep as CSV text: a header row, then one row per parameter value. */
+export function sweepToCSV(sweep) {
+    const { label, unit } = MERIT_FUNCTIONS[sweep.metric];
+    const quote = text => `"${String(text).replace(/"/g, '""')}"`;
+    const rows = sweep.samples.map(sample => `${sample.parameter},${isFinite(sample.value) ? sample.value : ''}`);
+    return [`${quote(sweep.parameterLabel)},${quote(`${label} (${unit})`)}`, ...rows].join('\n') + '\n';
+}
+
+/** Plots the metric against the parameter and marks the best sample. */
+export function drawSweepPlot(ctx, canvas, sweep) {
+    const { width, height } = canvas;
+    ctx.fillStyle = '#111';
+    ctx.fillRect(0, 0, width, height);
+    if (!sweep || sweep.samples.length === 0) return;
+
+    const finite = sweep.samples.filter(sample => isFinite(sample.value));
+    const left = 40, right = width - 10, top = 10, bottom = height - 24;
+    const xMin = sweep.samples[0].parameter, xMax = sweep.samples[sweep.samples.length - 1].parameter;
+    const yMin = Math.min(0, ...finite.map(sample => sample.value));
+    const yMax = Math.max(...finite.map(sample => sample.value), yMin + 1e-9);
+    const toX = x => left + (xMax === xMin ? 0.5 : (x - xMin) / (xMax - xMin)) * (right - left);
+    const toY = y => bottom - (y - yMin) / (yMax - yMin) * (bottom - top);
+
+    ctx.strokeStyle = '#555';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(left, top); ctx.lineTo(left, bottom); ctx.lineTo(right, bottom);
+    ctx.stroke();
+
+    ctx.strokeStyle = '#4a90e2';
+    ctx.beginPath();
+    let drawing = false;
+    sweep.samples.forEach(sample => {
+        if (!isFinite(sample.value)) { drawing = false; return; }
+        if (drawing) ctx.lineTo(toX(sample.parameter), toY(sample.value));
+        else ctx.moveTo(toX(sample.parameter), toY(sample.value));
+        drawing = true;
+    });
+    ctx.stroke();
+    ctx.fillStyle = '#4a90e2';
+    finite.forEach(sample => ctx.fillRect(toX(sample.parameter) - 1.5, toY(sample.value) - 1.5, 3, 3));
+
+    if (sweep.best) {
+        ctx.strokeStyle = '#e53935';
+        ctx.beginPath();
+        ctx.arc(toX(sweep.best.parameter), toY(sweep.best.value), 4, 0, 2 * Math.PI);
+        ctx.stroke();
+    }
+
+    ctx.fillStyle = '#fff';
+    ctx.font = '10px sans-serif';
+    const format = value => Number(value.toPrecision(3)).toString();
+    ctx.fillText(format(yMax), 2, top + 8);
+    ctx.fillText(format(yMin), 2, bottom);
+    ctx.fillText(format(xMin), left, height - 8);
+    const xMaxLabel = format(xMax);
+    ctx.fillText(xMaxLabel, right - ctx.measureText(xMaxLabel).width, height - 8);
+}
@@ -0,0 +1,138 @@
+// === PARAXIAL OPTICS - V1.0 (Ray Transfer Matrices) ===
+// 2x2 ABCD ray-transfer matrices [[A, B], [C, D]] acting on (height, angle) along the
+// optical axis. Angles are plain slopes (not reduced by the index), so a matrix taking a
+// ray from air back into air has determinant 1. Lengths are in cm.
+// Elements expose `getParaxialMatrix(wavelength)`; those without one act as the identity.
+// The optical axis is the path of the central ray, so folded systems are analysed unfolded.
+
+export const IDENTITY_MATRIX = [[1, 0], [0, 1]];
+
+export function translationMatrix(distance) {
+    return [[1, distance], [0, 1]];
+}
+
+// Refraction at a surface of radius R (Infinity for flat) from index n1 into n2.
+export function refractionMatrix(n1, n2, R) {
+    return [[1, 0], [(n1 - n2) / (n2 * R), n1 / n2]];
+}
+
+// A thin lens or mirror of focal length f (Infinity for no power).
+export function thinLensMatrix(f) {
+    return [[1, 0], [-1 / f, 1]];
+}
+
+/**
+ * Composes matrices in the order the light meets them: the result applies `matrices[0]`
+ * first and the last one last.
+ */
+export function composeMatrices(...matrices) {
+    return matrices.reduce((total, m) => [
+        [m[0][0] * total[0][0] + m[0][1] * total[1][0], m[0][0] * total[0][1] + m[0][1] * total[1][1]],
+        [m[1][0] * total[0][0] + m[1][1] * total[1][0], m[1][0] * total[0][1] + m[1][1] * total[1][1]]
+    ], IDENTITY_MATRIX);
+}
+
+// The paraxial matrix of an element, or the identity if it has no optical power model.
+export function getElementMatrix(element, wavelength) {
+    return element.getParaxialMatrix ? element.getParaxialMatrix(wavelength) : IDENTITY_MATRIX;
+}
+
+// Point where an element's `processRay` result first meets the ray.
+function getHitPoint(result) {
+    if (result.via && result.via.length > 0) return result.via[0];
+    if (result.intersection) return result.intersection;
+    if (result.newRay) return result.newRay.origin;
+    return result.newRays[0].origin;
+}
+
+/**
+ * Follows the central ray through the elements in order.
+ * @returns {object[]} The stops along the axis: `{ element, point, exit }` with the point
+ *   where the ray meets the element and the ray that leaves it (null where it ends).
+ */
+export function traceAxis(opticalElements, ray, scene) {
+    const stops = [];
+    let current = ray;
+    for (const element of opticalElements) {
+        const result = element.processRay(current, ray, scene);
+        if (!result) continue;
+        const exit = result.newRay || (result.newRays && result.newRays[0]) || null;
+        if (!exit && !result.intersection) continue;
+        stops.push({ element, point: getHitPoint(result), exit });
+        if (!exit) break;
+        current = exit;
+    }
+    return stops;
+}
+
+/**
+ * Paraxial analysis of the elements the central ray passes through, in air on both sides.
+ * The system runs from the front vertex (where the ray meets the first element) to the back
+ * vertex (where it leaves the last one); a detector ends it.
+ * @param {object[]} opticalElements - The elements, in the order the light meets them.
+ * @param {Ray} axialRay - The central ray of the source.
+ * @param {number} objectDistance - Distance (cm) of an object in front of the front vertex.
+ * @param {object} [scene] - Passed on to `processRay`.
+ * @returns {object|null} Null if the ray meets no element. Otherwise `{ wavelength, matrix,
+ *   frontVertex, backVertex, frontDirection, backDirection, efl, ffl, bfl, points, imaging }`,
+ *   with the directions of the axis in front of and behind the system. `efl`, `ffl` (front focal
+ *   distance, before the front vertex) and `bfl` (back focal distance, after the back vertex)
+ *   are in cm and Infinity for an afocal system. `points` holds the cardinal points as world
+ *   positions `{ frontFocal, backFocal, frontPrincipal, backPrincipal, frontNodal, backNodal }`,
+ *   or is null when afocal. `imaging` is `{ objectDistance, imageDistance, magnification }`
+ *   with the image distance measured after the back vertex (negative for a virtual image).
+ */
+export function analyzeParaxialSystem(opticalElements, axialRay, objectDistance, scene) {
+    const stops = traceAxis(opticalElements, axialRay, scene).filter(stop => stop.exit);
+    if (stops.length === 0) return null;
+    const wavelength = axialRay.wavelength;
+    const matrices = [];
+    stops.forEach((stop, i) => {
+        if (i > 0) {
+            const previous = stops[i - 1].exit;
+            matrices.push(translationMatrix(stop.point.clone().sub(previous.origin).dot(previous.direction)));
+        }
+        matrices.push(getElementMatrix(stop.element, wavelength));
+    });
+    const matrix = composeMatrices(...matrices);
+    const [[A, B], [C, D]] = matrix;
+
+    const front = { point: stops[0].point, direction: axialRay.direction };
+    const back = { point: stops[stops.length - 1].exit.origin, direction: stops[stops.length - 1].exit.direction };
+    const alongFront = distance => front.point.clone().addScaledVector(front.direction, distance);
+    const alongBack = distance => back.point.clone().addScaledVector(back.direction, distance);
+
+    // Imaging from an object at s in front: the image forms where B of T(s') M T(s) vanishes,
+    // and since the determinant is 1 the magnification is 1 / (C s + D).
+    const denominator = C * objectDistance + D;
+    const imaging = {
+        objectDistance,
+        imageDistance: -(A * objectDistance + B) / denominator,
+        magnification: 1 / denominator
+    };
+
+    const isAfocal = Math.abs(C) < 1e-9;
+    // In air the nodal points coincide with the principal points.
+    const frontPrincipal = isAfocal ? null : alongFront((D - 1) / C);
+    const backPrincipal = isAfocal ? null : alongBack((1 - A) / C);
+    return {
+        wavelength,
+        matrix,
+        frontVertex: front.point.clone(),
+        backVertex: back.point.clone(),
+        frontDirection: front.direction.clone(),
+        backDirection: back.direction.clone(),
+        efl: isAfocal ? Infinity : -1 / C,
+        ffl: isAfocal ? Infinity : -D / C,
+        bfl: isAfocal ? Infinity : -A / C,
+        points: isAfocal ? null : {
+            frontFocal: alongFront(D / C),
+            backFocal: alongBack(-A / C),
+            frontPrincipal,
+            backPrincipal,
+            frontNodal: frontPrincipal.clone(),
+            backNodal: backPrincipal.clone()
+        },
+        imaging
+    };
+}
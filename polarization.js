@@ -0,0 +1,159 @@
+// === POLARIZATION - V1.0 (Jones Calculus) ===
+// Polarization state of a ray, stored as the complex transverse field E = re + i*im
+// in world coordinates and normalized to unit power. Working in 3D keeps the state
+// valid through mirrors and tilted surfaces without tracking a local frame.
+// `null` stands for unpolarized light.
+import * as THREE from 'three';
+
+/**
+ * A linearly polarized state.
+ * @param {THREE.Vector3} axis - Direction of the electric field (perpendicular to the ray).
+ */
+export function linearPolarization(axis) {
+    return { re: axis.clone().normalize(), im: new THREE.Vector3() };
+}
+
+/**
+ * Transverse basis around a ray: `e1` is world +Y projected onto the transverse plane
+ * (world +Z for vertical rays) and `e2 = direction x e1`. For a ray along +X, polarizer
+ * angles measured from `e1` toward `e2` run from vertical (0 deg) to +Z (90 deg).
+ */
+export function transverseBasis(direction) {
+    const reference = Math.abs(direction.y) > 0.99 ? new THREE.Vector3(0, 0, 1) : new THREE.Vector3(0, 1, 0);
+    const e1 = reference.addScaledVector(direction, -reference.dot(direction)).normalize();
+    const e2 = direction.clone().cross(e1).normalize();
+    return { e1, e2 };
+}
+
+// Complex amplitude of the field along a real unit vector.
+function amplitudeAlong(polarization, axis) {
+    return { re: polarization.re.dot(axis), im: polarization.im.dot(axis) };
+}
+
+function amplitudePower(amplitude) {
+    return amplitude.re * amplitude.re + amplitude.im * amplitude.im;
+}
+
+// Builds a field from complex amplitudes along real unit vectors.
+function composeField(terms) {
+    const re = new THREE.Vector3(), im = new THREE.Vector3();
+    for (const { amplitude, axis } of terms) {
+        re.addScaledVector(axis, amplitude.re);
+        im.addScaledVector(axis, amplitude.im);
+    }
+    return { re, im };
+}
+
+// Rescales a field to unit power; returns null if nothing is left of it.
+function normalizeField(field) {
+    const power = field.re.lengthSq() + field.im.lengthSq();
+    if (power < 1e-24) return null;
+    const scale = 1 / Math.sqrt(power);
+    return { re: field.re.multiplyScalar(scale), im: field.im.multiplyScalar(scale) };
+}
+
+/**
+ * An ideal linear polarizer. Unpolarized light loses half its power.
+ * @param {object|null} polarization - Incoming state.
+ * @param {THREE.Vector3} axis - Transmission axis (unit, perpendicular to the ray).
+ * @returns {{polarization: object, transmittance: number}}
+ */
+export function applyPolarizer(polarization, axis) {
+    if (!polarization) return { polarization: linearPolarization(axis), transmittance: 0.5 };
+    const amplitude = amplitudeAlong(polarization, axis);
+    const transmittance = amplitudePower(amplitude);
+    const transmitted = normalizeField(composeField([{ amplitude, axis }]));
+    return { polarization: transmitted || linearPolarization(axis), transmittance };
+}
+
+/**
+ * An ideal, achromatic wave plate: the component along the slow axis is delayed by
+ * `retardance` radians relative to the fast axis. Unpolarized light stays unpolarized.
+ * @param {object|null} polarization - Incoming state.
+ * @param {THREE.Vector3} fastAxis - Fast axis (unit, perpendicular to the ray).
+ * @param {THREE.Vector3} direction - Ray direction.
+ * @param {number} retardance - Phase delay in radians (pi/2 quarter-wave, pi half-wave).
+ */
+export function applyRetarder(polarization, fastAxis, direction, retardance) {
+    if (!polarization) return null;
+    const slowAxis = direction.clone().cross(fastAxis).normalize();
+    const fast = amplitudeAlong(polarization, fastAxis);
+    const slow = amplitudeAlong(polarization, slowAxis);
+    const cos = Math.cos(retardance), sin = Math.sin(retardance);
+    const delayed = { re: slow.re * cos - slow.im * sin, im: slow.re * sin + slow.im * cos };
+    return normalizeField(composeField([{ amplitude: fast, axis: fastAxis }, { amplitude: delayed, axis: slowAxis }]));
+}
+
+// Unit s vector (perpendicular to the plane of incidence). At normal incidence the
+// plane is undefined and any transverse direction will do.
+function sVector(direction, normal) {
+    const s = direction.clone().cross(normal);
+    return s.lengthSq() > 1e-16 ? s.normalize() : transverseBasis(direction).e1;
+}
+
+/**
+ * Splits a state into its s and p parts at a surface, as a polarizing beam splitter
+ * does. The s axis is shared by every ray in the plane of incidence; the p axis is
+ * rebuilt around `pDirection`, the direction the p part leaves in.
+ * @returns {{s: {power: number, polarization: object}, p: {power: number, polarization: object}}}
+ *   `power` is the share of the incoming power in each part.
+ */
+export function splitPolarization(polarization, direction, normal, pDirection) {
+    const s = sVector(direction, normal);
+    const sOut = linearPolarization(s);
+    const pOut = linearPolarization(s.clone().cross(pDirection));
+    if (!polarization) {
+        return { s: { power: 0.5, polarization: sOut }, p: { power: 0.5, polarization: pOut } };
+    }
+    const sAmplitude = amplitudeAlong(polarization, s);
+    const pAmplitude = amplitudeAlong(polarization, s.clone().cross(direction));
+    return {
+        s: { power: amplitudePower(sAmplitude), polarization: sOut },
+        p: { power: amplitudePower(pAmplitude), polarization: pOut }
+    };
+}
+
+/**
+ * Transmission through a dielectric surface with power reflectances Rs and Rp.
+ * Unpolarized light is transmitted with the mean of the two and stays unpolarized.
+ * @param {object|null} polarization - Incoming state.
+ * @param {THREE.Vector3} direction - Incident direction.
+ * @param {THREE.Vector3} outDirection - Refracted direction.
+ * @param {THREE.Vector3} normal - Surface normal; either orientation is accepted.
+ * @returns {{polarization: object|null, transmittance: number}}
+ */
+export function transmitPolarization(polarization, direction, outDirection, normal, Rs, Rp) {
+    if (!polarization) return { polarization: null, transmittance: 1 - (Rs + Rp) / 2 };
+    const s = sVector(direction, normal);
+    const sAmplitude = amplitudeAlong(polarization, s);
+    const pAmplitude = amplitudeAlong(polarization, s.clone().cross(direction));
+    const ts = Math.sqrt(1 - Rs), tp = Math.sqrt(1 - Rp);
+    const field = composeField([
+        { amplitude: { re: sAmplitude.re * ts, im: sAmplitude.im * ts }, axis: s },
+        { amplitude: { re: pAmplitude.re * tp, im: pAmplitude.im * tp }, axis: s.clone().cross(outDirection).normalize() }
+    ]);
+    const transmittance = amplitudePower(sAmplitude) * (1 - Rs) + amplitudePower(pAmplitude) * (1 - Rp);
+    return { polarization: normalizeField(field) || polarization, transmittance };
+}
+
+/**
+ * Reflection from an ideal metal mirror: the tangential field flips sign and the
+ * normal component is kept, which mirrors the handedness of circular light.
+ */
+export function reflectPolarization(polarization, normal) {
+    if (!polarization) return null;
+    const n = normal.clone().normalize();
+    const reflect = (v) => v.clone().negate().addScaledVector(n, 2 * v.dot(n));
+    return { re: reflect(polarization.re), im: reflect(polarization.im) };
+}
+
+/**
+ * Carries a state onto a slightly different direction (e.g. through a thin lens or a
+ * grating) by dropping the field component along the new direction.
+ */
+export function transportPolarization(polarization, direction) {
+    if (!polarization) return null;
+    const re = polarization.re.clone().addScaledVector(direction, -polarization.re.dot(direction));
+    const im = polarization.im.clone().addScaledVector(direction, -polarization.im.dot(direction));
+    return normalizeField({ re, im }) || linearPolarization(transverseBasis(direction).e1);
+}
@@ -0,0 +1,168 @@
+// === RAY FANS - V1.0 (Transverse Ray Aberrations) ===
+// Traces a meridional fan (across y, the plane of the field angle) and a sagittal fan
+// (across z) of the laser's 'cross' pattern and measures where each ray crosses the image
+// plane relative to the chief ray of the middle wavelength. Plotted against the pupil
+// coordinate this shows spherical aberration (a cubic), coma (a parabola in the meridional
+// fan), field curvature (a slope) and lateral colour (curves offset per wavelength).
+// The image plane is the detector at the end of the axis or, without one, the paraxial
+// back focal plane. Lengths are in cm.
+import * as THREE from 'three';
+import { computeTrace, createAxialRay, wavelengthToRGB } from './optics-core.js';
+import { traceAxis, analyzeParaxialSystem } from './paraxial.js';
+import { formatSpotLength } from './spot-diagram.js';
+
+// Rays per fan; odd, so the chief ray is part of both fans.
+const FAN_SAMPLES = 21;
+
+// The plane the fans are measured in: a point, its normal along the light and the local
+// axes `right` (sagittal, like detector x) and `up` (meridional, like detector y).
+function getImagePlane(opticalElements, axialRay, stops, scene) {
+    const last = stops[stops.length - 1];
+    let point, normal;
+    if (last && !last.exit) {
+        // The detector surface itself, facing along the light.
+        const incoming = stops.length > 1 ? stops[stops.length - 2].exit.direction : axialRay.direction;
+        point = last.point.clone();
+        normal = last.element.mesh.getWorldDirection(new THREE.Vector3());
+        if (normal.dot(incoming) < 0) normal.negate();
+    } else {
+        const paraxial = analyzeParaxialSystem(opticalElements, axialRay, Infinity, scene);
+        if (!paraxial || !paraxial.points) return null;
+        point = paraxial.points.backFocal.clone();
+        normal = paraxial.backDirection.clone();
+    }
+    const worldUp = Math.abs(normal.y) > 0.99 ? new THREE.Vector3(0, 0, 1) : new THREE.Vector3(0, 1, 0);
+    const up = worldUp.addScaledVector(normal, -worldUp.dot(normal)).normalize();
+    const right = new THREE.Vector3().crossVectors(normal, up);
+    return { point, normal, up, right, isDetector: !!(last && !last.exit) };
+}
+
+// Where a traced path crosses the image plane, or null if the ray never gets there.
+function getPlaneCrossing(path, plane) {
+    const end = path.points[path.points.length - 1];
+    const start = path.points[path.points.length - 2];
+    // A ray stopped by an opening or absorbed anywhere but on the plane is vignetted.
+    if (path.terminated && Math.abs(end.clone().sub(plane.point).dot(plane.normal)) > 1e-4) return null;
+    const direction = end.clone().sub(start);
+    const denominator = direction.dot(plane.normal);
+    if (Math.abs(denominator) < 1e-12) return null;
+    const t = plane.point.clone().sub(start).dot(plane.normal) / denominator;
+    return start.clone().addScaledVector(direction, t);
+}
+
+/**
+ * Traces meridional and sagittal ray fans through the elements.
+ * @param {object[]} opticalElements - The elements, in the order the light meets them.
+ * @param {object} options
+ * @param {{x: number, y: number, z: number}} options.position - Center of the laser beam.
+ * @param {number|string|object[]} options.wavelength - Wavelength in nm, 'white' or a sampled spectrum.
+ * @param {number} [options.fieldAngle=0] - Field angle in degrees, in the x-y plane.
+ * @param {number} [options.beamSize=1.0] - Pupil diameter in cm, as for the laser patterns.
+ * @param {string} [options.setupKey] - The active setup key.
+ * @param {object} [options.tracing] - Passed on to `computeTrace`.
+ * @returns {object|null} Null without an image plane (an afocal system with no detector).
+ *   Otherwise `{ fieldAngle, pupilRadius, imagePlane, maxError, fans }`, where `fans` holds
+ *   per wavelength `{ wavelength, meridional, sagittal }`: lists of `{ pupil, error }` with the
+ *   normalized pupil coordinate (-1 to 1) and the transverse error in cm (y for the
+ *   meridional fan, x for the sagittal one). Vignetted rays are left out.
+ */
+export function computeRayFans(opticalElements, options) {
+    const { position, wavelength, fieldAngle = 0, beamSize = 1.0, setupKey, tracing } = options;
+    const scene = { setupKey };
+    const axialRay = createAxialRay({ position, wavelength });
+    const stops = traceAxis(opticalElements, axialRay, scene);
+    const imagePlane = getImagePlane(opticalElements, axialRay, stops, scene);
+    if (!imagePlane) return null;
+    // Centre the tilted fans on the first element met, which acts as the pupil.
+    const pupilX = stops.length > 0 ? stops[0].point.x : axialRay.origin.x;
+    const pupilRadius = beamSize / 2;
+
+    const source = { position, wavelength, laserPattern: 'cross', rayCount: 2 * FAN_SAMPLES, beamSize, fieldAngle, pupilX };
+    const { paths } = computeTrace({ opticalElements, source, setupKey, sensor: { pixelGridSize: 1 }, tracing });
+
+    // The first path of each source ray follows the transmitted branch at any split.
+    const crossings = new Map();
+    paths.forEach(path => {
+        const origin = path.points[0];
+        if (crossings.has(origin)) return;
+        crossings.set(origin, { origin, wavelength: path.wavelength, hit: getPlaneCrossing(path, imagePlane) });
+    });
+    const rays = [...crossings.values()];
+    const chiefY = position.y - Math.tan(fieldAngle * Math.PI / 180) * (pupilX - axialRay.origin.x);
+    const isChief = ray => Math.abs(ray.origin.y - chiefY) < 1e-9 && Math.abs(ray.origin.z - position.z) < 1e-9;
+    const wavelengths = [...new Set(rays.map(ray => ray.wavelength))].sort((a, b) => a - b);
+    const referenceWavelength = wavelengths[Math.floor(wavelengths.length / 2)];
+    const chief = rays.find(ray => isChief(ray) && ray.wavelength === referenceWavelength);
+    if (!chief || !chief.hit) return { fieldAngle, pupilRadius, imagePlane, maxError: 0, fans: [] };
+
+    const fans = wavelengths.map(wl => {
+        const fan = { wavelength: wl, meridional: [], sagittal: [] };
+        rays.filter(ray => ray.wavelength === wl && ray.hit).forEach(ray => {
+            const offset = ray.hit.clone().sub(chief.hit);
+            if (Math.abs(ray.origin.z - position.z) < 1e-9) {
+                fan.meridional.push({ pupil: (ray.origin.y - chiefY) / pupilRadius, error: offset.dot(imagePlane.up) });
+            }
+            if (Math.abs(ray.origin.y - chiefY) < 1e-9) {
+                fan.sagittal.push({ pupil: (ray.origin.z - position.z) / pupilRadius, error: offset.dot(imagePlane.right) });
+            }
+        });
+        // The chief ray is in both halves of the cross pattern; keep one copy per fan.
+        const byPupil = (a, b) => a.pupil - b.pupil;
+        const isNew = (sample, i, samples) => i === 0 || Math.abs(sample.pupil - samples[i - 1].pupil) > 1e-9;
+        fan.meridional = fan.meridional.sort(byPupil).filter(isNew);
+        fan.sagittal = fan.sagittal.sort(byPupil).filter(isNew);
+        return fan;
+    });
+    const maxError = Math.max(0, ...fans.flatMap(fan => [...fan.meridional, ...fan.sagittal].map(sample => Math.abs(sample.error))));
+    return { fieldAngle, pupilRadius, imagePlane, maxError, fans };
+}
+
+/**
+ * Plots the fans side by side: transverse error (vertical, shared scale) against the pupil
+ * coordinate, meridional on the left and sagittal on the right, one curve per wavelength.
+ * The top edge of the plots is the largest error, written in the corner.
+ */
+export function drawRayFans(ctx, canvas, rayFans) {
+    const { width, height } = canvas;
+    ctx.fillStyle = '#111';
+    ctx.fillRect(0, 0, width, height);
+    if (!rayFans) return;
+
+    const margin = 14;
+    const plotWidth = (width - 3 * margin) / 2;
+    const plotHeight = height - 2 * margin - 10;
+    const scale = rayFans.maxError > 0 ? (plotHeight / 2) / rayFans.maxError : 0;
+    const plots = [
+        { key: 'meridional', label: 'EY vs PY', left: margin },
+        { key: 'sagittal', label: 'EX vs PX', left: 2 * margin + plotWidth }
+    ];
+    const centerY = margin + plotHeight / 2;
+
+    ctx.font = '10px sans-serif';
+    plots.forEach(plot => {
+        ctx.strokeStyle = '#555';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(plot.left, centerY); ctx.lineTo(plot.left + plotWidth, centerY);
+        ctx.moveTo(plot.left + plotWidth / 2, margin); ctx.lineTo(plot.left + plotWidth / 2, margin + plotHeight);
+        ctx.stroke();
+        ctx.fillStyle = '#fff';
+        ctx.fillText(plot.label, plot.left, height - 6);
+
+        rayFans.fans.forEach(fan => {
+            const samples = fan[plot.key];
+            if (samples.length < 2) return;
+            const color = wavelengthToRGB(fan.wavelength);
+            ctx.strokeStyle = `rgb(${Math.round(color.r * 255)}, ${Math.round(color.g * 255)}, ${Math.round(color.b * 255)})`;
+            ctx.beginPath();
+            samples.forEach((sample, i) => {
+                const x = plot.left + (sample.pupil + 1) / 2 * plotWidth;
+                const y = centerY - sample.error * scale;
+                if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+        });
+    });
+    ctx.fillStyle = '#fff';
+    ctx.fillText(`±${formatSpotLength(rayFans.maxError)}`, margin, margin - 3);
+}
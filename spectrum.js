@@ -0,0 +1,151 @@
+// === SPECTRUM - V1.0 (Calibrated Spectrometer Readout) ===
+// Turns the detector of a grating spectrometer into a spectrum: the hits are summed along the
+// slit axis (detector y) into one value per pixel column, and each column is given a
+// wavelength by the grating equation for the layout the setup computed. The angles are
+// measured from the grating normal in the dispersion plane, signed so that
+// sin(beta) = sin(alpha) + m * lambda / d (the vector grating equation of the gratings).
+// Lengths are in cm and wavelengths in nm.
+
+// Peaks weaker than this share of the strongest column are not marked.
+const PEAK_THRESHOLD = 0.1;
+
+/**
+ * Maps detector positions to wavelengths for a spectrometer layout.
+ * @param {object} layout
+ * @param {number} layout.alpha - Angle of incidence on the grating, in radians.
+ * @param {number} layout.beta - Diffraction angle of the center wavelength, in radians.
+ * @param {number} layout.order - Diffraction order m.
+ * @param {number} layout.linesPerMM - Groove density G.
+ * @param {number} layout.centerWavelength - Wavelength at the detector center.
+ * @param {number} layout.focalLength - Focal length Lf of the focusing mirror.
+ * @param {number} layout.collimatorFocalLength - Focal length Lc of the collimating mirror.
+ * @param {number} layout.slitWidth - Width of the entrance slit.
+ * @param {number} layout.detectorWidth - Width of the detector along the dispersion.
+ * @param {number} [layout.direction=1] - +1 if detector x grows with wavelength, -1 if it
+ *   shrinks.
+ * @returns {object} The layout plus `wavelengthAt(x)` and `positionOf(wavelength)` for
+ *   detector x, the linear dispersion `dispersion` (cm per nm) and its reciprocal `nmPerMM`
+ *   at the center, and the slit-limited bandpass `slitBandpass`.
+ */
+export function createSpectralCalibration(layout) {
+    const { alpha, beta, order, linesPerMM, focalLength, collimatorFocalLength, slitWidth, direction = 1 } = layout;
+    const groovesPerNM = linesPerMM * 1e-6;
+    // Linear dispersion dx/dlambda at the center, in cm per nm.
+    const dispersion = Math.abs(order) * groovesPerNM * focalLength / Math.cos(beta);
+    const nmPerMM = 1 / (10 * dispersion);
+    // The slit is imaged with magnification Lf cos(alpha) / (Lc cos(beta)).
+    const slitBandpass = slitWidth * Math.cos(alpha) / (Math.abs(order) * groovesPerNM * collimatorFocalLength);
+    return {
+        ...layout, dispersion, nmPerMM, slitBandpass,
+        wavelengthAt: function(x) {
+            const angle = beta + Math.atan(direction * Math.sign(order) * x / focalLength);
+            return (Math.sin(angle) - Math.sin(alpha)) / (order * groovesPerNM);
+        },
+        positionOf: function(wavelength) {
+            const sinAngle = Math.sin(alpha) + order * wavelength * groovesPerNM;
+            if (Math.abs(sinAngle) > 1) return null;
+            return direction * Math.sign(order) * focalLength * Math.tan(Math.asin(sinAngle) - beta);
+        }
+    };
+}
+
+/**
+ * Collapses the detector hits along the slit axis into a calibrated spectrum.
+ * @param {object} sensor - `sensor` from `computeTrace`.
+ * @param {object} calibration - From `createSpectralCalibration`.
+ * @returns {object} `{ wavelengths, intensities, peaks, pixelBandpass, resolution }`: the
+ *   wavelength at the center of each pixel column and the power collected in it, the local
+ *   maxima as `{ wavelength, intensity }` with their wavelength interpolated between
+ *   columns, the bandpass of two pixels and the theoretical resolution, the larger of that
+ *   and the slit-limited bandpass.
+ */
+export function computeSpectrum(sensor, calibration) {
+    const { hits, gridSize: pixelCount } = sensor;
+    const { detectorWidth } = calibration;
+    const pitch = detectorWidth / pixelCount;
+    const columnX = column => (column + 0.5) * pitch - detectorWidth / 2;
+    const intensities = new Array(pixelCount).fill(0);
+    hits.forEach(hit => {
+        // Only hits that land on a pixel, as in the sensor image.
+        if (hit.pixelX >= 0 && hit.pixelX < pixelCount && hit.pixelY >= 0 && hit.pixelY < pixelCount) intensities[hit.pixelX] += hit.intensity;
+    });
+    const wavelengths = intensities.map((_, column) => calibration.wavelengthAt(columnX(column)));
+
+    const max = Math.max(...intensities);
+    const peaks = [];
+    intensities.forEach((value, column) => {
+        const left = column > 0 ? intensities[column - 1] : 0;
+        const right = column < pixelCount - 1 ? intensities[column + 1] : 0;
+        if (max <= 0 || value < PEAK_THRESHOLD * max || value <= left || value < right) return;
+        // Vertex of the parabola through the column and its neighbours.
+        const curvature = left - 2 * value + right;
+        const shift = curvature < 0 ? 0.5 * (left - right) / curvature : 0;
+        peaks.push({ wavelength: calibration.wavelengthAt(columnX(column + shift)), intensity: value });
+    });
+    const pixelBandpass = 2 * pitch / calibration.dispersion;
+    return { wavelengths, intensities, peaks, pixelBandpass, resolution: Math.max(calibration.slitBandpass, pixelBandpass) };
+}
+
+/**
+ * Plots the spectrum as intensity against wavelength, with a labelled wavelength axis
+ * (increasing to the right, whichever way the detector runs) and the peaks marked.
+ */
+export function drawSpectrum(ctx, canvas, spectrum) {
+    const { width, height } = canvas;
+    ctx.fillStyle = '#111';
+    ctx.fillRect(0, 0, width, height);
+    if (!spectrum) return;
+
+    const left = 30, right = width - 10, top = 16, bottom = height - 28;
+    const finite = spectrum.wavelengths.filter(isFinite);
+    if (finite.length < 2) return;
+    const wlMin = Math.min(...finite), wlMax = Math.max(...finite);
+    const max = Math.max(...spectrum.intensities, 1e-12);
+    const toX = wl => left + (wl - wlMin) / (wlMax - wlMin) * (right - left);
+    const toY = value => bottom - value / max * (bottom - top);
+
+    ctx.strokeStyle = '#555';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(left, top); ctx.lineTo(left, bottom); ctx.lineTo(right, bottom);
+    ctx.stroke();
+
+    ctx.fillStyle = '#fff';
+    ctx.font = '10px sans-serif';
+    const tickStep = [10, 20, 25, 50, 100, 200].find(step => (wlMax - wlMin) / step <= 6) || 500;
+    for (let wl = Math.ceil(wlMin / tickStep) * tickStep; wl <= wlMax; wl += tickStep) {
+        ctx.beginPath();
+        ctx.moveTo(toX(wl), bottom); ctx.lineTo(toX(wl), bottom + 3);
+        ctx.stroke();
+        const label = `${wl}`;
+        ctx.fillText(label, toX(wl) - ctx.measureText(label).width / 2, bottom + 13);
+    }
+    const axisLabel = 'Wavelength (nm)';
+    ctx.fillText(axisLabel, (left + right - ctx.measureText(axisLabel).width) / 2, height - 4);
+    ctx.save();
+    ctx.translate(10, (top + bottom) / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText('Intensity', -20, 0);
+    ctx.restore();
+
+    const points = spectrum.wavelengths.map((wl, i) => ({ wl, value: spectrum.intensities[i] }))
+        .filter(point => isFinite(point.wl)).sort((a, b) => a.wl - b.wl);
+    ctx.strokeStyle = '#4a90e2';
+    ctx.beginPath();
+    points.forEach((point, i) => {
+        if (i === 0) ctx.moveTo(toX(point.wl), toY(point.value));
+        else ctx.lineTo(toX(point.wl), toY(point.value));
+    });
+    ctx.stroke();
+
+    ctx.strokeStyle = '#e53935';
+    ctx.fillStyle = '#e53935';
+    spectrum.peaks.forEach(peak => {
+        const x = toX(peak.wavelength), y = toY(peak.intensity);
+        ctx.beginPath();
+        ctx.moveTo(x, y - 2); ctx.lineTo(x, y - 8);
+        ctx.stroke();
+        const label = peak.wavelength.toFixed(1);
+        ctx.fillText(label, Math.min(right - ctx.measureText(label).width, Math.max(left, x - ctx.measureText(label).width / 2)), Math.max(10, y - 10));
+    });
+}
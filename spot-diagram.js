@@ -0,0 +1,94 @@
+// === SPOT DIAGRAM - V1.0 (Detector Hit Statistics) ===
+// Spot statistics from the exact detector hits of a trace (`sensor.hits`, in the detector's
+// local coordinates), before they are binned into pixels. Each hit counts with the power of
+// its ray, so weak ghost reflections barely move the centroid. Lengths are in cm.
+import { wavelengthToRGB } from './optics-core.js';
+
+// Power-weighted centroid, RMS radius about it and the radius of the farthest hit.
+function getSpotStatistics(hits) {
+    const power = hits.reduce((sum, hit) => sum + hit.intensity, 0);
+    if (power <= 0) return null;
+    const centroid = {
+        x: hits.reduce((sum, hit) => sum + hit.intensity * hit.localX, 0) / power,
+        y: hits.reduce((sum, hit) => sum + hit.intensity * hit.localY, 0) / power
+    };
+    const radii = hits.map(hit => Math.hypot(hit.localX - centroid.x, hit.localY - centroid.y));
+    const meanSquare = hits.reduce((sum, hit, i) => sum + hit.intensity * radii[i] * radii[i], 0) / power;
+    return { count: hits.length, power, centroid, rmsRadius: Math.sqrt(meanSquare), geometricRadius: Math.max(...radii) };
+}
+
+/**
+ * Spot statistics of the hits on a detector, per wavelength and for all of them.
+ * @param {object[]} hits - `sensor.hits` from `computeTrace`.
+ * @returns {object|null} Null without hits. Otherwise `{ hits, total, wavelengths }`: `total`
+ *   and each entry of `wavelengths` (sorted, with its `wavelength`) hold `{ count, power,
+ *   centroid: { x, y }, rmsRadius, geometricRadius }`.
+ */
+export function analyzeSpot(hits) {
+    const litHits = hits.filter(hit => hit.intensity > 0);
+    const total = getSpotStatistics(litHits);
+    if (!total) return null;
+    const wavelengths = [...new Set(litHits.map(hit => hit.wavelength))].sort((a, b) => a - b)
+        .map(wavelength => ({ wavelength, ...getSpotStatistics(litHits.filter(hit => hit.wavelength === wavelength)) }));
+    return { hits: litHits, total, wavelengths };
+}
+
+// A round length for the scale bar, at most `maxLength`.
+function getScaleBarLength(maxLength) {
+    const power = Math.pow(10, Math.floor(Math.log10(maxLength)));
+    return [5, 2, 1].map(step => step * power).find(length => length <= maxLength);
+}
+
+// Formats a length in cm in the unit that suits a spot.
+export function formatSpotLength(length) {
+    if (length >= 0.1) return `${(length * 10).toFixed(2)} mm`;
+    return `${(length * 1e4).toFixed(1)} µm`;
+}
+
+/**
+ * Plots the hits around the overall centroid, each in the color of its wavelength (or of its
+ * image-object pixel), with the RMS circle and a scale bar. Detector x runs to the right and
+ * y up, as on the sensor canvas.
+ */
+export function drawSpotDiagram(ctx, canvas, spot) {
+    const { width, height } = canvas;
+    ctx.fillStyle = '#111';
+    ctx.fillRect(0, 0, width, height);
+    if (!spot) return;
+
+    const { centroid, rmsRadius, geometricRadius } = spot.total;
+    // Fit the farthest hit with a margin; a perfect focus still gets a readable scale.
+    const halfSpan = Math.max(geometricRadius * 1.15, 1e-5);
+    const scale = (Math.min(width, height) / 2) / halfSpan;
+    const toCanvas = (x, y) => [width / 2 + (x - centroid.x) * scale, height / 2 - (y - centroid.y) * scale];
+
+    ctx.strokeStyle = '#444';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(width / 2, 0); ctx.lineTo(width / 2, height);
+    ctx.moveTo(0, height / 2); ctx.lineTo(width, height / 2);
+    ctx.stroke();
+
+    spot.hits.forEach(hit => {
+        const color = hit.color || wavelengthToRGB(hit.wavelength);
+        const [px, py] = toCanvas(hit.localX, hit.localY);
+        ctx.fillStyle = `rgb(${Math.round(color.r * 255)}, ${Math.round(color.g * 255)}, ${Math.round(color.b * 255)})`;
+        ctx.fillRect(px - 1, py - 1, 2, 2);
+    });
+
+    ctx.setLineDash([3, 3]);
+    ctx.strokeStyle = '#ccc';
+    ctx.beginPath();
+    ctx.arc(width / 2, height / 2, rmsRadius * scale, 0, 2 * Math.PI);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    const barLength = getScaleBarLength(halfSpan * 0.8);
+    ctx.strokeStyle = '#fff';
+    ctx.fillStyle = '#fff';
+    ctx.font = '10px sans-serif';
+    ctx.beginPath();
+    ctx.moveTo(8, height - 8); ctx.lineTo(8 + barLength * scale, height - 8);
+    ctx.stroke();
+    ctx.fillText(formatSpotLength(barLength), 8, height - 12);
+}